@@ -7,9 +7,17 @@ const authRoutes = require('./routes/auth/auth');
 const userRoutes = require('./routes/account/user');
 const campaignRoutes = require('./routes/campaigns/campaign');
 const campaignAIRoutes = require('./routes/campaigns/campaignAI');
+const campaignRevisionRoutes = require('./routes/campaigns/campaignRevisions');
+const campaignBundleRoutes = require('./routes/campaigns/campaignBundles');
+const campaignFolderRoutes = require('./routes/campaigns/campaignFolders');
+const campaignApprovalRoutes = require('./routes/campaigns/campaignApprovals');
+const campaignAccessRoutes = require('./routes/campaigns/campaignAccess');
+const campaignTaxonomyRoutes = require('./routes/campaigns/campaignTaxonomy');
+const campaignRefineRoutes = require('./routes/campaigns/campaignRefine');
 const draftCampaignRoutes = require('./routes/campaigns/draftCampaign');
 const representativesRoutes = require('./routes/civic/representatives');
 const surveyRoutes = require('./routes/media/survey');
+const surveySessionRoutes = require('./routes/media/surveySessions');
 const videoEditorRoutes = require('./routes/media/videoEditor');
 const thumbnailEndpoint = require('./routes/media/thumbnailEndpoint');
 const recentActivity = require('./routes/activity/recentActivity');
@@ -22,10 +30,20 @@ const dashboardRoutes = require('./routes/dashboard/dashboard');
 const healthRoutes = require('./routes/health/health');
 const namespacesRoutes = require('./routes/namespaces/namespaces');
 const inviteRoutes = require('./routes/activity/invites');
+const consentRoutes = require('./routes/consent/consentTerms');
+const linkRoutes = require('./routes/links/links');
+const commentRoutes = require('./routes/comments/comments');
+const moderationRoutes = require('./routes/moderation/moderation');
+const jobsRoutes = require('./routes/jobs/jobs');
 
 
 const app = express();
 
+// Requests reach the app through App Engine's front end, which appends the client address to
+// X-Forwarded-For. Trusting only that hop makes req.ip the real client and ignores whatever the
+// client put in the header itself.
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10) || 1);
+
 // Global CORS configuration
 const corsOptions = {
   origin: '*', // In production, use your frontend domain (e.g., 'https://yourdomain.com')
@@ -43,10 +61,18 @@ app.use('/stripe', cors(corsOptions), stripeRoutes);
 // Mount the routes
 app.use('/campaign', campaignRoutes);
 app.use('/campaign', campaignAIRoutes);
+app.use('/campaign', campaignRevisionRoutes);
+app.use('/campaign', campaignBundleRoutes);
+app.use('/campaign', campaignFolderRoutes);
+app.use('/campaign', campaignApprovalRoutes);
+app.use('/campaign', campaignAccessRoutes);
+app.use('/campaign', campaignTaxonomyRoutes);
+app.use('/campaign', campaignRefineRoutes);
 app.use('/draftCampaign', draftCampaignRoutes);
 app.use('/auth', authRoutes);
 app.use('/user', userRoutes);
 app.use('/survey', surveyRoutes);
+app.use('/survey', surveySessionRoutes);
 app.use('/videoEditor', videoEditorRoutes);
 app.use('/representatives', representativesRoutes);
 app.use('/thumbnailEndpoint', thumbnailEndpoint);
@@ -59,6 +85,11 @@ app.use('/dashboard', dashboardRoutes);
 app.use('/health', healthRoutes);
 app.use('/namespaces', namespacesRoutes);
 app.use('/invites', inviteRoutes);
+app.use('/consent', consentRoutes);
+app.use('/links', linkRoutes);
+app.use('/comments', commentRoutes);
+app.use('/moderation', moderationRoutes);
+app.use('/jobs', jobsRoutes);
 
 
 
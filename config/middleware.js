@@ -19,4 +19,13 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
-module.exports = { verifyToken };
\ No newline at end of file
+// Only lets through requests from App Engine cron (see cron.yaml). App Engine removes the
+// X-Appengine-Cron header from requests that come from outside, so it cannot be forged.
+const verifyCron = (req, res, next) => {
+  if (req.get('X-Appengine-Cron') !== 'true') {
+    return res.status(403).send('Forbidden: Scheduled jobs can only be run by App Engine cron');
+  }
+  next();
+};
+
+module.exports = { verifyToken, verifyCron };
\ No newline at end of file
@@ -5,20 +5,108 @@
  *
  * Endpoints:
  *   POST   /campaigns                         - Create a new campaign.
- *   GET    /campaigns                         - Retrieve all campaigns for the current namespace.
- *   GET    /campaigns/recent                  - Retrieve up to 3 most recent campaigns in the current namespace.
+ *   GET    /campaigns                         - Retrieve campaigns for the current namespace (search, filter, sort, paginate).
+ *   GET    /campaigns/recent                  - Retrieve the most recent campaigns in the current namespace (default 3).
  *   GET    /campaigns/count                   - Retrieve the total count of campaigns in the current namespace.
  *   GET    /campaigns/:id                     - Retrieve a specific campaign by its ID (with user's permission and creator/updater names attached).
  *   PUT    /campaigns/:id                     - Update a specific campaign (requires "read/write" or "admin" permission).
- *   DELETE /campaigns/:id                     - Delete a specific campaign (requires "admin" permission).
+ *   DELETE /campaigns/:id                     - Move a campaign to the trash (requires "admin" permission).
+ *   GET    /campaigns/trash                   - List trashed campaigns in the current namespace.
+ *   POST   /campaigns/:id/restore             - Restore a trashed campaign (requires "admin" permission).
+ *   DELETE /campaigns/:id/purge               - Permanently delete a trashed campaign and all related responses,
+ *                                                jobs, revisions and Storage files (requires "admin"; supports ?dryRun=true).
+ *   POST   /campaigns/trash/purge-expired     - Purge trashed campaigns past their retention period
+ *                                                (requires "admin"; supports ?dryRun=true).
  *   GET    /campaigns/survey/:id              - Retrieve survey data for a campaign (public endpoint).
+ *   GET    /campaigns/:id/analytics           - Response time series, zipCode/intake breakdowns, enhanced ratio,
+ *                                                median video duration and page view funnel (any membership).
  *   GET    /campaigns/:id/explainer-upload-url - Generate a signed URL for direct upload of an explainer video.
+ *   POST   /campaigns/:id/explainer/finalize  - Validate, transcode and attach the uploaded explainer video
+ *                                                (in the background; see "explainerProcessing").
+ *   POST   /campaigns/:id/publish             - Move a draft campaign live (or scheduled if opensAt is in the future).
+ *   POST   /campaigns/:id/pause               - Temporarily stop accepting responses.
+ *   POST   /campaigns/:id/resume              - Resume a paused campaign.
+ *   POST   /campaigns/:id/close               - Close a campaign to new responses.
+ *   POST   /campaigns/:id/reopen              - Reopen a closed campaign.
+ *   POST   /campaigns/:id/archive             - Archive a draft or closed campaign (requires "admin" permission).
+ *   POST   /campaigns/:id/unarchive           - Restore an archived campaign as closed (requires "admin" permission).
+ *   POST   /campaigns/:id/clone               - Copy a campaign's configuration (and optionally its responses)
+ *                                                into the same or another namespace.
+ *
+ * Lifecycle:
+ *   Campaigns have a "status" (draft, scheduled, active, paused, closed, archived) and optional
+ *   "opensAt"/"closesAt" timestamps. Scheduled campaigns open automatically at opensAt and active
+ *   campaigns close automatically at closesAt; the returned "status" is always the effective one.
+ *   Only active campaigns accept uploads through /survey/upload. The status can only be changed
+ *   through the transition endpoints above, not through PUT /campaigns/:id.
+ *
+ * Trash:
+ *   Deleting a campaign only marks it as trashed ("deletedAt", "deletedBy", "purgeAfter").
+ *   Trashed campaigns are hidden from listings and the public survey, cannot be edited, and are
+ *   kept for CAMPAIGN_TRASH_RETENTION_DAYS (default 30) before they may be purged.
+ *
+ * Localization:
+ *   A campaign's title, description and surveyQuestions are written in its "defaultLocale".
+ *   "translations" maps other locales to translated { title, description, surveyQuestions },
+ *   e.g. { "es": { "title": "...", "surveyQuestions": ["...", "..."] } }, so a bilingual
+ *   campaign collects all of its responses in one place. The public survey endpoint serves
+ *   the best matching locale.
+ *
+ * Explainer videos:
+ *   Explainer videos are uploaded straight to Cloud Storage through the signed URL from
+ *   GET /campaigns/:id/explainer-upload-url, then POST /campaigns/:id/explainer/finalize starts a
+ *   background job that probes the upload with ffmpeg, rejects non-video and overlong files,
+ *   transcodes it to a web-friendly MP4, captures a poster image and sets "hasExplainerVideo", "explainerVideoPath",
+ *   "explainerPosterPath" and "explainerDurationSeconds" (see utils/explainerVideo.js).
+ *   These fields are owned by the server: POST and PUT /campaigns ignore them, and only the
+ *   finalize endpoint, cloning and bundle import set them.
+ *   The legacy base64 "explainerVideo" field is no longer accepted.
+ *
+ * Access:
+ *   Campaigns may restrict their public survey to holders of an access code or single-use
+ *   invite tokens ("accessMode"; see campaignAccess.js). The access mode can only be changed
+ *   through the access endpoints, not through POST or PUT /campaigns.
+ *
+ * Goals:
+ *   Owners may set a response goal ("goalResponses") and an optional "goalTargetDate" through
+ *   POST or PUT /campaigns. GET /campaigns/:id returns "goalProgress" (percent, pace, projection).
+ *   Alerts and activity entries are written when 25/50/75/100% of the goal is reached and, once,
+ *   when the campaign is behind pace close to its target date (see utils/campaignGoals.js).
  */
 
 const express = require('express');
 const admin = require('../../config/firebase');
 const { verifyToken } = require('../../config/middleware');
 const { logActivity } = require('../../utils/activityLogger');
+const {
+  CampaignStatuses,
+  CampaignTransitions,
+  parseScheduleWindow,
+  getEffectiveStatus,
+  resolveActiveStatus,
+  isPubliclyVisible,
+  isAcceptingResponses
+} = require('../../utils/campaignLifecycle');
+const { updateWithRevision } = require('../../utils/campaignRevisions');
+const { parseCampaignListQuery, listCampaigns } = require('../../utils/campaignListing');
+const { isTrashed, buildTrashFields, purgeCampaign } = require('../../utils/campaignPurge');
+const { normalizeIntakeFields } = require('../../utils/intakeFields');
+const { getCurrentConsentTerms, validateConsentTermsRef, getClientIp } = require('../../utils/consentTerms');
+const {
+  DEFAULT_LOCALE,
+  normalizeLocalization,
+  parseAcceptLanguage,
+  getAvailableLocales,
+  resolveLocale,
+  localizeCampaign
+} = require('../../utils/campaignLocalization');
+const { getApprovalStatus, isApprovalSatisfied } = require('../../utils/campaignApproval');
+const { getAccessMode, checkSurveyAccess, recordTokenView } = require('../../utils/campaignAccess');
+const { UPLOAD_CONTENT_TYPES, getExplainerPaths, claimExplainerProcessing, runExplainerProcessing } = require('../../utils/explainerVideo');
+const { normalizeTags, getNamespaceFolders, getFolderSubtree } = require('../../utils/campaignOrganization');
+const { parseAnalyticsQuery, recordPageView, buildCampaignAnalytics } = require('../../utils/campaignAnalytics');
+const { parseGoalFields, computeGoalProgress } = require('../../utils/campaignGoals');
+const { getResponsesCount } = require('../../utils/responseCounter');
 
 const router = express.Router();
 
@@ -31,6 +119,28 @@ if (!admin.apps.length) {
 
 const db = admin.firestore();
 
+const EXPLAINER_VIDEO_RETIRED = 'explainerVideo is no longer supported; upload the video through '
+  + 'GET /campaigns/:id/explainer-upload-url and POST /campaigns/:id/explainer/finalize';
+
+// Campaign configuration fields copied when a campaign is cloned.
+const CLONEABLE_FIELDS = [
+  'name',
+  'title',
+  'description',
+  'category',
+  'subcategory',
+  'theme',
+  'campaignImage',
+  'customColors',
+  'surveyQuestions',
+  'intakeFields',
+  'consentTermsId',
+  'defaultLocale',
+  'translations',
+  'tags',
+  'accessMode'
+];
+
 /**
  * Helper function to get the current user's permission for a namespace.
  * Returns the permission string ("read/write", "readonly", or "admin")
@@ -55,20 +165,19 @@ async function getUserPermission(namespaceId, userEmail) {
  * associated with a campaign.
  *
  * @param {string} campaignId - The campaign ID.
+ * @param {object} [campaignData] - The campaign data, for its stored responsesCount.
  * @returns {Promise<{aiVideoCount: number, responsesCount: number}>}
  */
-async function getCampaignCounts(campaignId) {
+async function getCampaignCounts(campaignId, campaignData = {}) {
   try {
     const aiVideoSnapshot = await db.collection('surveyVideos')
       .where('campaignId', '==', campaignId)
       .where('isVideoEnhanced', '==', true)
+      .select()
       .get();
     const aiVideoCount = aiVideoSnapshot.size;
 
-    const surveyVideosSnapshot = await db.collection('surveyVideos')
-      .where('campaignId', '==', campaignId)
-      .get();
-    const responsesCount = surveyVideosSnapshot.size;
+    const responsesCount = await getResponsesCount(campaignId, campaignData);
 
     return { aiVideoCount, responsesCount };
   } catch (error) {
@@ -77,6 +186,75 @@ async function getCampaignCounts(campaignId) {
   }
 }
 
+/**
+ * Helper function to validate a folder assignment.
+ * Returns an error message, or null if the folder exists in the namespace (or folderId is empty).
+ *
+ * @param {string|null} folderId - The folder ID.
+ * @param {string} namespaceId - The campaign's namespace.
+ * @returns {Promise<string|null>}
+ */
+async function validateFolderRef(folderId, namespaceId) {
+  if (!folderId) return null;
+  const folderDoc = await db.collection('campaignFolders').doc(folderId).get();
+  if (!folderDoc.exists || folderDoc.data().namespaceId !== namespaceId) {
+    return 'Folder not found in this namespace';
+  }
+  return null;
+}
+
+/**
+ * Helper function to generate a signed read URL (1 hour) for a file in the default Storage bucket.
+ *
+ * @param {string|null} filePath - The object path.
+ * @returns {Promise<string|null>} Null if no path is given.
+ */
+async function getSignedReadUrl(filePath) {
+  if (!filePath) return null;
+  const [url] = await admin.storage().bucket().file(filePath).getSignedUrl({
+    action: 'read',
+    expires: Date.now() + 60 * 60 * 1000
+  });
+  return url;
+}
+
+/**
+ * Helper function to copy a file within the default Storage bucket.
+ * Returns false (without failing) if the source file does not exist.
+ *
+ * @param {string} sourcePath - The source object path.
+ * @param {string} destinationPath - The destination object path.
+ * @returns {Promise<boolean>}
+ */
+async function copyStorageFile(sourcePath, destinationPath) {
+  const bucket = admin.storage().bucket();
+  const source = bucket.file(sourcePath);
+  const [exists] = await source.exists();
+  if (!exists) return false;
+  await source.copy(bucket.file(destinationPath));
+  return true;
+}
+
+/**
+ * Helper function to build the copy of a survey response for a cloned campaign.
+ * State tied to the source response is reset: the enhanced video (its file is not copied), the
+ * upload session and the invite token it was submitted with (only the access mode is kept).
+ *
+ * @param {object} responseData - The source surveyVideos document.
+ * @param {object} fields - Fields to set on the copy (campaignId, namespaceId, videoUrl, ...).
+ * @returns {object}
+ */
+function buildClonedResponse(responseData, fields) {
+  const { sessionId, access, ...copied } = responseData;
+  return {
+    ...copied,
+    access: access ? { mode: access.mode } : null,
+    isVideoEnhanced: false,
+    videoEnhancedUrl: '',
+    ...fields
+  };
+}
+
 /**
  * Helper function to fetch a user's first and last name given their account ID.
  *
@@ -95,6 +273,14 @@ async function getUserName(accountId) {
  * Create a new campaign in the given namespace.
  * The current user must have "read/write" or "admin" permission.
  * Stores new fields "createdBy" and "lastUpdatedBy" (set to current user).
+ * Accepts an optional "status" of "draft" or "active" (default) and optional "opensAt"/"closesAt"
+ * dates; an active campaign whose opensAt is in the future is stored as "scheduled".
+ * Accepts optional "intakeFields" (array or JSON string) defining custom respondent fields
+ * collected by /survey/upload (see utils/intakeFields.js).
+ * Accepts an optional "consentTermsId" referencing consent terms of the same namespace.
+ * Accepts an optional "defaultLocale" (default "en") and "translations" (see Localization above).
+ * Accepts optional "tags" and "folderId" (see campaignFolders.js), and an optional response goal
+ * ("goalResponses", "goalTargetDate").
  */
 router.post('/campaigns', verifyToken, async (req, res) => {
   try {
@@ -117,11 +303,61 @@ router.post('/campaigns', verifyToken, async (req, res) => {
       return res.status(403).json({ error: 'Insufficient permissions to create a campaign' });
     }
 
-    // Process explainer video.
-    let explainerVideo = req.body.explainerVideo || '';
-    if (explainerVideo.length > 1000000) {
-      console.info('[INFO] Explainer video is too large; ignoring.');
-      explainerVideo = '';
+    // Validate the initial status and schedule window.
+    const initialStatus = req.body.status || CampaignStatuses.ACTIVE;
+    if (initialStatus !== CampaignStatuses.DRAFT && initialStatus !== CampaignStatuses.ACTIVE) {
+      return res.status(400).json({ error: 'status must be "draft" or "active" when creating a campaign' });
+    }
+    const schedule = parseScheduleWindow(req.body);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+    const opensAt = schedule.fields.opensAt || null;
+    const closesAt = schedule.fields.closesAt || null;
+
+    // Validate custom intake fields.
+    let intakeFields = [];
+    if (req.body.intakeFields !== undefined) {
+      const intake = normalizeIntakeFields(req.body.intakeFields);
+      if (intake.error) {
+        return res.status(400).json({ error: intake.error });
+      }
+      intakeFields = intake.fields;
+    }
+
+    // Validate the attached consent terms.
+    const consentTermsId = req.body.consentTermsId || null;
+    const consentError = await validateConsentTermsRef(consentTermsId, namespaceId);
+    if (consentError) {
+      return res.status(400).json({ error: consentError });
+    }
+
+    // Validate the default locale and translations.
+    const localization = normalizeLocalization(req.body);
+    if (localization.error) {
+      return res.status(400).json({ error: localization.error });
+    }
+
+    // Validate tags and folder.
+    const tags = normalizeTags(req.body.tags || []);
+    if (tags.error) {
+      return res.status(400).json({ error: tags.error });
+    }
+    const folderId = req.body.folderId || null;
+    const folderError = await validateFolderRef(folderId, namespaceId);
+    if (folderError) {
+      return res.status(400).json({ error: folderError });
+    }
+
+    // Validate the response goal.
+    const goal = parseGoalFields(req.body, {}, userId);
+    if (goal.error) {
+      return res.status(400).json({ error: goal.error });
+    }
+
+    // Explainer videos are uploaded separately (see explainer-upload-url and explainer/finalize).
+    if (req.body.explainerVideo) {
+      return res.status(400).json({ error: EXPLAINER_VIDEO_RETIRED });
     }
 
     // Build campaign data.
@@ -135,8 +371,25 @@ router.post('/campaigns', verifyToken, async (req, res) => {
       customColors: req.body.customColors,
       subcategory: req.body.subcategory,
       surveyQuestions: req.body.surveyQuestions ? JSON.parse(req.body.surveyQuestions) : [],
-      hasExplainerVideo: req.body.hasExplainerVideo === true || req.body.hasExplainerVideo === 'true',
-      explainerVideo,
+      hasExplainerVideo: false,
+      explainerVideoPath: null,
+      explainerPosterPath: null,
+      explainerDurationSeconds: null,
+      intakeFields,
+      consentTermsId,
+      defaultLocale: localization.fields.defaultLocale || DEFAULT_LOCALE,
+      translations: localization.fields.translations || {},
+      tags: tags.tags,
+      folderId,
+      goalResponses: goal.fields.goalResponses || null,
+      goalTargetDate: goal.fields.goalTargetDate || null,
+      goalMilestonesReached: [],
+      goalBehindPaceAlertedAt: null,
+      goalSetBy: goal.fields.goalSetBy || null,
+      responsesCount: 0,
+      status: initialStatus === CampaignStatuses.DRAFT ? CampaignStatuses.DRAFT : resolveActiveStatus({ opensAt }),
+      opensAt,
+      closesAt,
       namespaceId,
       createdBy: userId,
       lastUpdatedBy: userId,
@@ -150,7 +403,8 @@ router.post('/campaigns', verifyToken, async (req, res) => {
     const counts = { aiVideoCount: 0, responsesCount: 0 };
     const createdDoc = await campaignRef.get();
     // Attach the current user's permission.
-    const responseData = { id: createdDoc.id, ...createdDoc.data(), userPermission: permission, ...counts };
+    const createdData = createdDoc.data();
+    const responseData = { id: createdDoc.id, ...createdData, status: getEffectiveStatus(createdData), userPermission: permission, ...counts };
     console.info(`[INFO] Campaign created with ID: ${createdDoc.id} for user: ${userId}`);
     return res.status(201).json(responseData);
   } catch (error) {
@@ -161,10 +415,16 @@ router.post('/campaigns', verifyToken, async (req, res) => {
 
 /**
  * GET /campaigns
- * Retrieve all campaigns for the current namespace.
+ * Retrieve campaigns for the current namespace.
  * All users in the namespace see the same campaigns.
  * Expects a query parameter: namespaceId.
- * Returns each campaign along with the current user's permission.
+ * Optional query parameters (see utils/campaignListing.js): q, category, subcategory, theme,
+ * createdBy, status, folderId ("none" for unfiled), includeSubfolders, tag (comma-separated, all must match),
+ * sortBy (createdAt|dateModified|responses), order (asc|desc), limit, cursor.
+ * Without limit/cursor the full (filtered, sorted) list is returned as an array. With limit or
+ * cursor the response is { campaigns, nextCursor }, where nextCursor is null on the last page.
+ * Campaigns carry their list fields only (no image, questions or translations; see GET /campaigns/:id),
+ * their response and AI video counts, and the current user's permission.
  */
 router.get('/campaigns', verifyToken, async (req, res) => {
   try {
@@ -178,20 +438,27 @@ router.get('/campaigns', verifyToken, async (req, res) => {
     if (!nsDoc.exists) {
       return res.status(404).json({ error: 'Namespace not found' });
     }
+    const listQuery = parseCampaignListQuery(req.query);
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
+    }
+    const options = listQuery.options;
+    if (options.folderIds && options.includeSubfolders) {
+      options.folderIds = getFolderSubtree(await getNamespaceFolders(namespaceId), options.folderId);
+    }
     // Get current user's permission.
     const permission = await getUserPermission(namespaceId, userEmail);
-    // Query all campaigns in this namespace.
-    const snapshot = await db.collection('campaigns')
-      .where('namespaceId', '==', namespaceId)
-      .orderBy('dateModified', 'desc')
-      .get();
-    const campaigns = await Promise.all(snapshot.docs.map(async (doc) => {
-      const campaignData = { id: doc.id, ...doc.data() };
-      const counts = await getCampaignCounts(doc.id);
-      return { ...campaignData, userPermission: permission, ...counts };
-    }));
-    console.info(`[INFO] Retrieved ${campaigns.length} campaigns in namespace: ${namespaceId}`);
-    return res.status(200).json(campaigns);
+    const page = await listCampaigns(namespaceId, options);
+    const items = await Promise.all(page.items.map(async (campaign) => ({
+      ...campaign,
+      ...(await getCampaignCounts(campaign.id, campaign)),
+      userPermission: permission
+    })));
+    console.info(`[INFO] Retrieved ${items.length} campaigns in namespace: ${namespaceId}`);
+    if (!options.paginate) {
+      return res.status(200).json(items);
+    }
+    return res.status(200).json({ campaigns: items, nextCursor: page.nextCursor });
   } catch (error) {
     console.error(`[ERROR] Error retrieving campaigns:`, error);
     return res.status(500).json({ error: 'Failed to retrieve campaigns', message: error.message });
@@ -200,8 +467,9 @@ router.get('/campaigns', verifyToken, async (req, res) => {
 
 /**
  * GET /campaigns/recent
- * Retrieve up to 3 most recent campaigns in the current namespace.
+ * Retrieve the most recently modified campaigns in the current namespace.
  * Expects a query parameter: namespaceId.
+ * Optional query parameter: limit (1-50, default 3).
  */
 router.get('/campaigns/recent', verifyToken, async (req, res) => {
   try {
@@ -210,16 +478,20 @@ router.get('/campaigns/recent', verifyToken, async (req, res) => {
     if (!namespaceId) {
       return res.status(400).json({ error: 'namespaceId query parameter is required' });
     }
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 3;
+    if (Number.isNaN(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({ error: 'limit must be between 1 and 50' });
+    }
     const permission = await getUserPermission(namespaceId, userEmail);
     const snapshot = await db.collection('campaigns')
       .where('namespaceId', '==', namespaceId)
       .orderBy('dateModified', 'desc')
-      .limit(3)
       .get();
-    const campaigns = await Promise.all(snapshot.docs.map(async (doc) => {
+    const recentDocs = snapshot.docs.filter(doc => !isTrashed(doc.data())).slice(0, limit);
+    const campaigns = await Promise.all(recentDocs.map(async (doc) => {
       const campaignData = { id: doc.id, ...doc.data() };
-      const counts = await getCampaignCounts(doc.id);
-      return { ...campaignData, userPermission: permission, ...counts };
+      const counts = await getCampaignCounts(doc.id, campaignData);
+      return { ...campaignData, status: getEffectiveStatus(campaignData), userPermission: permission, ...counts };
     }));
     console.info(`[INFO] Found ${campaigns.length} recent campaigns in namespace: ${namespaceId}`);
     return res.status(200).json(campaigns);
@@ -231,7 +503,7 @@ router.get('/campaigns/recent', verifyToken, async (req, res) => {
 
 /**
  * GET /campaigns/count
- * Count the total number of campaigns in the current namespace.
+ * Count the total number of campaigns (excluding trashed ones) in the current namespace.
  * Expects a query parameter: namespaceId.
  */
 router.get('/campaigns/count', verifyToken, async (req, res) => {
@@ -243,7 +515,7 @@ router.get('/campaigns/count', verifyToken, async (req, res) => {
     const snapshot = await db.collection('campaigns')
       .where('namespaceId', '==', namespaceId)
       .get();
-    const count = snapshot.size;
+    const count = snapshot.docs.filter(doc => !isTrashed(doc.data())).length;
     console.info(`[INFO] There are ${count} campaigns in namespace: ${namespaceId}`);
     return res.status(200).json({ count });
   } catch (error) {
@@ -252,12 +524,45 @@ router.get('/campaigns/count', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /campaigns/trash
+ * List trashed campaigns in the current namespace, most recently trashed first.
+ * Expects a query parameter: namespaceId.
+ * Requires any membership in the namespace.
+ */
+router.get('/campaigns/trash', verifyToken, async (req, res) => {
+  try {
+    const namespaceId = req.query.namespaceId;
+    if (!namespaceId) {
+      return res.status(400).json({ error: 'namespaceId query parameter is required' });
+    }
+    const permission = await getUserPermission(namespaceId, req.user.email);
+    if (!permission) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission in this namespace' });
+    }
+    const snapshot = await db.collection('campaigns')
+      .where('namespaceId', '==', namespaceId)
+      .get();
+    const campaigns = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(isTrashed)
+      .sort((a, b) => (b.deletedAt ? b.deletedAt.toMillis() : 0) - (a.deletedAt ? a.deletedAt.toMillis() : 0))
+      .map(({ campaignImage, explainerVideo, ...campaign }) => ({ ...campaign, userPermission: permission }));
+    console.info(`[INFO] Found ${campaigns.length} trashed campaigns in namespace: ${namespaceId}`);
+    return res.status(200).json(campaigns);
+  } catch (error) {
+    console.error(`[ERROR] Error retrieving trashed campaigns:`, error);
+    return res.status(500).json({ error: 'Failed to retrieve trashed campaigns', message: error.message });
+  }
+});
+
 /**
  * GET /campaigns/:id
  * Retrieve a specific campaign by its ID.
  * Expects a query parameter: namespaceId.
  * Additionally, fetch the "created by" and "last updated by" names.
- * Returns the campaign along with the current user's permission.
+ * Returns the campaign along with the current user's permission and, if it has a response goal,
+ * its "goalProgress".
  */
 router.get('/campaigns/:id', verifyToken, async (req, res) => {
   try {
@@ -278,20 +583,28 @@ router.get('/campaigns/:id', verifyToken, async (req, res) => {
     if (campaignData.namespaceId !== namespaceId) {
       return res.status(403).json({ error: 'Forbidden: Campaign does not belong to this namespace' });
     }
+    if (isTrashed(campaignData)) {
+      return res.status(404).json({ error: 'Campaign is in the trash', trashed: true });
+    }
     // Get current user's permission.
     const permission = await getUserPermission(namespaceId, userEmail);
-    const counts = await getCampaignCounts(campaignId);
+    const counts = await getCampaignCounts(campaignId, campaignData);
     
     // Fetch creator and last updater names.
     const createdByInfo = await getUserName(campaignData.createdBy);
     const lastUpdatedByInfo = await getUserName(campaignData.lastUpdatedBy);
-    
+
+    // Milestone and pace alerts are sent on upload and by the scheduled sweep, not here.
+    const goalProgress = computeGoalProgress(campaignData, counts.responsesCount);
+
     const responseData = {
       id: doc.id,
       ...campaignData,
+      status: getEffectiveStatus(campaignData),
       userPermission: permission,
       aiVideoCount: counts.aiVideoCount,
       responsesCount: counts.responsesCount,
+      goalProgress,
       createdByName: createdByInfo ? `${createdByInfo.firstName} ${createdByInfo.lastName}` : 'Unknown',
       lastUpdatedByName: lastUpdatedByInfo ? `${lastUpdatedByInfo.firstName} ${lastUpdatedByInfo.lastName}` : 'Unknown'
     };
@@ -307,7 +620,11 @@ router.get('/campaigns/:id', verifyToken, async (req, res) => {
  * PUT /campaigns/:id
  * Update a specific campaign.
  * Only users with "read/write" or "admin" permission in the namespace may update.
- * The namespaceId cannot be updated.
+ * The namespaceId, status, approval and accessMode cannot be updated (use the transition, approval
+ * and access endpoints), nor the explainer video fields (use the explainer endpoints).
+ * opensAt/closesAt may be updated; the combined window is validated.
+ * goalResponses/goalTargetDate may be updated; changing the goal restarts its milestone alerts.
+ * Each update that changes something is recorded as a revision (see campaignRevisions.js).
  * Expects a query parameter: namespaceId.
  * Updates the "lastUpdatedBy" field.
  */
@@ -330,21 +647,81 @@ router.put('/campaigns/:id', verifyToken, async (req, res) => {
     if (campaignData.namespaceId !== namespaceId) {
       return res.status(403).json({ error: 'Forbidden: Campaign does not belong to this namespace' });
     }
+    if (isTrashed(campaignData)) {
+      return res.status(409).json({ error: 'Campaign is in the trash; restore it before editing' });
+    }
     // Check permission for update.
     const permission = await getUserPermission(namespaceId, userEmail);
     if (!permission || (permission !== 'read/write' && permission !== 'admin')) {
       return res.status(403).json({ error: 'Insufficient permissions to update campaign' });
     }
-    // Prevent updating the namespaceId.
-    const { namespaceId: ignore, ...updateFields } = req.body;
+    // Prevent updating the namespaceId and status.
+    const { namespaceId: ignore, status: ignoredStatus, approval: ignoredApproval, accessMode: ignoredAccessMode, ...updateFields } = req.body;
+    if (updateFields.explainerVideo) {
+      return res.status(400).json({ error: EXPLAINER_VIDEO_RETIRED });
+    }
+    for (const field of ['explainerVideo', 'hasExplainerVideo', 'explainerVideoPath', 'explainerPosterPath', 'explainerDurationSeconds',
+      'explainerProcessedAt', 'explainerProcessing', 'goalMilestonesReached', 'goalBehindPaceAlertedAt', 'goalSetBy']) {
+      delete updateFields[field];
+    }
+    const schedule = parseScheduleWindow(updateFields, campaignData);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+    Object.assign(updateFields, schedule.fields);
+    const goal = parseGoalFields(updateFields, campaignData, userId);
+    if (goal.error) {
+      return res.status(400).json({ error: goal.error });
+    }
+    Object.assign(updateFields, goal.fields);
+    if (updateFields.intakeFields !== undefined) {
+      const intake = normalizeIntakeFields(updateFields.intakeFields);
+      if (intake.error) {
+        return res.status(400).json({ error: intake.error });
+      }
+      updateFields.intakeFields = intake.fields;
+    }
+    if (updateFields.consentTermsId !== undefined) {
+      updateFields.consentTermsId = updateFields.consentTermsId || null;
+      const consentError = await validateConsentTermsRef(updateFields.consentTermsId, namespaceId);
+      if (consentError) {
+        return res.status(400).json({ error: consentError });
+      }
+    }
+    if (updateFields.tags !== undefined) {
+      const tags = normalizeTags(updateFields.tags);
+      if (tags.error) {
+        return res.status(400).json({ error: tags.error });
+      }
+      updateFields.tags = tags.tags;
+    }
+    if (updateFields.folderId !== undefined) {
+      updateFields.folderId = updateFields.folderId || null;
+      const folderError = await validateFolderRef(updateFields.folderId, namespaceId);
+      if (folderError) {
+        return res.status(400).json({ error: folderError });
+      }
+    }
+    if (updateFields.defaultLocale !== undefined || updateFields.translations !== undefined) {
+      const localization = normalizeLocalization(updateFields, campaignData);
+      if (localization.error) {
+        return res.status(400).json({ error: localization.error });
+      }
+      Object.assign(updateFields, localization.fields);
+    }
     updateFields.lastUpdatedBy = userId;
     updateFields.dateModified = admin.firestore.FieldValue.serverTimestamp();
-    await campaignRef.update(updateFields);
-    await logActivity(userId, 'campaign_edited', `Edited campaign: ${updateFields.name || campaignData.name || 'Untitled'}`, namespaceId, { campaignId });
+    const revision = await updateWithRevision({ campaignRef, campaignData, updateFields, userId });
+    await logActivity(userId, 'campaign_edited', `Edited campaign: ${updateFields.name || campaignData.name || 'Untitled'}`, namespaceId, {
+      campaignId,
+      revisionId: revision.revisionId,
+      changedFields: revision.changedFields
+    });
     const updatedDoc = await campaignRef.get();
-    const counts = await getCampaignCounts(campaignId);
+    const updatedData = updatedDoc.data();
+    const counts = await getCampaignCounts(campaignId, updatedData);
     console.info(`[INFO] Campaign ${campaignId} updated successfully`);
-    return res.status(200).json({ id: updatedDoc.id, ...updatedDoc.data(), userPermission: permission, ...counts });
+    return res.status(200).json({ id: updatedDoc.id, ...updatedData, status: getEffectiveStatus(updatedData), userPermission: permission, ...counts });
   } catch (error) {
     console.error(`[ERROR] Error updating campaign ${req.params.id}:`, error);
     return res.status(500).json({ error: 'Failed to update campaign', message: error.message });
@@ -353,7 +730,8 @@ router.put('/campaigns/:id', verifyToken, async (req, res) => {
 
 /**
  * DELETE /campaigns/:id
- * Delete a specific campaign.
+ * Move a specific campaign to the trash. Related responses and files are kept until the
+ * campaign is purged, so it can be restored with POST /campaigns/:id/restore.
  * Only users with "admin" permission in the namespace may delete.
  * Expects a query parameter: namespaceId.
  */
@@ -381,10 +759,14 @@ router.delete('/campaigns/:id', verifyToken, async (req, res) => {
     if (permission !== 'admin') {
       return res.status(403).json({ error: 'Insufficient permissions to delete campaign. Admin access required.' });
     }
-    await campaignRef.delete();
-    await logActivity(userId, 'campaign_deleted', `Deleted campaign: ${campaignData.name || 'Untitled'}`, namespaceId, { campaignId });
-    console.info(`[INFO] Campaign ${campaignId} deleted successfully`);
-    return res.status(200).json({ message: 'Campaign deleted successfully' });
+    if (isTrashed(campaignData)) {
+      return res.status(409).json({ error: 'Campaign is already in the trash' });
+    }
+    const trashFields = buildTrashFields(userId);
+    await campaignRef.update(trashFields);
+    await logActivity(userId, 'campaign_deleted', `Moved campaign to trash: ${campaignData.name || 'Untitled'}`, namespaceId, { campaignId });
+    console.info(`[INFO] Campaign ${campaignId} moved to trash`);
+    return res.status(200).json({ message: 'Campaign moved to trash', purgeAfter: trashFields.purgeAfter.toDate().toISOString() });
   } catch (error) {
     console.error(`[ERROR] Error deleting campaign ${req.params.id}:`, error);
     return res.status(500).json({ error: 'Failed to delete campaign', message: error.message });
@@ -394,8 +776,22 @@ router.delete('/campaigns/:id', verifyToken, async (req, res) => {
 /**
  * GET /campaigns/survey/:id
  * Retrieve survey information for a specific campaign.
- * Expects a query parameter: namespaceId.
  * This endpoint does not require authentication.
+ * Draft and archived campaigns, and unapproved campaigns in namespaces that require approval
+ * (see campaignApprovals.js), are not exposed. For other campaigns the effective status,
+ * schedule window and an "acceptingResponses" flag are returned so the survey page can
+ * explain why a campaign is not (yet) accepting uploads.
+ * If consent terms are attached, their current version is returned as "consent"
+ * ({ termsId, name, version, text }); respondents must accept that version when uploading.
+ * Each successful request counts as a page view in the campaign's analytics.
+ * Localized campaigns are served in the locale picked from the "locale" query parameter, then
+ * the Accept-Language header (see utils/campaignLocalization.js for the fallback rules); the
+ * response includes "locale", "defaultLocale" and "availableLocales".
+ * Processed explainer videos are returned as signed (1 hour) "explainerVideoUrl" and
+ * "explainerPosterUrl".
+ * Restricted campaigns require the "accessCode" or "inviteToken" query parameter; without a valid
+ * one only { error, accessMode } is returned (401 when missing, 403 when invalid, 409 when the
+ * invite token was already used). Views through an invite token are counted on the token.
  */
 router.get('/campaigns/survey/:id', async (req, res) => {
   try {
@@ -407,23 +803,119 @@ router.get('/campaigns/survey/:id', async (req, res) => {
       return res.status(404).json({ error: 'Campaign not found' });
     }
     const campaignData = doc.data();
-    const counts = await getCampaignCounts(campaignId);
-    console.info(`[INFO] Successfully retrieved survey data for campaign ${campaignId}`);
-    return res.status(200).json({ id: doc.id, ...campaignData, ...counts });
+    if (isTrashed(campaignData) || !isPubliclyVisible(campaignData)) {
+      console.warn(`[WARN] Campaign ${campaignId} is not publicly visible (status: ${getEffectiveStatus(campaignData)})`);
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (!(await isApprovalSatisfied(campaignData))) {
+      console.warn(`[WARN] Campaign ${campaignId} has not been approved (approval: ${getApprovalStatus(campaignData)})`);
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    const access = await checkSurveyAccess(campaignId, campaignData, {
+      accessCode: req.query.accessCode,
+      inviteToken: req.query.inviteToken,
+      ip: getClientIp(req)
+    });
+    if (!access.ok) {
+      if (access.retryAfterSeconds) {
+        res.set('Retry-After', String(access.retryAfterSeconds));
+      }
+      return res.status(access.status).json({ error: access.error, accessMode: getAccessMode(campaignData), retryAfterSeconds: access.retryAfterSeconds });
+    }
+    if (access.access.tokenId) {
+      await recordTokenView(access.access.tokenId);
+    }
+    const [counts, terms, explainerVideoUrl, explainerPosterUrl] = await Promise.all([
+      getCampaignCounts(campaignId, campaignData),
+      getCurrentConsentTerms(campaignData.consentTermsId),
+      getSignedReadUrl(campaignData.explainerVideoPath),
+      getSignedReadUrl(campaignData.explainerPosterPath),
+      recordPageView(campaignId)
+    ]);
+    const requestedLocales = [
+      ...(req.query.locale ? [String(req.query.locale)] : []),
+      ...parseAcceptLanguage(req.headers['accept-language'])
+    ];
+    const locale = resolveLocale(campaignData, requestedLocales);
+    const { translations, accessMode, ...publicData } = campaignData;
+    console.info(`[INFO] Successfully retrieved survey data for campaign ${campaignId} (locale: ${locale})`);
+    res.setHeader('Content-Language', locale);
+    res.setHeader('Vary', 'Accept-Language');
+    return res.status(200).json({
+      id: doc.id,
+      ...publicData,
+      ...localizeCampaign(campaignData, locale),
+      locale,
+      defaultLocale: campaignData.defaultLocale || DEFAULT_LOCALE,
+      availableLocales: getAvailableLocales(campaignData),
+      accessMode: getAccessMode(campaignData),
+      status: getEffectiveStatus(campaignData),
+      acceptingResponses: isAcceptingResponses(campaignData),
+      consent: terms ? { termsId: terms.termsId, name: terms.name, version: terms.version, text: terms.text } : null,
+      explainerVideoUrl,
+      explainerPosterUrl,
+      ...counts
+    });
   } catch (error) {
     console.error(`[ERROR] Error retrieving campaign survey ${req.params.id}:`, error);
     return res.status(500).json({ error: 'Failed to retrieve campaign', message: error.message });
   }
 });
 
+/**
+ * GET /campaigns/:id/analytics
+ * Retrieve analytics for a campaign:
+ *   - totals: responses, enhanced and raw counts and the enhanced ratio
+ *   - responsesOverTime: responses per day or week
+ *   - byZipCode: responses per zipCode, most frequent first
+ *   - byIntakeField: answered counts per custom intake field, with value counts for select/checkbox fields
+ *   - videoDuration: median duration (seconds) of responses whose length was measured on upload
+ *   - funnel: survey page views vs completed uploads, with page views per day or week
+ * Query parameters: namespaceId (required), interval (day|week, default day), from, to (ISO dates).
+ * Any user with membership can read.
+ */
+router.get('/campaigns/:id/analytics', verifyToken, async (req, res) => {
+  try {
+    const campaignId = req.params.id;
+    const namespaceId = req.query.namespaceId;
+    if (!namespaceId) {
+      return res.status(400).json({ error: 'namespaceId query parameter is required' });
+    }
+    const parsed = parseAnalyticsQuery(req.query);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    const doc = await db.collection('campaigns').doc(campaignId).get();
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    const campaignData = doc.data();
+    if (campaignData.namespaceId !== namespaceId) {
+      return res.status(403).json({ error: 'Forbidden: Campaign does not belong to this namespace' });
+    }
+    const permission = await getUserPermission(namespaceId, req.user.email);
+    if (!permission) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission in this namespace' });
+    }
+    const analytics = await buildCampaignAnalytics(campaignId, campaignData, parsed.options);
+    return res.status(200).json(analytics);
+  } catch (error) {
+    console.error(`[ERROR] Error retrieving analytics for campaign ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to retrieve campaign analytics', message: error.message });
+  }
+});
+
 /**
  * GET /campaigns/:id/explainer-upload-url
  * Generate a signed URL for uploading an explainer video directly to Cloud Storage.
- * Expects a query parameter: namespaceId.
+ * The upload only becomes the campaign's explainer once POST /campaigns/:id/explainer/finalize
+ * has processed it.
+ * Expects a query parameter: namespaceId, and optionally contentType (the Content-Type the
+ * upload will be sent with: video/mp4 (default), video/quicktime, video/webm or video/x-matroska).
+ * Requires "read/write" or "admin" permission.
  */
 router.get('/campaigns/:id/explainer-upload-url', verifyToken, async (req, res) => {
   try {
-    const userId = req.user.uid;
     const campaignId = req.params.id;
     const namespaceId = req.query.namespaceId;
     if (!namespaceId) {
@@ -439,23 +931,479 @@ router.get('/campaigns/:id/explainer-upload-url', verifyToken, async (req, res)
     if (campaignData.namespaceId !== namespaceId) {
       return res.status(403).json({ error: 'Forbidden: Campaign does not belong to this namespace' });
     }
-    if (campaignData.userId !== userId) {
-      return res.status(403).json({ error: 'Forbidden: You do not own this campaign' });
+    const permission = await getUserPermission(namespaceId, req.user.email);
+    if (!permission || (permission !== 'read/write' && permission !== 'admin')) {
+      return res.status(403).json({ error: 'Insufficient permissions to update campaign' });
+    }
+    if (isTrashed(campaignData)) {
+      return res.status(409).json({ error: 'Campaign is in the trash; restore it before editing' });
+    }
+    const contentType = req.query.contentType || 'video/mp4';
+    if (!UPLOAD_CONTENT_TYPES.includes(contentType)) {
+      return res.status(400).json({ error: `contentType must be one of: ${UPLOAD_CONTENT_TYPES.join(', ')}` });
     }
     const bucket = admin.storage().bucket();
-    const fileName = `campaigns/${campaignId}/explainerVideo.mp4`;
+    const fileName = getExplainerPaths(campaignId).source;
     const file = bucket.file(fileName);
     const [uploadUrl] = await file.getSignedUrl({
       action: 'write',
       expires: Date.now() + 15 * 60 * 1000,
-      contentType: 'video/mp4'
+      contentType
     });
     console.info(`[INFO] Successfully generated explainer upload URL for campaign ${campaignId}`);
-    return res.status(200).json({ uploadUrl, filePath: fileName });
+    return res.status(200).json({ uploadUrl, filePath: fileName, contentType });
   } catch (error) {
     console.error(`[ERROR] Error generating explainer upload URL for campaign ${req.params.id}:`, error.message);
     return res.status(500).json({ error: 'Failed to generate upload URL', message: error.message });
   }
 });
 
+/**
+ * POST /campaigns/:id/explainer/finalize
+ * Start processing the explainer video uploaded through the signed URL: probe it with ffmpeg, reject
+ * files that are not videos or are too long (EXPLAINER_MAX_DURATION_SECONDS, default 300) or too
+ * large (EXPLAINER_MAX_UPLOAD_MB, default 500), transcode it to H.264/AAC MP4 (killed after
+ * EXPLAINER_TRANSCODE_TIMEOUT_SECONDS, default 600), capture a poster image and attach both to
+ * the campaign. Rejected uploads are deleted.
+ * Processing runs in the background: the response is 202 and the campaign's
+ * "explainerProcessing" ({ status: processing|ready|failed, jobId, startedAt, finishedAt, error })
+ * tells when it is done. Finalizing while a job is running returns 409.
+ * Replacing the explainer of an approved campaign withdraws its approval.
+ * Expects a query parameter: namespaceId.
+ * Requires "read/write" or "admin" permission.
+ */
+router.post('/campaigns/:id/explainer/finalize', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const campaignId = req.params.id;
+    const namespaceId = req.query.namespaceId;
+    if (!namespaceId) {
+      return res.status(400).json({ error: 'namespaceId query parameter is required' });
+    }
+    console.info(`[INFO] Finalizing explainer video of campaign ${campaignId} in namespace: ${namespaceId}`);
+    const campaignRef = db.collection('campaigns').doc(campaignId);
+    const doc = await campaignRef.get();
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    const campaignData = doc.data();
+    if (campaignData.namespaceId !== namespaceId) {
+      return res.status(403).json({ error: 'Forbidden: Campaign does not belong to this namespace' });
+    }
+    const permission = await getUserPermission(namespaceId, req.user.email);
+    if (!permission || (permission !== 'read/write' && permission !== 'admin')) {
+      return res.status(403).json({ error: 'Insufficient permissions to update campaign' });
+    }
+    if (isTrashed(campaignData)) {
+      return res.status(409).json({ error: 'Campaign is in the trash; restore it before editing' });
+    }
+
+    const claimed = await claimExplainerProcessing(campaignRef, userId);
+    if (claimed.error) {
+      return res.status(claimed.status).json({ error: claimed.error });
+    }
+    // Not awaited: transcoding can take minutes; the job records its outcome on the campaign.
+    runExplainerProcessing(campaignRef, claimed.jobId, userId);
+    const updatedDoc = await campaignRef.get();
+    const updatedData = updatedDoc.data();
+    console.info(`[INFO] Started explainer processing job ${claimed.jobId} for campaign ${campaignId}`);
+    return res.status(202).json({
+      id: updatedDoc.id,
+      ...updatedData,
+      status: getEffectiveStatus(updatedData),
+      userPermission: permission
+    });
+  } catch (error) {
+    console.error(`[ERROR] Error finalizing explainer video for campaign ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to process explainer video', message: error.message });
+  }
+});
+
+/**
+ * POST /campaigns/:id/:action
+ * Lifecycle transitions: publish, pause, resume, close, reopen, archive, unarchive.
+ * Expects a query parameter: namespaceId.
+ * Requires "read/write" or "admin" permission ("admin" for archive/unarchive).
+ * The transition is checked against the campaign's effective status, so e.g. a scheduled
+ * campaign whose closesAt has passed can no longer be paused.
+ */
+Object.entries(CampaignTransitions).forEach(([action, transition]) => {
+  router.post(`/campaigns/:id/${action}`, verifyToken, async (req, res) => {
+    try {
+      const userId = req.user.uid;
+      const userEmail = req.user.email;
+      const campaignId = req.params.id;
+      const namespaceId = req.query.namespaceId;
+      if (!namespaceId) {
+        return res.status(400).json({ error: 'namespaceId query parameter is required' });
+      }
+      console.info(`[INFO] Applying "${action}" to campaign ${campaignId} in namespace: ${namespaceId}`);
+      const campaignRef = db.collection('campaigns').doc(campaignId);
+      const doc = await campaignRef.get();
+      if (!doc.exists) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      const campaignData = doc.data();
+      if (campaignData.namespaceId !== namespaceId) {
+        return res.status(403).json({ error: 'Forbidden: Campaign does not belong to this namespace' });
+      }
+      if (isTrashed(campaignData)) {
+        return res.status(409).json({ error: 'Campaign is in the trash; restore it first' });
+      }
+      const permission = await getUserPermission(namespaceId, userEmail);
+      if (transition.adminOnly ? permission !== 'admin' : (permission !== 'read/write' && permission !== 'admin')) {
+        return res.status(403).json({ error: `Insufficient permissions to ${action} campaign` });
+      }
+
+      const currentStatus = getEffectiveStatus(campaignData);
+      if (!transition.from.includes(currentStatus)) {
+        return res.status(409).json({ error: `Cannot ${action} a campaign that is ${currentStatus}`, status: currentStatus });
+      }
+      let nextStatus = transition.to;
+      if (nextStatus === CampaignStatuses.ACTIVE) {
+        nextStatus = resolveActiveStatus(campaignData);
+        if (getEffectiveStatus({ ...campaignData, status: nextStatus }) === CampaignStatuses.CLOSED) {
+          return res.status(409).json({ error: 'closesAt has already passed; update closesAt first', status: currentStatus });
+        }
+      }
+
+      await campaignRef.update({
+        status: nextStatus,
+        statusChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastUpdatedBy: userId,
+        dateModified: admin.firestore.FieldValue.serverTimestamp()
+      });
+      await logActivity(userId, transition.activity, `Campaign ${currentStatus} -> ${nextStatus}: ${campaignData.name || 'Untitled'}`, namespaceId, {
+        campaignId,
+        fromStatus: currentStatus,
+        toStatus: nextStatus
+      });
+      const updatedDoc = await campaignRef.get();
+      const updatedData = updatedDoc.data();
+      console.info(`[INFO] Campaign ${campaignId} moved from ${currentStatus} to ${nextStatus}`);
+      return res.status(200).json({ id: updatedDoc.id, ...updatedData, status: getEffectiveStatus(updatedData), userPermission: permission });
+    } catch (error) {
+      console.error(`[ERROR] Error applying "${action}" to campaign ${req.params.id}:`, error);
+      return res.status(500).json({ error: `Failed to ${action} campaign`, message: error.message });
+    }
+  });
+});
+
+/**
+ * POST /campaigns/:id/clone
+ * Copy a campaign's configuration (questions, theme, colors, image, explainer video and poster)
+ * into the same or another namespace.
+ * Expects a query parameter: namespaceId (the source campaign's namespace).
+ * Body:
+ *   - targetNamespaceId: namespace to clone into (defaults to the source namespace).
+ *   - name: name for the copy (defaults to "Copy of <name>").
+ *   - includeResponses: also copy survey responses and their video files (default false). Copied
+ *     responses are not enhanced and keep only the access mode of their "access" (no invite token).
+ * The caller needs any membership in the source namespace and "read/write" or "admin"
+ * permission in the target namespace. The copy starts as a draft.
+ * The access mode and access code are copied; invite tokens are not, since each one belongs
+ * to a single campaign.
+ */
+router.post('/campaigns/:id/clone', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const userEmail = req.user.email;
+    const campaignId = req.params.id;
+    const namespaceId = req.query.namespaceId;
+    if (!namespaceId) {
+      return res.status(400).json({ error: 'namespaceId query parameter is required' });
+    }
+    const targetNamespaceId = req.body.targetNamespaceId || namespaceId;
+    const includeResponses = req.body.includeResponses === true || req.body.includeResponses === 'true';
+    console.info(`[INFO] Cloning campaign ${campaignId} from namespace ${namespaceId} into ${targetNamespaceId}`);
+
+    const sourceDoc = await db.collection('campaigns').doc(campaignId).get();
+    if (!sourceDoc.exists) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    const sourceData = sourceDoc.data();
+    if (sourceData.namespaceId !== namespaceId) {
+      return res.status(403).json({ error: 'Forbidden: Campaign does not belong to this namespace' });
+    }
+    if (isTrashed(sourceData)) {
+      return res.status(404).json({ error: 'Campaign is in the trash', trashed: true });
+    }
+    const sourcePermission = await getUserPermission(namespaceId, userEmail);
+    if (!sourcePermission) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission in the source namespace' });
+    }
+    const targetNsDoc = await db.collection('namespaces').doc(targetNamespaceId).get();
+    if (!targetNsDoc.exists) {
+      return res.status(404).json({ error: 'Target namespace not found' });
+    }
+    const targetPermission = await getUserPermission(targetNamespaceId, userEmail);
+    if (!targetPermission || (targetPermission !== 'read/write' && targetPermission !== 'admin')) {
+      return res.status(403).json({ error: 'Insufficient permissions to create a campaign in the target namespace' });
+    }
+
+    // Build the copy from the configuration fields only.
+    const cloneData = {};
+    for (const field of CLONEABLE_FIELDS) {
+      if (sourceData[field] !== undefined) {
+        cloneData[field] = sourceData[field];
+      }
+    }
+    cloneData.name = req.body.name || `Copy of ${sourceData.name || 'Untitled'}`;
+    // Consent terms belong to a namespace, so they cannot follow the campaign elsewhere.
+    // The same goes for folders; within a namespace the copy lands next to the original.
+    if (targetNamespaceId !== namespaceId) {
+      cloneData.consentTermsId = null;
+    }
+    cloneData.folderId = targetNamespaceId === namespaceId ? sourceData.folderId || null : null;
+    Object.assign(cloneData, {
+      status: CampaignStatuses.DRAFT,
+      opensAt: null,
+      closesAt: null,
+      namespaceId: targetNamespaceId,
+      clonedFrom: { campaignId, namespaceId },
+      responsesCount: 0,
+      createdBy: userId,
+      lastUpdatedBy: userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      dateModified: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    const cloneRef = await db.collection('campaigns').add(cloneData);
+    const cloneId = cloneRef.id;
+
+    // Copy the access code, if any.
+    const accessDoc = await db.collection('campaignAccess').doc(campaignId).get();
+    if (accessDoc.exists) {
+      await db.collection('campaignAccess').doc(cloneId).set({
+        ...accessDoc.data(),
+        campaignId: cloneId,
+        updatedBy: userId,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    // Copy the explainer video and its poster stored in Cloud Storage, if any.
+    const sourcePaths = getExplainerPaths(campaignId);
+    const clonePaths = getExplainerPaths(cloneId);
+    const explainerCopied = await copyStorageFile(sourcePaths.video, clonePaths.video);
+    const posterCopied = await copyStorageFile(sourcePaths.poster, clonePaths.poster);
+    if (explainerCopied && sourceData.explainerVideoPath) {
+      await cloneRef.update({
+        hasExplainerVideo: true,
+        explainerVideoPath: clonePaths.video,
+        explainerPosterPath: posterCopied ? clonePaths.poster : null,
+        explainerDurationSeconds: sourceData.explainerDurationSeconds || null
+      });
+    }
+
+    // Optionally copy the survey responses and their video files.
+    let responsesCopied = 0;
+    if (includeResponses) {
+      const bucket = admin.storage().bucket();
+      const responsesSnapshot = await db.collection('surveyVideos')
+        .where('campaignId', '==', campaignId)
+        .get();
+      for (const responseDoc of responsesSnapshot.docs) {
+        const responseData = responseDoc.data();
+        const responseRef = db.collection('surveyVideos').doc();
+        if (Array.isArray(responseData.clips) && responseData.clips.length > 0) {
+          // Multi-clip responses keep their clips in a folder named after the response.
+          const clips = [];
+          for (const clip of responseData.clips) {
+            const clipName = `videos/${cloneId}/${responseRef.id}/${clip.questionIndex}.mp4`;
+            const clipCopied = await copyStorageFile(clip.path, clipName);
+            clips.push({ ...clip, path: clipName, videoUrl: clipCopied ? `gs://${bucket.name}/${clipName}` : '' });
+          }
+          await responseRef.set(buildClonedResponse(responseData, {
+            campaignId: cloneId,
+            namespaceId: targetNamespaceId,
+            userId,
+            clips,
+            videoUrl: clips[0].videoUrl,
+            clonedFromVideoId: responseDoc.id
+          }));
+          responsesCopied++;
+          continue;
+        }
+        const fileName = `videos/${cloneId}/${responseRef.id}.mp4`;
+        const videoCopied = await copyStorageFile(`videos/${campaignId}/${responseDoc.id}.mp4`, fileName);
+        await responseRef.set(buildClonedResponse(responseData, {
+          campaignId: cloneId,
+          namespaceId: targetNamespaceId,
+          userId,
+          videoUrl: videoCopied ? `gs://${bucket.name}/${fileName}` : '',
+          clonedFromVideoId: responseDoc.id
+        }));
+        responsesCopied++;
+      }
+      await cloneRef.update({ responsesCount: responsesCopied });
+    }
+
+    await logActivity(userId, 'campaign_cloned', `Cloned campaign: ${sourceData.name || 'Untitled'}`, targetNamespaceId, {
+      campaignId: cloneId,
+      sourceCampaignId: campaignId,
+      sourceNamespaceId: namespaceId,
+      responsesCopied
+    });
+    const createdDoc = await cloneRef.get();
+    const createdData = createdDoc.data();
+    const counts = await getCampaignCounts(cloneId, createdData);
+    console.info(`[INFO] Campaign ${campaignId} cloned as ${cloneId} (${responsesCopied} responses copied)`);
+    return res.status(201).json({
+      id: cloneId,
+      ...createdData,
+      status: getEffectiveStatus(createdData),
+      userPermission: targetPermission,
+      ...counts,
+      explainerCopied,
+      responsesCopied
+    });
+  } catch (error) {
+    console.error(`[ERROR] Error cloning campaign ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to clone campaign', message: error.message });
+  }
+});
+
+/**
+ * POST /campaigns/:id/restore
+ * Restore a trashed campaign.
+ * Only users with "admin" permission in the namespace may restore.
+ * Expects a query parameter: namespaceId.
+ */
+router.post('/campaigns/:id/restore', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const campaignId = req.params.id;
+    const namespaceId = req.query.namespaceId;
+    if (!namespaceId) {
+      return res.status(400).json({ error: 'namespaceId query parameter is required' });
+    }
+    console.info(`[INFO] Restoring campaign ${campaignId} in namespace: ${namespaceId}`);
+    const campaignRef = db.collection('campaigns').doc(campaignId);
+    const doc = await campaignRef.get();
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    const campaignData = doc.data();
+    if (campaignData.namespaceId !== namespaceId) {
+      return res.status(403).json({ error: 'Forbidden: Campaign does not belong to this namespace' });
+    }
+    const permission = await getUserPermission(namespaceId, req.user.email);
+    if (permission !== 'admin') {
+      return res.status(403).json({ error: 'Insufficient permissions to restore campaign. Admin access required.' });
+    }
+    if (!isTrashed(campaignData)) {
+      return res.status(409).json({ error: 'Campaign is not in the trash' });
+    }
+    await campaignRef.update({
+      deletedAt: null,
+      deletedBy: null,
+      purgeAfter: null,
+      lastUpdatedBy: userId,
+      dateModified: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await logActivity(userId, 'campaign_restored', `Restored campaign from trash: ${campaignData.name || 'Untitled'}`, namespaceId, { campaignId });
+    const restoredDoc = await campaignRef.get();
+    const restoredData = restoredDoc.data();
+    const counts = await getCampaignCounts(campaignId, restoredData);
+    console.info(`[INFO] Campaign ${campaignId} restored from trash`);
+    return res.status(200).json({ id: restoredDoc.id, ...restoredData, status: getEffectiveStatus(restoredData), userPermission: permission, ...counts });
+  } catch (error) {
+    console.error(`[ERROR] Error restoring campaign ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to restore campaign', message: error.message });
+  }
+});
+
+/**
+ * DELETE /campaigns/:id/purge
+ * Permanently delete a trashed campaign together with its survey responses, Creatomate jobs,
+ * revisions and all of its files in Cloud Storage.
+ * Only users with "admin" permission in the namespace may purge.
+ * Expects a query parameter: namespaceId.
+ * With ?dryRun=true nothing is deleted and the report lists what would be removed.
+ */
+router.delete('/campaigns/:id/purge', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const campaignId = req.params.id;
+    const namespaceId = req.query.namespaceId;
+    const dryRun = req.query.dryRun === 'true';
+    if (!namespaceId) {
+      return res.status(400).json({ error: 'namespaceId query parameter is required' });
+    }
+    console.info(`[INFO] Purging campaign ${campaignId} in namespace: ${namespaceId} (dryRun: ${dryRun})`);
+    const doc = await db.collection('campaigns').doc(campaignId).get();
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    const campaignData = doc.data();
+    if (campaignData.namespaceId !== namespaceId) {
+      return res.status(403).json({ error: 'Forbidden: Campaign does not belong to this namespace' });
+    }
+    const permission = await getUserPermission(namespaceId, req.user.email);
+    if (permission !== 'admin') {
+      return res.status(403).json({ error: 'Insufficient permissions to purge campaign. Admin access required.' });
+    }
+    if (!isTrashed(campaignData)) {
+      return res.status(409).json({ error: 'Campaign must be moved to the trash before it can be purged' });
+    }
+    const report = await purgeCampaign(campaignId, { dryRun });
+    if (!dryRun) {
+      await logActivity(userId, 'campaign_purged', `Permanently deleted campaign: ${campaignData.name || 'Untitled'}`, namespaceId, {
+        campaignId,
+        documentCount: report.documentCount,
+        fileCount: report.fileCount
+      });
+    }
+    console.info(`[INFO] Campaign ${campaignId} purge ${dryRun ? 'dry run' : 'completed'}: ${report.documentCount} documents, ${report.fileCount} files`);
+    return res.status(200).json(report);
+  } catch (error) {
+    console.error(`[ERROR] Error purging campaign ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to purge campaign', message: error.message });
+  }
+});
+
+/**
+ * POST /campaigns/trash/purge-expired
+ * Purge every trashed campaign in the namespace whose retention period has ended.
+ * Only users with "admin" permission in the namespace may purge.
+ * Expects a query parameter: namespaceId.
+ * With ?dryRun=true nothing is deleted and the reports list what would be removed.
+ */
+router.post('/campaigns/trash/purge-expired', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const namespaceId = req.query.namespaceId;
+    const dryRun = req.query.dryRun === 'true';
+    if (!namespaceId) {
+      return res.status(400).json({ error: 'namespaceId query parameter is required' });
+    }
+    const permission = await getUserPermission(namespaceId, req.user.email);
+    if (permission !== 'admin') {
+      return res.status(403).json({ error: 'Insufficient permissions to purge campaigns. Admin access required.' });
+    }
+    const now = Date.now();
+    const snapshot = await db.collection('campaigns')
+      .where('namespaceId', '==', namespaceId)
+      .get();
+    const expired = snapshot.docs.filter(doc => {
+      const data = doc.data();
+      return isTrashed(data) && data.purgeAfter && data.purgeAfter.toMillis() <= now;
+    });
+    const reports = [];
+    for (const doc of expired) {
+      reports.push(await purgeCampaign(doc.id, { dryRun }));
+    }
+    if (!dryRun && reports.length > 0) {
+      await logActivity(userId, 'campaign_purged', `Permanently deleted ${reports.length} expired campaign(s) from trash`, namespaceId, {
+        campaignIds: reports.map(r => r.campaignId)
+      });
+    }
+    console.info(`[INFO] Purge of expired campaigns in namespace ${namespaceId} (dryRun: ${dryRun}): ${reports.length} campaigns`);
+    return res.status(200).json({ dryRun, purgedCount: reports.length, reports });
+  } catch (error) {
+    console.error(`[ERROR] Error purging expired campaigns:`, error);
+    return res.status(500).json({ error: 'Failed to purge expired campaigns', message: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,122 +1,105 @@
 /**
- * Campaign Generation API (Gemini)
+ * Campaign Generation API
  *
  * This module exposes an endpoint to generate campaign JSON data based on a user prompt
- * using the Gemini API. The response is a structured JSON object for a "Create Campaign" form.
+ * using a large language model. The response is a structured JSON object for a "Create Campaign" form.
  *
- * Endpoint:
+ * Endpoints:
  *   POST /generate-campaign
- *     - Accepts a prompt in the request body and returns generated campaign data.
+ *     - Accepts a prompt and a namespaceId in the request body and returns generated campaign data.
+ *       When the AI provider fails the response is 502 with status "error" and the default campaign data.
+ *       The namespace's own categories (see campaignTaxonomy.js) are added to the prompt and to
+ *       validation. Requires "read/write" or "admin" permission in the namespace.
+ *   GET  /ai/usage
+ *     - The current user's AI generations this month, their plan's allowance and the rate limits.
+ *
+ * AI generation (including POST /campaigns/:id/refine, see campaignRefine.js) requires
+ * authentication and is limited per user and per namespace (AI_RATE_LIMIT_PER_USER, default 5, and
+ * AI_RATE_LIMIT_PER_NAMESPACE, default 20, per AI_RATE_LIMIT_WINDOW_SECONDS, default 60; 429 with a
+ * Retry-After header when exceeded). Each generation counts against a monthly allowance by plan
+ * (AI_MONTHLY_GENERATIONS_BASIC/PRO/PREMIUM, default 20/200/1000; 402 when used up); failed
+ * generations are not counted (see utils/aiQuota.js).
+ *
+ * The model is selected by configuration (see utils/llmProviders.js):
+ *   LLM_PROVIDER           - "gemini" (default), "openai" (any OpenAI-compatible endpoint) or "mock"
+ *                            (deterministic, offline; for tests and local development).
+ *   LLM_FALLBACK_PROVIDER  - Optional provider to use when the primary one fails or is not configured.
+ *   LLM_MAX_RETRIES, LLM_RETRY_BASE_MS - Retries with exponential backoff for timeouts, rate limits
+ *                            and server errors.
+ *   GEMINI_API_KEY, GEMINI_MODEL, GEMINI_API_BASE_URL, GEMINI_TIMEOUT_MS
+ *   OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_MODEL, OPENAI_TIMEOUT_MS
+ * Missing keys do not prevent the server from starting; generation then responds with an error.
+ *
+ * Generated campaigns are validated against the campaign taxonomy (categories, subcategories,
+ * themes) and the expected fields. Invalid output is sent back to the model with the errors
+ * (LLM_REPAIR_ATTEMPTS times, default 2) and whatever is still invalid is corrected by the server;
+ * "corrections" in the response lists each corrected field (see utils/campaignGeneration.js).
  *
  * @example
- *   curl -X POST -H "Content-Type: application/json" \
- *        -d '{"prompt": "Create a campaign for a new tech startup"}' \
+ *   curl -X POST -H "Authorization: Bearer YOUR_TOKEN" -H "Content-Type: application/json" \
+ *        -d '{"prompt": "Create a campaign for a new tech startup", "namespaceId": "NAMESPACE_ID"}' \
  *        https://yourdomain.com/campaign/generate-campaign
  */
 
 const express = require('express');
-const axios = require('axios');
+const admin = require('../../config/firebase');
+const { verifyToken } = require('../../config/middleware');
 const router = express.Router();
+const db = admin.firestore();
 
 // Load environment variables from .env file
 require('dotenv').config();
 
-// Use environment variable for the Gemini API key
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-if (!GEMINI_API_KEY) {
-  throw new Error('GEMINI_API_KEY environment variable is not set');
+const { generateValidCampaign } = require('../../utils/campaignGeneration');
+const { getTaxonomyCatalog, buildTaxonomyPrompt } = require('../../utils/campaignTaxonomy');
+const { reserveGeneration, releaseGeneration, getAiUsage } = require('../../utils/aiQuota');
+
+// Longest prompt accepted from the user.
+const MAX_PROMPT_LENGTH = 4000;
+
+/**
+ * Helper function to get the current user's permission for a namespace.
+ * Returns the permission string ("read/write", "readonly", or "admin")
+ * if the user is an active member, otherwise null.
+ *
+ * @param {string} namespaceId - The namespace ID.
+ * @param {string} userEmail - The user's email.
+ * @returns {Promise<string|null>}
+ */
+async function getUserPermission(namespaceId, userEmail) {
+  const nsDoc = await db.collection('namespaces').doc(namespaceId).get();
+  if (!nsDoc.exists) return null;
+  const nsData = nsDoc.data();
+  if (!nsData.members) return null;
+  const member = nsData.members.find(m => m.email.toLowerCase() === userEmail.toLowerCase() && m.status === 'active');
+  return member ? member.permission : null;
 }
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent';
 
-// Preprompt to guide Gemini API to always return structured JSON
-const PREPROMPT = `
+/**
+ * Build the preprompt that guides the model to always return structured JSON, listing the
+ * categories, starter questions and themes of the given taxonomy catalog.
+ *
+ * @param {{ categories: object, themes: string[] }} catalog - See utils/campaignTaxonomy.js.
+ * @returns {string}
+ */
+function buildPreprompt(catalog) {
+  const categoryKeys = Object.keys(catalog.categories).map(key => `"${key}"`).join(', ');
+  const themeKeys = catalog.themes.map(theme => `"${theme}"`).join(', ');
+  return `
 You are a helpful assistant tasked with generating a JSON object for a "Create Campaign" form based on a user's prompt. The JSON object must have the following structure:
 
 {
   "title": "string",
   "description": "string",
-  "category": "string",      // one of: "political", "government", "trade", "advocacy", "religious", "education"
+  "category": "string",      // one of: ${categoryKeys}
   "subcategory": "string",   // one of the keys defined for the selected category (e.g., "voter_testimonials", "call_to_action", etc.)
-  "theme": "string",         // one of: "midnight", "sunset", "nature", "ocean", "aurora", "desert"
+  "theme": "string",         // one of: ${themeKeys}
   "surveyQuestions": ["string", "string", ...]
 }
 
-For any field you cannot determine, return an empty string "" as the default. Always include at least two survey questions. If the selected subcategory does not provide enough questions, add generic ones. If a subcategory is chosen, ensure its parent category is also provided; otherwise, both "category" and "subcategory" must be empty strings "" and surveyQuestions should default to an array with empty strings.
-
-### Campaign Categories and Subcategories:
-Use only the following categories and subcategories (with their corresponding keys and questions):
-
-- **political** (Political Campaigns):
-  - **voter_testimonials** (Voter & Supporter Testimonials):
-    - Questions: "Why do you support [Candidate Name] or [Ballot Measure]?", "What issue is most important to you in this election?", "How do you think [Candidate Name] will make a difference?"
-  - **call_to_action** (Call-to-Action Videos):
-    - Questions: "Why is it important for people to vote in this election?", "What message would you send to undecided voters?", "What would you say to encourage others to sign the petition or get involved?"
-  - **endorsements** (Endorsement Videos):
-    - Questions: "Why are you endorsing [Candidate Name]?", "What qualities make [Candidate Name] the right choice for this position?", "What impact do you believe [Candidate Name] will have on our community?"
-  - **issue_spotlights** (Campaign Issue Spotlights):
-    - Questions: "Why is [specific issue] so important to you?", "How has this issue impacted your life or community?", "What change would you like to see regarding this issue?"
-
-- **government** (Government Offices & Legislatures):
-  - **success_stories** (Constituent Success Stories):
-    - Questions: "What government service or program helped you?", "How did it make a difference in your life?", "What would you say to others who may need this service?"
-  - **legislative_impact** (Legislative Impact Stories):
-    - Questions: "How has [specific law or policy] affected you?", "What changes have you seen because of this policy?", "Why is it important for lawmakers to hear stories like yours?"
-  - **public_service** (Public Service Announcements):
-    - Questions: "What is one important message you'd like to share with our community?", "What do people need to know about [specific program or service]?", "How can people take advantage of [government program]?"
-  - **community_recognition** (Community Recognition & Spotlights):
-    - Questions: "Who in your community deserves recognition for their work?", "How has this person or organization positively impacted your area?", "What would you say to encourage others to support their efforts?"
-
-- **trade** (Trade & Professional Associations):
-  - **member_testimonials** (Member Testimonials):
-    - Questions: "What impact has [Association Name] had on your career or business?", "How has being a member helped you navigate challenges in your industry?", "Why would you encourage others to join [Association Name]?"
-  - **policy_impact** (Policy Impact Stories):
-    - Questions: "How has [specific legislation or regulation] affected your work?", "What challenges does your industry face due to current policies?", "What would you say to lawmakers about improving industry regulations?"
-  - **career_spotlights** (Career Spotlights):
-    - Questions: "What inspired you to join this industry?", "What advice would you give to someone considering a career in your field?", "What's one thing you love about your profession?"
-  - **advocacy_outreach** (Advocacy & Legislative Outreach):
-    - Questions: "What policy changes would benefit your industry the most?", "Why is it important for professionals like you to have a voice in policymaking?", "What would you say to lawmakers about supporting your industry?"
-
-- **advocacy** (Advocacy Groups):
-  - **impact_stories** (Personal Impact Stories):
-    - Questions: "How has [specific issue] affected you or your family?", "Why is this cause important to you?", "What message do you want to share with others about this issue?"
-  - **awareness_appeals** (Awareness & Action Appeals):
-    - Questions: "What do people need to know about [cause or issue]?", "Why is it urgent to take action now?", "What simple action can people take today to make a difference?"
-  - **call_to_government** (Call-to-Government):
-    - Questions: "What message would you like to send to lawmakers about [issue]?", "How has this policy affected your life?", "Why should elected officials take action on this?"
-  - **fundraising** (Fundraising & Grassroots Mobilization):
-    - Questions: "Why is it important to support this cause financially?", "How has donor support made a difference in this movement?", "What would you say to encourage someone to contribute or volunteer?"
-
-- **religious** (Churches & Faith-Based Organizations):
-  - **testimonies** (Testimonies & Sermon Reflections):
-    - Questions: "What's one takeaway from today's message that spoke to you?", "How has your faith journey been impacted by [Church Name]?", "Why is [specific biblical message] meaningful to you?"
-  - **volunteer_spotlights** (Volunteer & Ministry Spotlights):
-    - Questions: "Why do you serve at [Church Name]?", "What's one memorable experience you've had while volunteering?", "How has serving others deepened your faith?"
-  - **fundraising_appeals** (Fundraising & Giving Appeals):
-    - Questions: "Why do you give to [Church Name]?", "How has your generosity made an impact in the church or community?", "What would you say to encourage others to support this ministry?"
-  - **event_promotion** (Event Promotion & Invitations):
-    - Questions: "Why are you excited about [upcoming event] at [Church Name]?", "What can people expect when they attend this event?", "Who would you invite to join you and why?"
-
-- **education** (Universities, Schools, & Alumni Groups):
-  - **testimonials** (Student & Alumni Testimonials):
-    - Questions: "How has [School Name] shaped your life or career?", "What's one unforgettable experience from your time at [School Name]?", "Why would you recommend [School Name] to others?"
-  - **fundraising_appeals** (Fundraising & Donor Appeals):
-    - Questions: "Why do you support [School Name] as a donor?", "What impact has financial aid or scholarships had on students?", "What would you say to inspire others to give back?"
-  - **event_recaps** (Event Recaps & Invitations):
-    - Questions: "What made [recent event] a memorable experience for you?", "Why should alumni and students attend [upcoming event]?", "How did this event strengthen the [School Name] community?"
-  - **career_success** (Career & Internship Success Stories):
-    - Questions: "How did [School Name] prepare you for your career?", "What advice would you give to students entering your field?", "What opportunities did you gain through your university connections?"
-  - **policy_advocacy** (Policy & Funding Advocacy):
-    - Questions: "Why is it important to invest in education and research?", "How have funding decisions impacted students and faculty?", "What would you say to lawmakers about supporting education policy?"
-
-### Theme Options:
-Choose a theme from the following list: midnight, sunset, nature, ocean, aurora, desert.
-- Use "midnight" for a dark, sophisticated, or futuristic vibe.
-- Use "sunset" for a vibrant, warm, or sunset feel.
-- Use "nature" for an eco-friendly or fresh vibe.
-- Use "ocean" for a cool, refreshing, or aquatic vibe.
-- Use "aurora" for a colorful, dynamic, or ethereal vibe.
-- Use "desert" for a warm, earthy, or rustic vibe.
-If the prompt does not clearly indicate a specific vibe, return an empty string "".
+For any field you cannot determine, return an empty string "" as the default. Always include at least two survey questions. If the selected subcategory does not provide enough questions, add generic ones. If a subcategory is chosen, ensure its parent category is also provided; otherwise, both "category" and "subcategory" must be empty strings "" and surveyQuestions should contain generic questions.
+
+${buildTaxonomyPrompt(catalog)}
 
 ### Additional Instructions:
 - Use the user's prompt to determine the most appropriate values for each field.
@@ -127,6 +110,7 @@ If the prompt does not clearly indicate a specific vibe, return an empty string
 
 Now, generate a JSON object based on the following prompt:
 `;
+}
 
 // Default campaign data as a fallback
 const DEFAULT_CAMPAIGN_DATA = {
@@ -139,95 +123,104 @@ const DEFAULT_CAMPAIGN_DATA = {
 };
 
 // POST endpoint to generate campaign data
-router.post('/generate-campaign', async (req, res) => {
-  const { prompt } = req.body;
+router.post('/generate-campaign', verifyToken, async (req, res) => {
+  const { prompt, namespaceId } = req.body;
 
   // Log the received prompt
   console.log('Received prompt:', prompt);
 
   // Validate input
-  if (!prompt || typeof prompt !== 'string') {
+  if (!prompt || typeof prompt !== 'string' || prompt.length > MAX_PROMPT_LENGTH) {
     console.log('Invalid prompt received, using defaults');
     return res.status(200).json({
       status: 'error',
-      message: 'A string prompt is required',
+      message: `A string prompt of at most ${MAX_PROMPT_LENGTH} characters is required`,
       campaignData: DEFAULT_CAMPAIGN_DATA
     });
   }
 
+  // Check namespace membership, rate limits and the monthly allowance
+  let reservation;
+  try {
+    if (!namespaceId || typeof namespaceId !== 'string') {
+      return res.status(400).json({ error: 'namespaceId is required' });
+    }
+    const permission = await getUserPermission(namespaceId, req.user.email);
+    if (!permission || (permission !== 'read/write' && permission !== 'admin')) {
+      return res.status(403).json({ error: 'Insufficient permissions to generate campaigns in this namespace' });
+    }
+    const quota = await reserveGeneration(req.user.uid, namespaceId);
+    if (quota.status) {
+      console.warn(`[WARN] AI generation refused for user ${req.user.uid} (${quota.status}): ${quota.body.error}`);
+      if (quota.retryAfterSeconds) {
+        res.set('Retry-After', String(quota.retryAfterSeconds));
+      }
+      return res.status(quota.status).json(quota.body);
+    }
+    reservation = quota.reservation;
+  } catch (error) {
+    console.error('[ERROR] Error checking AI generation limits:', error);
+    return res.status(500).json({ error: 'Failed to check AI generation limits', message: error.message });
+  }
+
   let campaignData = { ...DEFAULT_CAMPAIGN_DATA };
   let responseStatus = 'success';
+  let used = reservation.used;
   let errorMessage = null;
+  let provider = null;
+  let corrections = [];
+  let repairAttempts = 0;
 
   try {
-    const fullPrompt = PREPROMPT + prompt;
-
-    // Call Gemini API
-    const response = await axios.post(
-      GEMINI_API_URL,
-      {
-        contents: [
-          {
-            parts: [
-              { text: fullPrompt }
-            ]
-          }
-        ]
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-goog-api-key': GEMINI_API_KEY
-        }
-      }
-    );
-
-    // Log the raw Gemini API response
-    console.log('Gemini API Response:', response.data);
-
-    // Extract and parse the generated text
-    const generatedText = response.data.candidates[0].content.parts[0].text;
-    const jsonMatch = generatedText.match(/```json\s*([\s\S]*?)\s*```/);
-    const jsonText = jsonMatch ? jsonMatch[1].trim() : generatedText.trim();
-
-    try {
-      const parsedData = JSON.parse(jsonText);
-      campaignData = {
-        ...DEFAULT_CAMPAIGN_DATA,
-        ...parsedData,
-        surveyQuestions: Array.isArray(parsedData.surveyQuestions) && parsedData.surveyQuestions.length > 0
-          ? parsedData.surveyQuestions
-          : DEFAULT_CAMPAIGN_DATA.surveyQuestions
-      };
-    } catch (parseError) {
-      console.error('Failed to parse Gemini response as JSON:', jsonText);
-      responseStatus = 'error';
-      errorMessage = 'Invalid JSON from Gemini API';
+    // Call the configured LLM provider (with retries, fallback and schema repair)
+    // The namespace's own categories are offered to the model and accepted by validation
+    const catalog = await getTaxonomyCatalog(namespaceId);
+    const result = await generateValidCampaign({ prompt: buildPreprompt(catalog) + prompt }, catalog);
+    campaignData = result.campaign;
+    provider = result.provider;
+    corrections = result.corrections;
+    repairAttempts = result.repairAttempts;
+    if (corrections.length > 0) {
+      console.log('Corrected generated campaign fields:', corrections);
     }
   } catch (error) {
-    console.error('Error calling Gemini API:', error.message);
+    console.error('Error generating campaign:', error.message);
+    if (await releaseGeneration(reservation)) {
+      used -= 1;
+    }
     responseStatus = 'error';
-    errorMessage = error.message || 'Failed to communicate with Gemini API';
+    errorMessage = error.message || 'Failed to communicate with the AI provider';
   }
 
-  // Ensure all required fields are present
-  const requiredFields = ['title', 'description', 'category', 'subcategory', 'theme', 'surveyQuestions'];
-  requiredFields.forEach((field) => {
-    if (!campaignData.hasOwnProperty(field) || campaignData[field] === undefined || campaignData[field] === null) {
-      campaignData[field] = DEFAULT_CAMPAIGN_DATA[field];
-    }
-  });
-
   // Construct and send response
   const jsonResponse = {
     status: responseStatus,
-    campaignData
+    campaignData,
+    provider,
+    corrections,
+    repairAttempts,
+    usage: { plan: reservation.plan, limit: reservation.limit, used }
   };
   if (errorMessage) {
     jsonResponse.message = errorMessage;
   }
 
-  res.status(200).json(jsonResponse);
+  res.status(responseStatus === 'success' ? 200 : 502).json(jsonResponse);
+});
+
+/**
+ * GET /ai/usage
+ * The current user's AI generation usage this month: { plan, period, limit, used, remaining,
+ * resetsAt, byNamespace, rateLimits }.
+ */
+router.get('/ai/usage', verifyToken, async (req, res) => {
+  try {
+    const usage = await getAiUsage(req.user.uid);
+    return res.status(200).json(usage);
+  } catch (error) {
+    console.error(`[ERROR] Error retrieving AI usage for user ${req.user.uid}:`, error);
+    return res.status(500).json({ error: 'Failed to retrieve AI usage', message: error.message });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
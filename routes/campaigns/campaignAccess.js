@@ -0,0 +1,337 @@
+/**
+ * Campaign Access API
+ *
+ * Campaigns have an "accessMode" that controls who may open the public survey page
+ * (GET /campaign/campaigns/survey/:id) and upload to it (POST /survey/upload):
+ *   - public:  anyone with the link (default).
+ *   - code:    callers must present the campaign's shared access code ("accessCode").
+ *   - invite:  callers must present a single-use invite token ("inviteToken"); each token accepts
+ *              one upload and tracks its page views.
+ * Access codes (8-64 characters) are stored hashed in "campaignAccess". Failed code attempts are
+ * counted per client IP and per campaign in "accessCodeAttempts"; too many from one IP within the
+ * window lock code checks for that IP for a while (429). Too many for a campaign alert its owner
+ * and slow down wrong answers, without refusing valid codes (see ACCESS_CODE_* in utils/campaignAccess.js).
+ * Invite tokens are stored by hash in
+ * "campaignInviteTokens" and are only returned once, when created, together with a survey URL
+ * built from SURVEY_PAGE_URL (e.g. https://amplify-pink.vercel.app/survey).
+ *
+ * Endpoints (all expect ?namespaceId=; reads require any membership, changes "read/write" or "admin"):
+ *   GET    /campaigns/:id/access                       - Get the access mode and token usage summary.
+ *   PUT    /campaigns/:id/access                       - Set the access mode and/or access code.
+ *                                                        Body: { accessMode?, accessCode? }.
+ *   POST   /campaigns/:id/invite-tokens                - Create invite tokens.
+ *                                                        Body: { count?, labels?, expiresAt? }.
+ *   GET    /campaigns/:id/invite-tokens                - List invite tokens with their usage.
+ *   DELETE /campaigns/:id/invite-tokens/:tokenId       - Revoke an unused invite token.
+ *
+ * @example
+ *   curl -X PUT -H "Authorization: Bearer YOUR_TOKEN" -H "Content-Type: application/json" \
+ *        -d '{ "accessMode": "code", "accessCode": "LOCAL504" }' \
+ *        "https://yourdomain.com/campaign/campaigns/CAMPAIGN_ID/access?namespaceId=NAMESPACE_ID"
+ *
+ *   curl -X POST -H "Authorization: Bearer YOUR_TOKEN" -H "Content-Type: application/json" \
+ *        -d '{ "labels": ["member 1041", "member 1042"] }' \
+ *        "https://yourdomain.com/campaign/campaigns/CAMPAIGN_ID/invite-tokens?namespaceId=NAMESPACE_ID"
+ */
+
+const express = require('express');
+const admin = require('../../config/firebase');
+const { verifyToken } = require('../../config/middleware');
+const { logActivity } = require('../../utils/activityLogger');
+const { isTrashed } = require('../../utils/campaignPurge');
+const {
+  AccessModes,
+  getAccessMode,
+  hashToken,
+  generateToken,
+  validateAccessCode,
+  buildAccessCodeDoc,
+  hasAccessCode
+} = require('../../utils/campaignAccess');
+
+const router = express.Router();
+const db = admin.firestore();
+
+const MAX_TOKENS_PER_REQUEST = 500;
+const SURVEY_PAGE_URL = (process.env.SURVEY_PAGE_URL || 'https://amplify-pink.vercel.app/survey').replace(/\/+$/, '');
+
+const tokensCollection = db.collection('campaignInviteTokens');
+
+/**
+ * Helper function to get the current user's permission for a namespace.
+ * Returns the permission string ("read/write", "readonly", or "admin")
+ * if the user is an active member, otherwise null.
+ *
+ * @param {string} namespaceId - The namespace ID.
+ * @param {string} userEmail - The user's email.
+ * @returns {Promise<string|null>}
+ */
+async function getUserPermission(namespaceId, userEmail) {
+  const nsDoc = await db.collection('namespaces').doc(namespaceId).get();
+  if (!nsDoc.exists) return null;
+  const nsData = nsDoc.data();
+  if (!nsData.members) return null;
+  const member = nsData.members.find(m => m.email.toLowerCase() === userEmail.toLowerCase() && m.status === 'active');
+  return member ? member.permission : null;
+}
+
+/**
+ * Helper function to load a campaign of the namespace given in the query string.
+ * Returns either { status, error } or { campaignRef, campaignData, namespaceId, permission }.
+ *
+ * @param {import('express').Request} req
+ * @param {boolean} write - Whether "read/write" or "admin" permission is required.
+ */
+async function loadCampaign(req, write) {
+  const namespaceId = req.query.namespaceId;
+  if (!namespaceId) {
+    return { status: 400, error: 'namespaceId query parameter is required' };
+  }
+  const campaignRef = db.collection('campaigns').doc(req.params.id);
+  const doc = await campaignRef.get();
+  if (!doc.exists) {
+    return { status: 404, error: 'Campaign not found' };
+  }
+  const campaignData = doc.data();
+  if (campaignData.namespaceId !== namespaceId) {
+    return { status: 403, error: 'Forbidden: Campaign does not belong to this namespace' };
+  }
+  if (isTrashed(campaignData)) {
+    return { status: 409, error: 'Campaign is in the trash' };
+  }
+  const permission = await getUserPermission(namespaceId, req.user.email);
+  if (!permission) {
+    return { status: 403, error: 'Forbidden: You do not have permission in this namespace' };
+  }
+  if (write && permission !== 'read/write' && permission !== 'admin') {
+    return { status: 403, error: 'Insufficient permissions to manage campaign access' };
+  }
+  return { campaignRef, campaignData, namespaceId, permission };
+}
+
+// Helper: API representation of an invite token (never includes the token itself)
+function formatToken(doc) {
+  const { campaignId, namespaceId, ...data } = doc.data();
+  return { id: doc.id, ...data, used: !!data.usedAt, revoked: !!data.revokedAt };
+}
+
+/**
+ * GET /campaigns/:id/access
+ * Get a campaign's access mode, whether an access code is set, and invite token counts.
+ */
+router.get('/campaigns/:id/access', verifyToken, async (req, res) => {
+  try {
+    const loaded = await loadCampaign(req, false);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const [codeSet, tokensSnapshot] = await Promise.all([
+      hasAccessCode(loaded.campaignRef.id),
+      tokensCollection.where('campaignId', '==', loaded.campaignRef.id).get()
+    ]);
+    const tokens = tokensSnapshot.docs.map(doc => doc.data());
+    return res.status(200).json({
+      accessMode: getAccessMode(loaded.campaignData),
+      hasAccessCode: codeSet,
+      inviteTokens: {
+        total: tokens.length,
+        used: tokens.filter(t => t.usedAt).length,
+        revoked: tokens.filter(t => t.revokedAt).length
+      }
+    });
+  } catch (error) {
+    console.error(`[ERROR] Error fetching access settings for campaign ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to fetch access settings', message: error.message });
+  }
+});
+
+/**
+ * PUT /campaigns/:id/access
+ * Set the access mode and/or replace the access code. Switching to "code" requires an access
+ * code to be set already or provided in the same request.
+ */
+router.put('/campaigns/:id/access', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const loaded = await loadCampaign(req, true);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const { campaignRef, campaignData, namespaceId } = loaded;
+    const { accessMode, accessCode } = req.body;
+    if (accessMode !== undefined && !Object.values(AccessModes).includes(accessMode)) {
+      return res.status(400).json({ error: `accessMode must be one of: ${Object.values(AccessModes).join(', ')}` });
+    }
+    if (accessCode !== undefined) {
+      const codeError = validateAccessCode(accessCode);
+      if (codeError) {
+        return res.status(400).json({ error: codeError });
+      }
+    }
+    if (accessMode === AccessModes.CODE && accessCode === undefined && !(await hasAccessCode(campaignRef.id))) {
+      return res.status(400).json({ error: 'accessCode is required to enable code access' });
+    }
+
+    const batch = db.batch();
+    if (accessCode !== undefined) {
+      batch.set(db.collection('campaignAccess').doc(campaignRef.id), await buildAccessCodeDoc(campaignRef.id, accessCode, userId));
+    }
+    if (accessMode !== undefined) {
+      batch.update(campaignRef, {
+        accessMode,
+        lastUpdatedBy: userId,
+        dateModified: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+    await batch.commit();
+    await logActivity(userId, 'campaign_access_updated', `Updated access settings of campaign: ${campaignData.name || 'Untitled'}`, namespaceId, {
+      campaignId: campaignRef.id,
+      accessMode: accessMode || getAccessMode(campaignData),
+      accessCodeChanged: accessCode !== undefined
+    });
+    return res.status(200).json({
+      accessMode: accessMode || getAccessMode(campaignData),
+      hasAccessCode: accessCode !== undefined || await hasAccessCode(campaignRef.id)
+    });
+  } catch (error) {
+    console.error(`[ERROR] Error updating access settings for campaign ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to update access settings', message: error.message });
+  }
+});
+
+/**
+ * POST /campaigns/:id/invite-tokens
+ * Create invite tokens: either one per entry of "labels" (e.g. member names or numbers), or
+ * "count" unlabeled tokens (default 1). Optional "expiresAt" (ISO date) applies to all of them.
+ * The raw tokens and ready-to-share survey URLs are only returned by this call.
+ */
+router.post('/campaigns/:id/invite-tokens', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const loaded = await loadCampaign(req, true);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const { campaignRef, campaignData, namespaceId } = loaded;
+    let labels;
+    if (req.body.labels !== undefined) {
+      if (!Array.isArray(req.body.labels) || !req.body.labels.every(l => typeof l === 'string')) {
+        return res.status(400).json({ error: 'labels must be an array of strings' });
+      }
+      labels = req.body.labels;
+    } else {
+      const count = req.body.count !== undefined ? parseInt(req.body.count, 10) : 1;
+      if (Number.isNaN(count) || count < 1) {
+        return res.status(400).json({ error: 'count must be a positive number' });
+      }
+      labels = new Array(count).fill('');
+    }
+    if (labels.length === 0 || labels.length > MAX_TOKENS_PER_REQUEST) {
+      return res.status(400).json({ error: `Between 1 and ${MAX_TOKENS_PER_REQUEST} tokens can be created at once` });
+    }
+    let expiresAt = null;
+    if (req.body.expiresAt) {
+      const millis = new Date(req.body.expiresAt).getTime();
+      if (Number.isNaN(millis) || millis <= Date.now()) {
+        return res.status(400).json({ error: 'expiresAt must be a valid date in the future' });
+      }
+      expiresAt = admin.firestore.Timestamp.fromMillis(millis);
+    }
+
+    const batch = db.batch();
+    const created = labels.map(label => {
+      const token = generateToken();
+      const tokenId = hashToken(token);
+      batch.set(tokensCollection.doc(tokenId), {
+        campaignId: campaignRef.id,
+        namespaceId,
+        label: label.trim(),
+        expiresAt,
+        viewCount: 0,
+        lastViewedAt: null,
+        usedAt: null,
+        usedByVideoId: null,
+        revokedAt: null,
+        createdBy: userId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return {
+        id: tokenId,
+        label: label.trim(),
+        token,
+        url: `${SURVEY_PAGE_URL}/${campaignRef.id}?inviteToken=${encodeURIComponent(token)}`
+      };
+    });
+    await batch.commit();
+    await logActivity(userId, 'campaign_invite_tokens_created', `Created ${created.length} invite token(s) for campaign: ${campaignData.name || 'Untitled'}`, namespaceId, {
+      campaignId: campaignRef.id,
+      count: created.length
+    });
+    return res.status(201).json({
+      accessMode: getAccessMode(campaignData),
+      expiresAt: expiresAt ? expiresAt.toDate().toISOString() : null,
+      tokens: created
+    });
+  } catch (error) {
+    console.error(`[ERROR] Error creating invite tokens for campaign ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to create invite tokens', message: error.message });
+  }
+});
+
+/**
+ * GET /campaigns/:id/invite-tokens
+ * List a campaign's invite tokens with their usage (view count, when and by which response
+ * they were used), newest first.
+ */
+router.get('/campaigns/:id/invite-tokens', verifyToken, async (req, res) => {
+  try {
+    const loaded = await loadCampaign(req, false);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const snapshot = await tokensCollection
+      .where('campaignId', '==', loaded.campaignRef.id)
+      .get();
+    const tokens = snapshot.docs
+      .map(formatToken)
+      .sort((a, b) => (b.createdAt ? b.createdAt.toMillis() : 0) - (a.createdAt ? a.createdAt.toMillis() : 0));
+    return res.status(200).json(tokens);
+  } catch (error) {
+    console.error(`[ERROR] Error fetching invite tokens for campaign ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to fetch invite tokens', message: error.message });
+  }
+});
+
+/**
+ * DELETE /campaigns/:id/invite-tokens/:tokenId
+ * Revoke an invite token. Used tokens stay on record and cannot be revoked.
+ */
+router.delete('/campaigns/:id/invite-tokens/:tokenId', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const loaded = await loadCampaign(req, true);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const tokenRef = tokensCollection.doc(req.params.tokenId);
+    const tokenDoc = await tokenRef.get();
+    if (!tokenDoc.exists || tokenDoc.data().campaignId !== loaded.campaignRef.id) {
+      return res.status(404).json({ error: 'Invite token not found' });
+    }
+    if (tokenDoc.data().usedAt) {
+      return res.status(409).json({ error: 'This invite token has already been used' });
+    }
+    await tokenRef.update({ revokedAt: admin.firestore.FieldValue.serverTimestamp(), revokedBy: userId });
+    await logActivity(userId, 'campaign_invite_token_revoked', 'Revoked an invite token', loaded.namespaceId, {
+      campaignId: loaded.campaignRef.id,
+      tokenId: tokenRef.id
+    });
+    const updatedDoc = await tokenRef.get();
+    return res.status(200).json(formatToken(updatedDoc));
+  } catch (error) {
+    console.error(`[ERROR] Error revoking invite token ${req.params.tokenId}:`, error);
+    return res.status(500).json({ error: 'Failed to revoke invite token', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,323 @@
+/**
+ * Campaign Approvals API
+ *
+ * Namespaces can require admin approval before campaigns go public ("requireCampaignApproval",
+ * set through PUT /namespaces/:id). In such a namespace the public survey, upload and link
+ * resolution routes refuse campaigns whose "approval.status" is not "approved".
+ * Members with "read/write" permission submit a campaign for review and admins approve or reject
+ * it with a comment. Any later change to the campaign's content withdraws the approval, so it has
+ * to be submitted again.
+ *
+ * Campaign field "approval": { status (none|pending|approved|rejected), submittedBy, submittedAt,
+ *   submittedRevision, submittedContentHash, reviewedBy, reviewedAt, comment, approvedRevision }.
+ * A decision only applies to the content that was submitted: if a revisioned field (see
+ * utils/campaignRevisions.js) was edited in the meantime the approve/reject request fails with 409.
+ * Edits to other fields (tags, folder, goal) do not affect a pending review.
+ * Every submission and decision is also kept in campaigns/{campaignId}/reviews.
+ *
+ * Endpoints (all expect ?namespaceId=):
+ *   GET  /approvals                            - List campaigns by review state (default "pending"; any membership).
+ *   GET  /campaigns/:id/reviews                - A campaign's review history, newest first (any membership).
+ *   POST /campaigns/:id/submit-for-review      - Submit a campaign for review (requires "read/write" or "admin").
+ *                                                Body: { comment? }.
+ *   POST /campaigns/:id/approve                - Approve a pending campaign (requires "admin"). Body: { comment? }.
+ *   POST /campaigns/:id/reject                 - Reject a pending campaign (requires "admin"). Body: { comment }.
+ *
+ * @example
+ *   curl -X POST -H "Authorization: Bearer YOUR_TOKEN" -H "Content-Type: application/json" \
+ *        -d '{ "comment": "Question 3 needs a disclaimer" }' \
+ *        "https://yourdomain.com/campaign/campaigns/CAMPAIGN_ID/reject?namespaceId=NAMESPACE_ID"
+ */
+
+const express = require('express');
+const admin = require('../../config/firebase');
+const { verifyToken } = require('../../config/middleware');
+const { logActivity } = require('../../utils/activityLogger');
+const { createAlert, findUserIdByEmail } = require('../../utils/alerts');
+const { getEffectiveStatus } = require('../../utils/campaignLifecycle');
+const { isTrashed } = require('../../utils/campaignPurge');
+const { ApprovalStatuses, getApprovalStatus } = require('../../utils/campaignApproval');
+const { hashRevisionedContent } = require('../../utils/campaignRevisions');
+
+const router = express.Router();
+const db = admin.firestore();
+
+/**
+ * Helper function to get the current user's permission for a namespace.
+ * Returns the permission string ("read/write", "readonly", or "admin")
+ * if the user is an active member, otherwise null.
+ *
+ * @param {string} namespaceId - The namespace ID.
+ * @param {string} userEmail - The user's email.
+ * @returns {Promise<string|null>}
+ */
+async function getUserPermission(namespaceId, userEmail) {
+  const nsDoc = await db.collection('namespaces').doc(namespaceId).get();
+  if (!nsDoc.exists) return null;
+  const nsData = nsDoc.data();
+  if (!nsData.members) return null;
+  const member = nsData.members.find(m => m.email.toLowerCase() === userEmail.toLowerCase() && m.status === 'active');
+  return member ? member.permission : null;
+}
+
+/**
+ * Helper function to load a campaign of the namespace given in the query string.
+ * Returns either { status, error } or { campaignRef, campaignData, namespaceId, permission }.
+ */
+async function loadCampaign(req) {
+  const namespaceId = req.query.namespaceId;
+  if (!namespaceId) {
+    return { status: 400, error: 'namespaceId query parameter is required' };
+  }
+  const campaignRef = db.collection('campaigns').doc(req.params.id);
+  const doc = await campaignRef.get();
+  if (!doc.exists) {
+    return { status: 404, error: 'Campaign not found' };
+  }
+  const campaignData = doc.data();
+  if (campaignData.namespaceId !== namespaceId) {
+    return { status: 403, error: 'Forbidden: Campaign does not belong to this namespace' };
+  }
+  if (isTrashed(campaignData)) {
+    return { status: 409, error: 'Campaign is in the trash' };
+  }
+  const permission = await getUserPermission(namespaceId, req.user.email);
+  if (!permission) {
+    return { status: 403, error: 'Forbidden: You do not have permission in this namespace' };
+  }
+  return { campaignRef, campaignData, namespaceId, permission };
+}
+
+/**
+ * Helper function to apply a review action in a transaction: re-read the campaign, let decide()
+ * check its current state and build the change, then update "approval" and record the action in
+ * the reviews subcollection. decide(campaignData) returns either { status, error, details? } or
+ * { approval, review }.
+ * Returns either { status, error, details? } or { campaignData, updated } (campaignData as it was
+ * before the change, updated as the API returns it).
+ */
+async function recordReview(campaignRef, decide) {
+  const result = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(campaignRef);
+    if (!doc.exists) {
+      return { status: 404, error: 'Campaign not found' };
+    }
+    const campaignData = doc.data();
+    if (isTrashed(campaignData)) {
+      return { status: 409, error: 'Campaign is in the trash' };
+    }
+    const decision = decide(campaignData);
+    if (decision.error) {
+      return decision;
+    }
+    transaction.update(campaignRef, { approval: decision.approval });
+    transaction.set(campaignRef.collection('reviews').doc(), {
+      ...decision.review,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { campaignData };
+  });
+  if (result.error) {
+    return result;
+  }
+  const updatedDoc = await campaignRef.get();
+  const updatedData = updatedDoc.data();
+  return {
+    campaignData: result.campaignData,
+    updated: { id: updatedDoc.id, ...updatedData, status: getEffectiveStatus(updatedData) }
+  };
+}
+
+/**
+ * GET /approvals
+ * List the namespace's campaigns in a review state (?status=pending|approved|rejected|none,
+ * default pending), oldest submission first.
+ */
+router.get('/approvals', verifyToken, async (req, res) => {
+  try {
+    const namespaceId = req.query.namespaceId;
+    if (!namespaceId) {
+      return res.status(400).json({ error: 'namespaceId query parameter is required' });
+    }
+    const status = req.query.status || ApprovalStatuses.PENDING;
+    if (!Object.values(ApprovalStatuses).includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${Object.values(ApprovalStatuses).join(', ')}` });
+    }
+    const permission = await getUserPermission(namespaceId, req.user.email);
+    if (!permission) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission in this namespace' });
+    }
+    const snapshot = await db.collection('campaigns')
+      .where('namespaceId', '==', namespaceId)
+      .get();
+    const submittedAt = (c) => (c.approval && c.approval.submittedAt ? c.approval.submittedAt.toMillis() : 0);
+    const campaigns = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(c => !isTrashed(c) && getApprovalStatus(c) === status)
+      .sort((a, b) => submittedAt(a) - submittedAt(b))
+      .map(({ campaignImage, explainerVideo, ...c }) => ({ ...c, status: getEffectiveStatus(c), userPermission: permission }));
+    return res.status(200).json(campaigns);
+  } catch (error) {
+    console.error('[ERROR] Error fetching campaign approvals:', error);
+    return res.status(500).json({ error: 'Failed to fetch approvals', message: error.message });
+  }
+});
+
+/**
+ * GET /campaigns/:id/reviews
+ * A campaign's submissions and review decisions, newest first.
+ */
+router.get('/campaigns/:id/reviews', verifyToken, async (req, res) => {
+  try {
+    const loaded = await loadCampaign(req);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const snapshot = await loaded.campaignRef.collection('reviews')
+      .orderBy('createdAt', 'desc')
+      .get();
+    return res.status(200).json(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+  } catch (error) {
+    console.error(`[ERROR] Error fetching reviews for campaign ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to fetch reviews', message: error.message });
+  }
+});
+
+/**
+ * POST /campaigns/:id/submit-for-review
+ * Submit a campaign for admin review. Admins of the namespace are alerted.
+ */
+router.post('/campaigns/:id/submit-for-review', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const loaded = await loadCampaign(req);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const { campaignRef, namespaceId, permission } = loaded;
+    if (permission !== 'read/write' && permission !== 'admin') {
+      return res.status(403).json({ error: 'Insufficient permissions to submit campaign for review' });
+    }
+    const comment = req.body.comment || '';
+    const reviewed = await recordReview(campaignRef, (current) => {
+      const currentStatus = getApprovalStatus(current);
+      if (currentStatus === ApprovalStatuses.PENDING || currentStatus === ApprovalStatuses.APPROVED) {
+        return { status: 409, error: `Campaign is already ${currentStatus}` };
+      }
+      const revisionNumber = current.revisionCount || 0;
+      return {
+        approval: {
+          status: ApprovalStatuses.PENDING,
+          submittedBy: userId,
+          submittedAt: admin.firestore.FieldValue.serverTimestamp(),
+          submittedRevision: revisionNumber,
+          submittedContentHash: hashRevisionedContent(current),
+          reviewedBy: null,
+          reviewedAt: null,
+          comment
+        },
+        review: { action: 'submitted', userId, comment, revisionNumber }
+      };
+    });
+    if (reviewed.error) {
+      return res.status(reviewed.status).json({ error: reviewed.error });
+    }
+    const { campaignData, updated } = reviewed;
+
+    const nsDoc = await db.collection('namespaces').doc(namespaceId).get();
+    const admins = (nsDoc.data().members || [])
+      .filter(m => m.status === 'active' && m.permission === 'admin' && m.email.toLowerCase() !== req.user.email.toLowerCase());
+    for (const member of admins) {
+      const adminId = await findUserIdByEmail(member.email);
+      if (adminId) {
+        await createAlert(adminId, 'campaign_review_requested', `Campaign "${campaignData.name || 'Untitled'}" is waiting for your approval`, namespaceId, { campaignId: campaignRef.id });
+      }
+    }
+    await logActivity(userId, 'campaign_submitted_for_review', `Submitted campaign for review: ${campaignData.name || 'Untitled'}`, namespaceId, { campaignId: campaignRef.id });
+    return res.status(200).json({ ...updated, userPermission: permission });
+  } catch (error) {
+    console.error(`[ERROR] Error submitting campaign ${req.params.id} for review:`, error);
+    return res.status(500).json({ error: 'Failed to submit campaign for review', message: error.message });
+  }
+});
+
+// Register the admin decisions: approve (comment optional) and reject (comment required).
+const Decisions = {
+  approve: { status: ApprovalStatuses.APPROVED, activity: 'campaign_approved', verb: 'approved', commentRequired: false },
+  reject: { status: ApprovalStatuses.REJECTED, activity: 'campaign_rejected', verb: 'rejected', commentRequired: true }
+};
+
+for (const [action, decision] of Object.entries(Decisions)) {
+  /**
+   * POST /campaigns/:id/approve | /campaigns/:id/reject
+   * Decide on a pending campaign. The submitter is alerted.
+   */
+  router.post(`/campaigns/:id/${action}`, verifyToken, async (req, res) => {
+    try {
+      const userId = req.user.uid;
+      const loaded = await loadCampaign(req);
+      if (loaded.error) {
+        return res.status(loaded.status).json({ error: loaded.error });
+      }
+      const { campaignRef, namespaceId, permission } = loaded;
+      if (permission !== 'admin') {
+        return res.status(403).json({ error: `Only admins can ${action} campaigns` });
+      }
+      const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+      if (decision.commentRequired && !comment) {
+        return res.status(400).json({ error: 'A comment is required' });
+      }
+      // Checked against the campaign as it is when the decision is written, so an edit made
+      // after the page was loaded cannot be approved unseen
+      const reviewed = await recordReview(campaignRef, (current) => {
+        const currentStatus = getApprovalStatus(current);
+        if (currentStatus !== ApprovalStatuses.PENDING) {
+          return { status: 409, error: 'Campaign is not pending review', details: { approvalStatus: currentStatus } };
+        }
+        const revisionNumber = current.revisionCount || 0;
+        const { submittedRevision, submittedContentHash } = current.approval;
+        // Submissions made before content hashes were recorded are checked by revision number.
+        const changed = submittedContentHash !== undefined
+          ? submittedContentHash !== hashRevisionedContent(current)
+          : submittedRevision !== undefined && submittedRevision !== revisionNumber;
+        if (changed) {
+          return {
+            status: 409,
+            error: 'Campaign has changed since it was submitted for review',
+            details: { submittedRevision, currentRevision: revisionNumber }
+          };
+        }
+        return {
+          approval: {
+            ...current.approval,
+            status: decision.status,
+            reviewedBy: userId,
+            reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+            comment,
+            approvedRevision: decision.status === ApprovalStatuses.APPROVED ? revisionNumber : null
+          },
+          review: { action: decision.verb, userId, comment, revisionNumber }
+        };
+      });
+      if (reviewed.error) {
+        return res.status(reviewed.status).json({ error: reviewed.error, ...reviewed.details });
+      }
+      const { campaignData, updated } = reviewed;
+
+      const submitterId = campaignData.approval.submittedBy;
+      if (submitterId && submitterId !== userId) {
+        await createAlert(submitterId, decision.activity, `Campaign "${campaignData.name || 'Untitled'}" was ${decision.verb}${comment ? `: ${comment}` : ''}`, namespaceId, { campaignId: campaignRef.id });
+      }
+      await logActivity(userId, decision.activity, `${decision.verb[0].toUpperCase()}${decision.verb.slice(1)} campaign: ${campaignData.name || 'Untitled'}`, namespaceId, {
+        campaignId: campaignRef.id,
+        comment
+      });
+      return res.status(200).json({ ...updated, userPermission: permission });
+    } catch (error) {
+      console.error(`[ERROR] Error processing ${action} for campaign ${req.params.id}:`, error);
+      return res.status(500).json({ error: `Failed to ${action} campaign`, message: error.message });
+    }
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,306 @@
+/**
+ * Campaign Bundles API
+ *
+ * A bundle is a self-contained JSON file holding a campaign's configuration, its consent terms
+ * text and its assets (campaignImage inline, the explainer video and poster from Cloud Storage as base64),
+ * so a campaign can be moved between namespaces or Firebase projects. See utils/campaignBundle.js
+ * for the format. Survey responses, revisions and analytics are not part of a bundle.
+ *
+ * Endpoints:
+ *   GET  /campaigns/:id/export   - Download a campaign as a bundle (requires "read/write" or "admin").
+ *   POST /campaigns/import       - Create a draft campaign from a bundle in the namespace given by
+ *                                  ?namespaceId= (requires "read/write" or "admin"). The bundle is sent
+ *                                  as a multipart file field "bundle" (at most CAMPAIGN_BUNDLE_MAX_MB,
+ *                                  default 100) or, for small bundles without assets, as a JSON body
+ *                                  { bundle }.
+ *
+ * On import the campaign gets a new ID, starts as a draft without a schedule, and records its origin
+ * in "importedFrom". A bundled explainer video goes through the same background processing as a
+ * direct upload (validated, transcoded, new poster; see utils/explainerVideo.js), so it is only
+ * attached once the campaign's "explainerProcessing.status" is "ready". The category, subcategory
+ * and theme must exist in the target namespace's taxonomy (see utils/campaignTaxonomy.js).
+ * Consent terms are recreated in the target namespace when the importer is an admin there;
+ * otherwise the campaign is imported without terms and a warning is returned.
+ * The access mode is kept, but access codes and invite tokens are never exported: restricted
+ * campaigns need a new code or new tokens (see campaignAccess.js) before anyone can respond.
+ *
+ * @example
+ *   curl -H "Authorization: Bearer YOUR_TOKEN" -o bundle.json \
+ *        "https://yourdomain.com/campaign/campaigns/CAMPAIGN_ID/export?namespaceId=NAMESPACE_ID"
+ *
+ *   curl -X POST -H "Authorization: Bearer YOUR_TOKEN" -F "bundle=@bundle.json" \
+ *        "https://yourdomain.com/campaign/campaigns/import?namespaceId=OTHER_NAMESPACE_ID"
+ */
+
+const fs = require('fs');
+const os = require('os');
+const express = require('express');
+const multer = require('multer');
+const admin = require('../../config/firebase');
+const { verifyToken } = require('../../config/middleware');
+const { logActivity } = require('../../utils/activityLogger');
+const { CampaignStatuses, getEffectiveStatus } = require('../../utils/campaignLifecycle');
+const { isTrashed } = require('../../utils/campaignPurge');
+const { getCurrentConsentTerms } = require('../../utils/consentTerms');
+const { DEFAULT_LOCALE } = require('../../utils/campaignLocalization');
+const { buildBundle, parseBundle } = require('../../utils/campaignBundle');
+const { getExplainerPaths, claimExplainerProcessing, runExplainerProcessing } = require('../../utils/explainerVideo');
+const { AccessModes } = require('../../utils/campaignAccess');
+const { validateCategoryPair, getTaxonomyCatalog } = require('../../utils/campaignTaxonomy');
+
+const router = express.Router();
+const db = admin.firestore();
+
+// Bundles carry the explainer video, so they are uploaded as files rather than JSON bodies.
+// The upload is written to a temporary file instead of being buffered while it arrives.
+const MAX_BUNDLE_MB = parseInt(process.env.CAMPAIGN_BUNDLE_MAX_MB, 10) || 100;
+const upload = multer({
+  storage: multer.diskStorage({ destination: os.tmpdir() }),
+  limits: { fileSize: MAX_BUNDLE_MB * 1024 * 1024 }
+});
+
+// Helper: accept the "bundle" file field, answering upload errors (e.g. too large) with 400
+function uploadBundle(req, res, next) {
+  upload.single('bundle')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: error.code === 'LIMIT_FILE_SIZE' ? `Bundle too large (max ${MAX_BUNDLE_MB}MB)` : 'Multer error: ' + error.message });
+    }
+    return next(error);
+  });
+}
+
+/**
+ * Helper function to get the current user's permission for a namespace.
+ * Returns the permission string ("read/write", "readonly", or "admin")
+ * if the user is an active member, otherwise null.
+ *
+ * @param {string} namespaceId - The namespace ID.
+ * @param {string} userEmail - The user's email.
+ * @returns {Promise<string|null>}
+ */
+async function getUserPermission(namespaceId, userEmail) {
+  const nsDoc = await db.collection('namespaces').doc(namespaceId).get();
+  if (!nsDoc.exists) return null;
+  const nsData = nsDoc.data();
+  if (!nsData.members) return null;
+  const member = nsData.members.find(m => m.email.toLowerCase() === userEmail.toLowerCase() && m.status === 'active');
+  return member ? member.permission : null;
+}
+
+// Helper: download a file from the default bucket, or null if it does not exist
+async function downloadIfExists(filePath) {
+  const file = admin.storage().bucket().file(filePath);
+  const [exists] = await file.exists();
+  return exists ? (await file.download())[0] : null;
+}
+
+/**
+ * GET /campaigns/:id/export
+ * Download a campaign as a bundle file.
+ * Expects a query parameter: namespaceId.
+ */
+router.get('/campaigns/:id/export', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const campaignId = req.params.id;
+    const namespaceId = req.query.namespaceId;
+    if (!namespaceId) {
+      return res.status(400).json({ error: 'namespaceId query parameter is required' });
+    }
+    const doc = await db.collection('campaigns').doc(campaignId).get();
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    const campaignData = doc.data();
+    if (campaignData.namespaceId !== namespaceId) {
+      return res.status(403).json({ error: 'Forbidden: Campaign does not belong to this namespace' });
+    }
+    if (isTrashed(campaignData)) {
+      return res.status(404).json({ error: 'Campaign is in the trash', trashed: true });
+    }
+    const permission = await getUserPermission(namespaceId, req.user.email);
+    if (!permission || (permission !== 'read/write' && permission !== 'admin')) {
+      return res.status(403).json({ error: 'Insufficient permissions to export campaign' });
+    }
+
+    console.info(`[INFO] Exporting campaign ${campaignId} from namespace ${namespaceId}`);
+    const explainerPaths = getExplainerPaths(campaignId);
+    const bundle = buildBundle({
+      campaignId,
+      campaignData,
+      projectId: admin.app().options.projectId || null,
+      consentTerms: await getCurrentConsentTerms(campaignData.consentTermsId),
+      explainerVideo: await downloadIfExists(explainerPaths.video),
+      explainerPoster: await downloadIfExists(explainerPaths.poster)
+    });
+
+    await logActivity(userId, 'campaign_exported', `Exported campaign: ${campaignData.name || 'Untitled'}`, namespaceId, { campaignId });
+    const fileName = `campaign-${campaignId}.json`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    return res.status(200).json(bundle);
+  } catch (error) {
+    console.error(`[ERROR] Error exporting campaign ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to export campaign', message: error.message });
+  }
+});
+
+/**
+ * POST /campaigns/import
+ * Create a draft campaign from a bundle.
+ * Expects a query parameter: namespaceId (the target namespace).
+ * Optional body field: name (overrides the bundled name).
+ * Invalid bundles are rejected with 400 and a list of problems in "details".
+ */
+router.post('/campaigns/import', verifyToken, uploadBundle, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const namespaceId = req.query.namespaceId;
+    if (!namespaceId) {
+      return res.status(400).json({ error: 'namespaceId query parameter is required' });
+    }
+    const nsDoc = await db.collection('namespaces').doc(namespaceId).get();
+    if (!nsDoc.exists) {
+      return res.status(404).json({ error: 'Namespace not found' });
+    }
+    const permission = await getUserPermission(namespaceId, req.user.email);
+    if (!permission || (permission !== 'read/write' && permission !== 'admin')) {
+      return res.status(403).json({ error: 'Insufficient permissions to import a campaign' });
+    }
+    const input = req.file ? await fs.promises.readFile(req.file.path) : req.body.bundle;
+    if (!input) {
+      return res.status(400).json({ error: 'A bundle is required (file field "bundle" or JSON body { bundle })' });
+    }
+    const parsed = parseBundle(input);
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid bundle', details: parsed.errors });
+    }
+    const catalog = await getTaxonomyCatalog(namespaceId);
+    const taxonomyError = validateCategoryPair(parsed.campaign.category, parsed.campaign.subcategory, catalog.categories);
+    if (taxonomyError) {
+      parsed.errors.push(taxonomyError);
+    }
+    if (parsed.campaign.theme && !catalog.themes.includes(parsed.campaign.theme)) {
+      parsed.errors.push(`Unknown theme "${parsed.campaign.theme}"`);
+    }
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid bundle', details: parsed.errors });
+    }
+
+    const warnings = [];
+    const campaignRef = db.collection('campaigns').doc();
+    const explainerPaths = getExplainerPaths(campaignRef.id);
+    const batch = db.batch();
+
+    // Consent terms belong to a namespace, so they are recreated under a new ID.
+    let consentTermsId = null;
+    if (parsed.consentTerms && permission === 'admin') {
+      const termsRef = db.collection('consentTerms').doc();
+      batch.set(termsRef, {
+        namespaceId,
+        name: parsed.consentTerms.name,
+        currentVersion: 1,
+        currentText: parsed.consentTerms.text,
+        importedFromCampaignId: parsed.source.campaignId || null,
+        createdBy: userId,
+        lastUpdatedBy: userId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastModified: admin.firestore.FieldValue.serverTimestamp()
+      });
+      batch.set(termsRef.collection('versions').doc('1'), {
+        version: 1,
+        text: parsed.consentTerms.text,
+        createdBy: userId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      consentTermsId = termsRef.id;
+    } else if (parsed.consentTerms) {
+      warnings.push('Consent terms were not imported because only admins can create consent terms; attach terms before publishing');
+    }
+
+    const campaign = parsed.campaign;
+    const accessMode = Object.values(AccessModes).includes(campaign.accessMode) ? campaign.accessMode : AccessModes.PUBLIC;
+    if (accessMode === AccessModes.CODE) {
+      warnings.push('The campaign requires an access code; set a new one before publishing');
+    } else if (accessMode === AccessModes.INVITE) {
+      warnings.push('The campaign is invite-only; create invite tokens before sharing it');
+    }
+    batch.set(campaignRef, {
+      name: req.body.name || campaign.name || 'Untitled',
+      title: campaign.title || '',
+      description: campaign.description || '',
+      category: campaign.category || '',
+      subcategory: campaign.subcategory || '',
+      theme: campaign.theme || '',
+      campaignImage: campaign.campaignImage || '',
+      customColors: campaign.customColors !== undefined ? campaign.customColors : '',
+      surveyQuestions: campaign.surveyQuestions || [],
+      hasExplainerVideo: false,
+      explainerVideoPath: null,
+      explainerPosterPath: null,
+      explainerDurationSeconds: null,
+      intakeFields: campaign.intakeFields || [],
+      consentTermsId,
+      defaultLocale: campaign.defaultLocale || DEFAULT_LOCALE,
+      translations: campaign.translations || {},
+      tags: campaign.tags || [],
+      folderId: null,
+      accessMode,
+      status: CampaignStatuses.DRAFT,
+      opensAt: null,
+      closesAt: null,
+      namespaceId,
+      importedFrom: {
+        projectId: parsed.source.projectId || null,
+        campaignId: parsed.source.campaignId || null,
+        namespaceId: parsed.source.namespaceId || null,
+        consentTermsVersion: parsed.consentTerms ? parsed.consentTerms.version || null : null
+      },
+      responsesCount: 0,
+      createdBy: userId,
+      lastUpdatedBy: userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      dateModified: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    // The bundled explainer is stored like a direct upload and processed once the campaign exists;
+    // the bundled poster is not used, processing captures a new one.
+    if (parsed.explainerVideo) {
+      await admin.storage().bucket().file(explainerPaths.source)
+        .save(parsed.explainerVideo, { contentType: 'video/mp4', resumable: false });
+    }
+    await batch.commit();
+    if (parsed.explainerVideo) {
+      const claimed = await claimExplainerProcessing(campaignRef, userId);
+      // Not awaited, as in POST /campaigns/:id/explainer/finalize.
+      runExplainerProcessing(campaignRef, claimed.jobId, userId);
+    }
+
+    await logActivity(userId, 'campaign_imported', `Imported campaign: ${campaign.name || 'Untitled'}`, namespaceId, {
+      campaignId: campaignRef.id,
+      sourceCampaignId: parsed.source.campaignId || null,
+      consentTermsId
+    });
+    const createdDoc = await campaignRef.get();
+    const createdData = createdDoc.data();
+    console.info(`[INFO] Imported campaign ${campaignRef.id} into namespace ${namespaceId}`);
+    return res.status(201).json({
+      id: createdDoc.id,
+      ...createdData,
+      status: getEffectiveStatus(createdData),
+      userPermission: permission,
+      aiVideoCount: 0,
+      responsesCount: 0,
+      explainerImported: !!parsed.explainerVideo,
+      warnings
+    });
+  } catch (error) {
+    console.error('[ERROR] Error importing campaign bundle:', error);
+    return res.status(500).json({ error: 'Failed to import campaign', message: error.message });
+  } finally {
+    if (req.file) {
+      await fs.promises.rm(req.file.path, { force: true });
+    }
+  }
+});
+
+module.exports = router;
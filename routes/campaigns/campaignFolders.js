@@ -0,0 +1,466 @@
+/**
+ * Campaign Folders and Tags API
+ *
+ * Campaigns can be organized per namespace with nested folders and free-form tags, independent
+ * of the fixed category/subcategory taxonomy. A campaign is in at most one folder ("folderId",
+ * null for unfiled) and has any number of tags ("tags", normalized to lowercase).
+ * GET /campaign/campaigns filters by folder (folderId, includeSubfolders) and tag (tag).
+ *
+ * The "campaignFolders" collection documents have fields:
+ *   - namespaceId, name, parentId (null for root-level folders)
+ *   - createdBy, lastUpdatedBy, createdAt, lastModified
+ *
+ * Endpoints (all expect ?namespaceId=; reads require any membership, writes "read/write" or "admin"):
+ *   GET    /folders                 - List the namespace's folders with their campaign counts.
+ *   POST   /folders                 - Create a folder. Body: { name, parentId? }.
+ *   PUT    /folders/:id             - Rename and/or move a folder. Body: { name?, parentId? }.
+ *   DELETE /folders/:id             - Delete a folder; its subfolders and campaigns move to its parent.
+ *   POST   /campaigns/move          - Move campaigns into a folder in bulk. Body: { campaignIds, folderId }
+ *                                     (folderId null moves them out of any folder).
+ *   GET    /tags                    - List the tags used in the namespace with campaign counts.
+ *   POST   /campaigns/tags          - Add and/or remove tags on campaigns in bulk.
+ *                                     Body: { campaignIds, add?: [], remove?: [] }.
+ *   PUT    /tags/:tag               - Rename a tag on every campaign of the namespace. Body: { name }.
+ *   DELETE /tags/:tag               - Remove a tag from every campaign of the namespace.
+ *
+ * @example
+ *   curl -X POST -H "Authorization: Bearer YOUR_TOKEN" -H "Content-Type: application/json" \
+ *        -d '{ "name": "2026 midterms" }' "https://yourdomain.com/campaign/folders?namespaceId=NAMESPACE_ID"
+ *
+ *   curl -X POST -H "Authorization: Bearer YOUR_TOKEN" -H "Content-Type: application/json" \
+ *        -d '{ "campaignIds": ["ID1", "ID2"], "folderId": "FOLDER_ID" }' \
+ *        "https://yourdomain.com/campaign/campaigns/move?namespaceId=NAMESPACE_ID"
+ */
+
+const express = require('express');
+const admin = require('../../config/firebase');
+const { verifyToken } = require('../../config/middleware');
+const { logActivity } = require('../../utils/activityLogger');
+const { isTrashed } = require('../../utils/campaignPurge');
+const {
+  normalizeTag,
+  normalizeTags,
+  getNamespaceFolders,
+  validateFolderParent,
+  validateFolderName
+} = require('../../utils/campaignOrganization');
+
+const router = express.Router();
+const db = admin.firestore();
+
+// Firestore batches are limited to 500 writes.
+const MAX_BULK_CAMPAIGNS = 500;
+
+const foldersCollection = db.collection('campaignFolders');
+
+/**
+ * Helper function to get the current user's permission for a namespace.
+ * Returns the permission string ("read/write", "readonly", or "admin")
+ * if the user is an active member, otherwise null.
+ *
+ * @param {string} namespaceId - The namespace ID.
+ * @param {string} userEmail - The user's email.
+ * @returns {Promise<string|null>}
+ */
+async function getUserPermission(namespaceId, userEmail) {
+  const nsDoc = await db.collection('namespaces').doc(namespaceId).get();
+  if (!nsDoc.exists) return null;
+  const nsData = nsDoc.data();
+  if (!nsData.members) return null;
+  const member = nsData.members.find(m => m.email.toLowerCase() === userEmail.toLowerCase() && m.status === 'active');
+  return member ? member.permission : null;
+}
+
+/**
+ * Helper function to check the namespaceId query parameter and the user's permission.
+ * Returns either { status, error } or { namespaceId, permission }.
+ *
+ * @param {import('express').Request} req
+ * @param {boolean} write - Whether "read/write" or "admin" permission is required.
+ */
+async function authorize(req, write) {
+  const namespaceId = req.query.namespaceId;
+  if (!namespaceId) {
+    return { status: 400, error: 'namespaceId query parameter is required' };
+  }
+  const permission = await getUserPermission(namespaceId, req.user.email);
+  if (!permission) {
+    return { status: 403, error: 'Forbidden: You do not have permission in this namespace' };
+  }
+  if (write && permission !== 'read/write' && permission !== 'admin') {
+    return { status: 403, error: 'Insufficient permissions to organize campaigns' };
+  }
+  return { namespaceId, permission };
+}
+
+/**
+ * Helper function to load the campaigns named in a bulk request.
+ * Returns either { status, error } or { docs }.
+ *
+ * @param {*} campaignIds - The requested IDs.
+ * @param {string} namespaceId - Every campaign must belong to this namespace.
+ */
+async function loadBulkCampaigns(campaignIds, namespaceId) {
+  if (!Array.isArray(campaignIds) || campaignIds.length === 0 || !campaignIds.every(id => typeof id === 'string' && id)) {
+    return { status: 400, error: 'campaignIds must be a non-empty array of campaign IDs' };
+  }
+  const uniqueIds = [...new Set(campaignIds)];
+  if (uniqueIds.length > MAX_BULK_CAMPAIGNS) {
+    return { status: 400, error: `At most ${MAX_BULK_CAMPAIGNS} campaigns can be updated at once` };
+  }
+  const docs = await db.getAll(...uniqueIds.map(id => db.collection('campaigns').doc(id)));
+  const missing = docs.filter(doc => !doc.exists || doc.data().namespaceId !== namespaceId || isTrashed(doc.data()));
+  if (missing.length > 0) {
+    return { status: 404, error: 'Some campaigns were not found in this namespace', campaignIds: missing.map(doc => doc.id) };
+  }
+  return { docs };
+}
+
+/**
+ * Helper function to fetch the namespace's campaigns that are not in the trash.
+ */
+async function getNamespaceCampaigns(namespaceId) {
+  const snapshot = await db.collection('campaigns')
+    .where('namespaceId', '==', namespaceId)
+    .get();
+  return snapshot.docs.filter(doc => !isTrashed(doc.data()));
+}
+
+/**
+ * GET /folders
+ * List the namespace's folders (flat, linked by parentId), sorted by name.
+ * Each folder includes "campaignCount" (campaigns directly in it).
+ */
+router.get('/folders', verifyToken, async (req, res) => {
+  try {
+    const auth = await authorize(req, false);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const [folders, campaignDocs] = await Promise.all([
+      getNamespaceFolders(auth.namespaceId),
+      getNamespaceCampaigns(auth.namespaceId)
+    ]);
+    const counts = {};
+    for (const doc of campaignDocs) {
+      const folderId = doc.data().folderId;
+      if (folderId) counts[folderId] = (counts[folderId] || 0) + 1;
+    }
+    const result = [...folders.values()]
+      .map(folder => ({ ...folder, campaignCount: counts[folder.id] || 0 }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('[ERROR] Error fetching campaign folders:', error);
+    return res.status(500).json({ error: 'Failed to fetch folders', message: error.message });
+  }
+});
+
+/**
+ * POST /folders
+ * Create a folder, optionally inside another folder.
+ */
+router.post('/folders', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const auth = await authorize(req, true);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { name, parentId = null } = req.body;
+    const nameError = validateFolderName(name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+    const folders = await getNamespaceFolders(auth.namespaceId);
+    const parentError = validateFolderParent(folders, parentId);
+    if (parentError) {
+      return res.status(400).json({ error: parentError });
+    }
+    const folderRef = await foldersCollection.add({
+      namespaceId: auth.namespaceId,
+      name: name.trim(),
+      parentId: parentId || null,
+      createdBy: userId,
+      lastUpdatedBy: userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastModified: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await logActivity(userId, 'campaign_folder_created', `Created folder: ${name.trim()}`, auth.namespaceId, { folderId: folderRef.id });
+    const createdDoc = await folderRef.get();
+    return res.status(201).json({ id: createdDoc.id, ...createdDoc.data(), campaignCount: 0 });
+  } catch (error) {
+    console.error('[ERROR] Error creating campaign folder:', error);
+    return res.status(500).json({ error: 'Failed to create folder', message: error.message });
+  }
+});
+
+/**
+ * PUT /folders/:id
+ * Rename a folder and/or move it under another folder (parentId null moves it to the root).
+ */
+router.put('/folders/:id', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const auth = await authorize(req, true);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const folders = await getNamespaceFolders(auth.namespaceId);
+    const folder = folders.get(req.params.id);
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    const updateFields = {};
+    if (req.body.name !== undefined) {
+      const nameError = validateFolderName(req.body.name);
+      if (nameError) {
+        return res.status(400).json({ error: nameError });
+      }
+      updateFields.name = req.body.name.trim();
+    }
+    if (req.body.parentId !== undefined) {
+      const parentError = validateFolderParent(folders, req.body.parentId, folder.id);
+      if (parentError) {
+        return res.status(400).json({ error: parentError });
+      }
+      updateFields.parentId = req.body.parentId || null;
+    }
+    updateFields.lastUpdatedBy = userId;
+    updateFields.lastModified = admin.firestore.FieldValue.serverTimestamp();
+    await foldersCollection.doc(folder.id).update(updateFields);
+    await logActivity(userId, 'campaign_folder_updated', `Updated folder: ${updateFields.name || folder.name}`, auth.namespaceId, { folderId: folder.id });
+    const updatedDoc = await foldersCollection.doc(folder.id).get();
+    return res.status(200).json({ id: updatedDoc.id, ...updatedDoc.data() });
+  } catch (error) {
+    console.error(`[ERROR] Error updating campaign folder ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to update folder', message: error.message });
+  }
+});
+
+/**
+ * DELETE /folders/:id
+ * Delete a folder. Its subfolders and campaigns (including trashed ones) move to its parent,
+ * so nothing is lost.
+ */
+router.delete('/folders/:id', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const auth = await authorize(req, true);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const folders = await getNamespaceFolders(auth.namespaceId);
+    const folder = folders.get(req.params.id);
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    const parentId = folder.parentId || null;
+    const campaignsSnapshot = await db.collection('campaigns')
+      .where('namespaceId', '==', auth.namespaceId)
+      .where('folderId', '==', folder.id)
+      .get();
+    const refs = [
+      ...[...folders.values()].filter(f => f.parentId === folder.id).map(f => ({ ref: foldersCollection.doc(f.id), field: 'parentId' })),
+      ...campaignsSnapshot.docs.map(doc => ({ ref: doc.ref, field: 'folderId' }))
+    ];
+    for (let i = 0; i < refs.length; i += MAX_BULK_CAMPAIGNS) {
+      const batch = db.batch();
+      refs.slice(i, i + MAX_BULK_CAMPAIGNS).forEach(({ ref, field }) => batch.update(ref, { [field]: parentId }));
+      await batch.commit();
+    }
+    await foldersCollection.doc(folder.id).delete();
+    await logActivity(userId, 'campaign_folder_deleted', `Deleted folder: ${folder.name}`, auth.namespaceId, {
+      folderId: folder.id,
+      campaignsMoved: campaignsSnapshot.size
+    });
+    return res.status(200).json({ message: 'Folder deleted successfully', movedTo: parentId, campaignsMoved: campaignsSnapshot.size });
+  } catch (error) {
+    console.error(`[ERROR] Error deleting campaign folder ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to delete folder', message: error.message });
+  }
+});
+
+/**
+ * POST /campaigns/move
+ * Move campaigns into a folder (or out of any folder with folderId null) in bulk.
+ */
+router.post('/campaigns/move', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const auth = await authorize(req, true);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const folderId = req.body.folderId || null;
+    if (folderId) {
+      const folderDoc = await foldersCollection.doc(folderId).get();
+      if (!folderDoc.exists || folderDoc.data().namespaceId !== auth.namespaceId) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+    }
+    const loaded = await loadBulkCampaigns(req.body.campaignIds, auth.namespaceId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error, campaignIds: loaded.campaignIds });
+    }
+    const batch = db.batch();
+    loaded.docs.forEach(doc => batch.update(doc.ref, { folderId }));
+    await batch.commit();
+    await logActivity(userId, 'campaigns_moved', `Moved ${loaded.docs.length} campaign(s) ${folderId ? 'into a folder' : 'out of folders'}`, auth.namespaceId, {
+      folderId,
+      campaignIds: loaded.docs.map(doc => doc.id)
+    });
+    return res.status(200).json({ folderId, updated: loaded.docs.length });
+  } catch (error) {
+    console.error('[ERROR] Error moving campaigns:', error);
+    return res.status(500).json({ error: 'Failed to move campaigns', message: error.message });
+  }
+});
+
+/**
+ * GET /tags
+ * List the tags used by the namespace's campaigns with their campaign counts, most used first.
+ */
+router.get('/tags', verifyToken, async (req, res) => {
+  try {
+    const auth = await authorize(req, false);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const counts = {};
+    for (const doc of await getNamespaceCampaigns(auth.namespaceId)) {
+      for (const tag of doc.data().tags || []) {
+        counts[tag] = (counts[tag] || 0) + 1;
+      }
+    }
+    const tags = Object.entries(counts)
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    return res.status(200).json(tags);
+  } catch (error) {
+    console.error('[ERROR] Error fetching campaign tags:', error);
+    return res.status(500).json({ error: 'Failed to fetch tags', message: error.message });
+  }
+});
+
+/**
+ * POST /campaigns/tags
+ * Add and/or remove tags on campaigns in bulk.
+ */
+router.post('/campaigns/tags', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const auth = await authorize(req, true);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const add = normalizeTags(req.body.add || []);
+    const remove = normalizeTags(req.body.remove || []);
+    if (add.error || remove.error) {
+      return res.status(400).json({ error: add.error || remove.error });
+    }
+    if (add.tags.length === 0 && remove.tags.length === 0) {
+      return res.status(400).json({ error: 'Provide tags to add or remove' });
+    }
+    const loaded = await loadBulkCampaigns(req.body.campaignIds, auth.namespaceId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error, campaignIds: loaded.campaignIds });
+    }
+    const batch = db.batch();
+    for (const doc of loaded.docs) {
+      const current = (doc.data().tags || []).filter(tag => !remove.tags.includes(tag));
+      const tags = normalizeTags([...current, ...add.tags]);
+      if (tags.error) {
+        return res.status(400).json({ error: `Campaign ${doc.id}: ${tags.error}` });
+      }
+      batch.update(doc.ref, { tags: tags.tags });
+    }
+    await batch.commit();
+    await logActivity(userId, 'campaigns_tagged', `Updated tags on ${loaded.docs.length} campaign(s)`, auth.namespaceId, {
+      added: add.tags,
+      removed: remove.tags,
+      campaignIds: loaded.docs.map(doc => doc.id)
+    });
+    return res.status(200).json({ updated: loaded.docs.length, added: add.tags, removed: remove.tags });
+  } catch (error) {
+    console.error('[ERROR] Error updating campaign tags:', error);
+    return res.status(500).json({ error: 'Failed to update tags', message: error.message });
+  }
+});
+
+/**
+ * Helper function to rewrite a tag on every campaign of a namespace that has it.
+ * Returns the number of campaigns updated.
+ *
+ * @param {string} namespaceId
+ * @param {string} tag - The tag to replace.
+ * @param {string|null} replacement - The new tag, or null to remove it.
+ */
+async function rewriteTag(namespaceId, tag, replacement) {
+  const snapshot = await db.collection('campaigns')
+    .where('namespaceId', '==', namespaceId)
+    .where('tags', 'array-contains', tag)
+    .get();
+  for (let i = 0; i < snapshot.docs.length; i += MAX_BULK_CAMPAIGNS) {
+    const batch = db.batch();
+    for (const doc of snapshot.docs.slice(i, i + MAX_BULK_CAMPAIGNS)) {
+      const tags = doc.data().tags.filter(t => t !== tag);
+      if (replacement && !tags.includes(replacement)) tags.push(replacement);
+      batch.update(doc.ref, { tags });
+    }
+    await batch.commit();
+  }
+  return snapshot.size;
+}
+
+/**
+ * PUT /tags/:tag
+ * Rename a tag on every campaign of the namespace (merging it into the new name if that
+ * tag already exists).
+ */
+router.put('/tags/:tag', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const auth = await authorize(req, true);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const tag = normalizeTag(req.params.tag);
+    const name = normalizeTag(req.body.name);
+    if (!tag || !name) {
+      return res.status(400).json({ error: 'A valid tag and new name are required' });
+    }
+    const updated = tag === name ? 0 : await rewriteTag(auth.namespaceId, tag, name);
+    await logActivity(userId, 'campaign_tag_renamed', `Renamed tag "${tag}" to "${name}"`, auth.namespaceId, { tag, name, updated });
+    return res.status(200).json({ tag: name, updated });
+  } catch (error) {
+    console.error(`[ERROR] Error renaming tag ${req.params.tag}:`, error);
+    return res.status(500).json({ error: 'Failed to rename tag', message: error.message });
+  }
+});
+
+/**
+ * DELETE /tags/:tag
+ * Remove a tag from every campaign of the namespace.
+ */
+router.delete('/tags/:tag', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const auth = await authorize(req, true);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) {
+      return res.status(400).json({ error: 'A valid tag is required' });
+    }
+    const updated = await rewriteTag(auth.namespaceId, tag, null);
+    await logActivity(userId, 'campaign_tag_deleted', `Deleted tag "${tag}"`, auth.namespaceId, { tag, updated });
+    return res.status(200).json({ message: 'Tag removed successfully', updated });
+  } catch (error) {
+    console.error(`[ERROR] Error deleting tag ${req.params.tag}:`, error);
+    return res.status(500).json({ error: 'Failed to delete tag', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,388 @@
+/**
+ * Campaign AI Refinement API
+ *
+ * Lets editors refine an existing campaign conversationally: an instruction such as "make the
+ * questions shorter and more hopeful" is sent to the model together with the current campaign,
+ * the namespace's taxonomy catalog and the earlier instructions for that campaign. The result is
+ * validated like generated campaigns (see utils/campaignGeneration.js) and stored as a proposal;
+ * nothing changes on the campaign until the proposal is applied with explicit confirmation.
+ * Applying records a revision of type "ai_refine" (see campaignRevisions.js).
+ *
+ * Proposals are kept in the "refinements" subcollection of the campaign
+ * (campaigns/{campaignId}/refinements), which doubles as the conversation history; only the
+ * last REFINE_HISTORY_LIMIT entries are kept. Each holds:
+ *   - instruction, userId, createdAt
+ *   - patch: the changed fields with their proposed values
+ *   - diff: { <field>: { before, after } }
+ *   - corrections: fields corrected by validation (see campaignGeneration.js)
+ *   - status: "proposed", "applied", "discarded" or "superseded" (by a newer proposal)
+ *   - appliedBy, appliedAt, revisionId (once applied)
+ *
+ * Refining is an AI generation: it is rate limited and counts against the user's monthly
+ * allowance like POST /generate-campaign (see campaignAI.js and utils/aiQuota.js).
+ *
+ * Endpoints (all expect ?namespaceId= and require "read/write" or "admin" permission):
+ *   POST   /campaigns/:id/refine                                - Propose changes for an instruction.
+ *                                                                 Body: { instruction }.
+ *   GET    /campaigns/:id/refinements                           - The conversation history, newest first.
+ *   POST   /campaigns/:id/refinements/:refinementId/apply       - Apply a proposal. Body: { confirm: true }.
+ *   POST   /campaigns/:id/refinements/:refinementId/discard     - Discard a proposal.
+ *   DELETE /campaigns/:id/refinements                           - Clear the conversation history.
+ *
+ * @example
+ *   curl -X POST -H "Authorization: Bearer YOUR_TOKEN" -H "Content-Type: application/json" \
+ *        -d '{ "instruction": "Target first-time voters" }' \
+ *        "https://yourdomain.com/campaign/campaigns/CAMPAIGN_ID/refine?namespaceId=NAMESPACE_ID"
+ *
+ *   curl -X POST -H "Authorization: Bearer YOUR_TOKEN" -H "Content-Type: application/json" \
+ *        -d '{ "confirm": true }' \
+ *        "https://yourdomain.com/campaign/campaigns/CAMPAIGN_ID/refinements/REFINEMENT_ID/apply?namespaceId=NAMESPACE_ID"
+ */
+
+const express = require('express');
+const admin = require('../../config/firebase');
+const { verifyToken } = require('../../config/middleware');
+const { logActivity } = require('../../utils/activityLogger');
+const { isTrashed } = require('../../utils/campaignPurge');
+const { getEffectiveStatus } = require('../../utils/campaignLifecycle');
+const { diffFields, updateWithRevision } = require('../../utils/campaignRevisions');
+const { CAMPAIGN_FIELDS, generateValidCampaign } = require('../../utils/campaignGeneration');
+const { getTaxonomyCatalog, buildTaxonomyPrompt } = require('../../utils/campaignTaxonomy');
+const { reserveGeneration, releaseGeneration } = require('../../utils/aiQuota');
+
+const router = express.Router();
+const db = admin.firestore();
+
+// Number of refinements kept per campaign (and sent to the model as conversation history).
+const REFINE_HISTORY_LIMIT = 10;
+const MAX_INSTRUCTION_LENGTH = 1000;
+
+const RefinementStatuses = Object.freeze({
+  PROPOSED: 'proposed',
+  APPLIED: 'applied',
+  DISCARDED: 'discarded',
+  SUPERSEDED: 'superseded'
+});
+
+/**
+ * Helper function to get the current user's permission for a namespace.
+ * Returns the permission string ("read/write", "readonly", or "admin")
+ * if the user is an active member, otherwise null.
+ *
+ * @param {string} namespaceId - The namespace ID.
+ * @param {string} userEmail - The user's email.
+ * @returns {Promise<string|null>}
+ */
+async function getUserPermission(namespaceId, userEmail) {
+  const nsDoc = await db.collection('namespaces').doc(namespaceId).get();
+  if (!nsDoc.exists) return null;
+  const nsData = nsDoc.data();
+  if (!nsData.members) return null;
+  const member = nsData.members.find(m => m.email.toLowerCase() === userEmail.toLowerCase() && m.status === 'active');
+  return member ? member.permission : null;
+}
+
+/**
+ * Helper function to load a campaign and check that the user may edit it.
+ * Returns either { status, error } or { campaignRef, campaignData, permission }.
+ *
+ * @param {import('express').Request} req
+ */
+async function loadEditableCampaign(req) {
+  const namespaceId = req.query.namespaceId;
+  if (!namespaceId) {
+    return { status: 400, error: 'namespaceId query parameter is required' };
+  }
+  const campaignRef = db.collection('campaigns').doc(req.params.id);
+  const doc = await campaignRef.get();
+  if (!doc.exists) {
+    return { status: 404, error: 'Campaign not found' };
+  }
+  const campaignData = doc.data();
+  if (campaignData.namespaceId !== namespaceId) {
+    return { status: 403, error: 'Forbidden: Campaign does not belong to this namespace' };
+  }
+  if (isTrashed(campaignData)) {
+    return { status: 409, error: 'Campaign is in the trash; restore it first' };
+  }
+  const permission = await getUserPermission(namespaceId, req.user.email);
+  if (!permission || (permission !== 'read/write' && permission !== 'admin')) {
+    return { status: 403, error: 'Insufficient permissions to refine this campaign' };
+  }
+  return { campaignRef, campaignData, permission };
+}
+
+/**
+ * Helper function to pick the fields the model may change, with their defaults.
+ */
+function pickRefinableFields(campaignData) {
+  const fields = {};
+  for (const field of CAMPAIGN_FIELDS) {
+    const value = campaignData[field];
+    fields[field] = value === undefined || value === null ? (field === 'surveyQuestions' ? [] : '') : value;
+  }
+  return fields;
+}
+
+/**
+ * Helper function to build the refinement prompt from the current campaign, the catalog and the
+ * earlier instructions (oldest first). The instruction comes last.
+ */
+function buildRefinePrompt(current, catalog, history, instruction) {
+  const earlier = history.length > 0
+    ? history.map((entry, index) => `${index + 1}. "${entry.instruction}" (${entry.status}; changed: ${Object.keys(entry.patch || {}).join(', ') || 'nothing'})`).join('\n')
+    : 'None.';
+  return `
+You are a helpful assistant that edits an existing campaign for a video survey platform. The current campaign is:
+
+${JSON.stringify(current, null, 2)}
+
+${buildTaxonomyPrompt(catalog)}
+
+### Earlier instructions for this campaign:
+${earlier}
+
+### Rules:
+- Apply the new instruction to the current campaign; keep every field the instruction does not concern unchanged.
+- "category", "subcategory" and "theme" must use the keys listed above, or be empty strings "".
+- Always include at least two survey questions.
+- Return the complete campaign as a single JSON object with the fields ${CAMPAIGN_FIELDS.join(', ')}.
+
+### New instruction:
+${instruction}`;
+}
+
+/**
+ * Helper function to format a refinement document for responses.
+ */
+function formatRefinement(doc) {
+  return { id: doc.id, ...doc.data() };
+}
+
+/**
+ * POST /campaigns/:id/refine
+ * Ask the model to refine the campaign according to an instruction and store the result as a
+ * proposal. Older pending proposals of the campaign are superseded.
+ * Returns the proposal with its "patch" (changed fields) and field-by-field "diff".
+ */
+router.post('/campaigns/:id/refine', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const campaignId = req.params.id;
+    const campaign = await loadEditableCampaign(req);
+    if (campaign.error) {
+      return res.status(campaign.status).json({ error: campaign.error });
+    }
+    const instruction = typeof req.body.instruction === 'string' ? req.body.instruction.trim() : '';
+    if (!instruction || instruction.length > MAX_INSTRUCTION_LENGTH) {
+      return res.status(400).json({ error: `instruction must be a non-empty string of at most ${MAX_INSTRUCTION_LENGTH} characters` });
+    }
+    const { campaignRef, campaignData } = campaign;
+    const refinements = campaignRef.collection('refinements');
+
+    const historySnapshot = await refinements.orderBy('createdAt', 'desc').limit(REFINE_HISTORY_LIMIT).get();
+    const history = historySnapshot.docs.map(doc => doc.data()).reverse();
+    const catalog = await getTaxonomyCatalog(campaignData.namespaceId);
+    const current = pickRefinableFields(campaignData);
+
+    const quota = await reserveGeneration(userId, campaignData.namespaceId);
+    if (quota.status) {
+      console.warn(`[WARN] AI refinement refused for user ${userId} (${quota.status}): ${quota.body.error}`);
+      if (quota.retryAfterSeconds) {
+        res.set('Retry-After', String(quota.retryAfterSeconds));
+      }
+      return res.status(quota.status).json(quota.body);
+    }
+    let result;
+    try {
+      result = await generateValidCampaign({ prompt: buildRefinePrompt(current, catalog, history, instruction) }, catalog);
+    } catch (error) {
+      console.error(`[ERROR] AI refinement failed for campaign ${campaignId}:`, error.message);
+      await releaseGeneration(quota.reservation);
+      return res.status(502).json({ error: 'Failed to refine campaign with the AI provider', message: error.message });
+    }
+    const diff = diffFields(current, result.campaign);
+    const patch = {};
+    for (const field of Object.keys(diff)) {
+      patch[field] = result.campaign[field];
+    }
+
+    const refinementRef = refinements.doc();
+    const batch = db.batch();
+    for (const doc of historySnapshot.docs) {
+      if (doc.data().status === RefinementStatuses.PROPOSED) {
+        batch.update(doc.ref, { status: RefinementStatuses.SUPERSEDED });
+      }
+    }
+    batch.set(refinementRef, {
+      instruction,
+      userId,
+      patch,
+      diff,
+      corrections: result.corrections,
+      provider: result.provider,
+      status: Object.keys(patch).length > 0 ? RefinementStatuses.PROPOSED : RefinementStatuses.DISCARDED,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    // Keep the conversation short: drop the entries beyond the limit.
+    if (historySnapshot.size >= REFINE_HISTORY_LIMIT) {
+      const overflow = await refinements.orderBy('createdAt', 'desc').offset(REFINE_HISTORY_LIMIT - 1).get();
+      for (const doc of overflow.docs) {
+        batch.delete(doc.ref);
+      }
+    }
+    await batch.commit();
+
+    const refinementDoc = await refinementRef.get();
+    console.info(`[INFO] Proposed AI refinement ${refinementRef.id} for campaign ${campaignId} (${Object.keys(patch).length} fields)`);
+    return res.status(201).json({ ...formatRefinement(refinementDoc), noChanges: Object.keys(patch).length === 0 });
+  } catch (error) {
+    console.error(`[ERROR] Error refining campaign ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to refine campaign', message: error.message });
+  }
+});
+
+/**
+ * GET /campaigns/:id/refinements
+ * The campaign's refinement conversation, newest first.
+ */
+router.get('/campaigns/:id/refinements', verifyToken, async (req, res) => {
+  try {
+    const campaign = await loadEditableCampaign(req);
+    if (campaign.error) {
+      return res.status(campaign.status).json({ error: campaign.error });
+    }
+    const snapshot = await campaign.campaignRef.collection('refinements').orderBy('createdAt', 'desc').get();
+    return res.status(200).json(snapshot.docs.map(formatRefinement));
+  } catch (error) {
+    console.error(`[ERROR] Error retrieving refinements for campaign ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to retrieve refinements', message: error.message });
+  }
+});
+
+/**
+ * POST /campaigns/:id/refinements/:refinementId/apply
+ * Apply a proposed refinement to the campaign. Requires { confirm: true } in the body.
+ * Fails with 409 if the proposal is no longer pending, or if a changed field was edited since
+ * the proposal was made ("conflicts" lists those fields; refine again to get a fresh proposal).
+ */
+router.post('/campaigns/:id/refinements/:refinementId/apply', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const campaignId = req.params.id;
+    if (req.body.confirm !== true) {
+      return res.status(400).json({ error: 'Set "confirm": true to apply the proposed changes' });
+    }
+    const campaign = await loadEditableCampaign(req);
+    if (campaign.error) {
+      return res.status(campaign.status).json({ error: campaign.error });
+    }
+    const { campaignRef, campaignData, permission } = campaign;
+    const refinementRef = campaignRef.collection('refinements').doc(req.params.refinementId);
+    const refinementDoc = await refinementRef.get();
+    if (!refinementDoc.exists) {
+      return res.status(404).json({ error: 'Refinement not found' });
+    }
+    const refinement = refinementDoc.data();
+    if (refinement.status !== RefinementStatuses.PROPOSED) {
+      return res.status(409).json({ error: `Refinement is ${refinement.status}, not pending`, status: refinement.status });
+    }
+    const before = {};
+    for (const [field, change] of Object.entries(refinement.diff)) {
+      before[field] = change.before;
+    }
+    const conflicts = Object.keys(diffFields(pickRefinableFields(campaignData), before));
+    if (conflicts.length > 0) {
+      return res.status(409).json({ error: 'The campaign was edited since this refinement was proposed', conflicts });
+    }
+
+    const revision = await updateWithRevision({
+      campaignRef,
+      campaignData,
+      updateFields: {
+        ...refinement.patch,
+        lastUpdatedBy: userId,
+        dateModified: admin.firestore.FieldValue.serverTimestamp()
+      },
+      userId,
+      type: 'ai_refine',
+      extra: { refinementId: refinementDoc.id, instruction: refinement.instruction }
+    });
+    await refinementRef.update({
+      status: RefinementStatuses.APPLIED,
+      appliedBy: userId,
+      appliedAt: admin.firestore.FieldValue.serverTimestamp(),
+      revisionId: revision.revisionId
+    });
+    await logActivity(userId, 'campaign_ai_refined', `Applied AI refinement to campaign: ${campaignData.name || 'Untitled'}`, campaignData.namespaceId, {
+      campaignId,
+      refinementId: refinementDoc.id,
+      revisionId: revision.revisionId,
+      changedFields: revision.changedFields
+    });
+    const updatedDoc = await campaignRef.get();
+    const updatedData = updatedDoc.data();
+    console.info(`[INFO] Applied AI refinement ${refinementDoc.id} to campaign ${campaignId}`);
+    return res.status(200).json({
+      id: updatedDoc.id,
+      ...updatedData,
+      status: getEffectiveStatus(updatedData),
+      userPermission: permission,
+      revisionId: revision.revisionId,
+      changedFields: revision.changedFields
+    });
+  } catch (error) {
+    console.error(`[ERROR] Error applying refinement ${req.params.refinementId} to campaign ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to apply refinement', message: error.message });
+  }
+});
+
+/**
+ * POST /campaigns/:id/refinements/:refinementId/discard
+ * Discard a pending proposal. It stays in the conversation history as "discarded".
+ */
+router.post('/campaigns/:id/refinements/:refinementId/discard', verifyToken, async (req, res) => {
+  try {
+    const campaign = await loadEditableCampaign(req);
+    if (campaign.error) {
+      return res.status(campaign.status).json({ error: campaign.error });
+    }
+    const refinementRef = campaign.campaignRef.collection('refinements').doc(req.params.refinementId);
+    const refinementDoc = await refinementRef.get();
+    if (!refinementDoc.exists) {
+      return res.status(404).json({ error: 'Refinement not found' });
+    }
+    if (refinementDoc.data().status !== RefinementStatuses.PROPOSED) {
+      return res.status(409).json({ error: `Refinement is ${refinementDoc.data().status}, not pending`, status: refinementDoc.data().status });
+    }
+    await refinementRef.update({ status: RefinementStatuses.DISCARDED });
+    return res.status(200).json({ message: 'Refinement discarded', id: refinementDoc.id });
+  } catch (error) {
+    console.error(`[ERROR] Error discarding refinement ${req.params.refinementId} of campaign ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to discard refinement', message: error.message });
+  }
+});
+
+/**
+ * DELETE /campaigns/:id/refinements
+ * Clear the campaign's refinement conversation, so the next instruction starts fresh.
+ */
+router.delete('/campaigns/:id/refinements', verifyToken, async (req, res) => {
+  try {
+    const campaign = await loadEditableCampaign(req);
+    if (campaign.error) {
+      return res.status(campaign.status).json({ error: campaign.error });
+    }
+    const snapshot = await campaign.campaignRef.collection('refinements').get();
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    console.info(`[INFO] Cleared ${snapshot.size} refinements of campaign ${req.params.id}`);
+    return res.status(200).json({ message: 'Refinement history cleared', deleted: snapshot.size });
+  } catch (error) {
+    console.error(`[ERROR] Error clearing refinements of campaign ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to clear refinements', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,212 @@
+/**
+ * Campaign Revisions API
+ *
+ * Every update made through PUT /campaign/campaigns/:id is stored as a revision in the
+ * "revisions" subcollection of the campaign (campaigns/{campaignId}/revisions), holding the
+ * editor's uid, a timestamp, a field-level diff and a snapshot of the campaign configuration.
+ * Snapshots refer to the campaign image by hash ("campaignImageRef"); each image version is kept
+ * once in Cloud Storage under campaigns/{campaignId}/revisionImages/.
+ *
+ * Endpoints (all require "read/write" or "admin" permission, like the update route):
+ *   GET  /campaigns/:id/revisions                        - List revisions, newest first.
+ *   GET  /campaigns/:id/revisions/:revisionId            - Get a revision with its diff, plus the diff
+ *                                                          between the current campaign and that revision.
+ *   POST /campaigns/:id/revisions/:revisionId/revert     - Restore the campaign to a revision's snapshot
+ *                                                          (recorded as a new "revert" revision).
+ *
+ * @example
+ *   curl -H "Authorization: Bearer YOUR_TOKEN" \
+ *        "https://yourdomain.com/campaign/campaigns/CAMPAIGN_ID/revisions?namespaceId=NAMESPACE_ID"
+ *
+ *   curl -X POST -H "Authorization: Bearer YOUR_TOKEN" \
+ *        "https://yourdomain.com/campaign/campaigns/CAMPAIGN_ID/revisions/REVISION_ID/revert?namespaceId=NAMESPACE_ID"
+ */
+
+const express = require('express');
+const admin = require('../../config/firebase');
+const { verifyToken } = require('../../config/middleware');
+const { logActivity } = require('../../utils/activityLogger');
+const { REVISIONED_FIELDS, REVISIONED_FIELD_DEFAULTS, restoreSnapshot, diffFields, updateWithRevision } = require('../../utils/campaignRevisions');
+const { getEffectiveStatus } = require('../../utils/campaignLifecycle');
+const { isTrashed } = require('../../utils/campaignPurge');
+
+const router = express.Router();
+const db = admin.firestore();
+
+/**
+ * Helper function to get the current user's permission for a namespace.
+ * Returns the permission string ("read/write", "readonly", or "admin")
+ * if the user is an active member, otherwise null.
+ *
+ * @param {string} namespaceId - The namespace ID.
+ * @param {string} userEmail - The user's email.
+ * @returns {Promise<string|null>}
+ */
+async function getUserPermission(namespaceId, userEmail) {
+  const nsDoc = await db.collection('namespaces').doc(namespaceId).get();
+  if (!nsDoc.exists) return null;
+  const nsData = nsDoc.data();
+  if (!nsData.members) return null;
+  const member = nsData.members.find(m => m.email.toLowerCase() === userEmail.toLowerCase() && m.status === 'active');
+  return member ? member.permission : null;
+}
+
+/**
+ * Helper function to load a campaign and check that the user may edit it.
+ * Returns either { status, error } or { campaignRef, campaignData, permission }.
+ *
+ * @param {string} campaignId - The campaign ID.
+ * @param {string} namespaceId - The namespace ID from the query string.
+ * @param {string} userEmail - The user's email.
+ */
+async function loadEditableCampaign(campaignId, namespaceId, userEmail) {
+  if (!namespaceId) {
+    return { status: 400, error: 'namespaceId query parameter is required' };
+  }
+  const campaignRef = db.collection('campaigns').doc(campaignId);
+  const doc = await campaignRef.get();
+  if (!doc.exists) {
+    return { status: 404, error: 'Campaign not found' };
+  }
+  const campaignData = doc.data();
+  if (campaignData.namespaceId !== namespaceId) {
+    return { status: 403, error: 'Forbidden: Campaign does not belong to this namespace' };
+  }
+  if (isTrashed(campaignData)) {
+    return { status: 409, error: 'Campaign is in the trash; restore it first' };
+  }
+  const permission = await getUserPermission(namespaceId, userEmail);
+  if (!permission || (permission !== 'read/write' && permission !== 'admin')) {
+    return { status: 403, error: 'Insufficient permissions to access campaign revisions' };
+  }
+  return { campaignRef, campaignData, permission };
+}
+
+/**
+ * Helper function to turn a revision snapshot into update fields.
+ * Fields missing from the snapshot are reset to their empty defaults so the campaign matches the snapshot.
+ *
+ * @param {object} snapshot - The revision snapshot.
+ * @returns {object}
+ */
+function buildRevertFields(snapshot = {}) {
+  const fields = {};
+  for (const field of REVISIONED_FIELDS) {
+    fields[field] = snapshot[field] !== undefined ? snapshot[field] : REVISIONED_FIELD_DEFAULTS[field];
+  }
+  return fields;
+}
+
+/**
+ * GET /campaigns/:id/revisions
+ * List the revisions of a campaign (without snapshots), newest first.
+ * Expects a query parameter: namespaceId.
+ */
+router.get('/campaigns/:id/revisions', verifyToken, async (req, res) => {
+  try {
+    const campaign = await loadEditableCampaign(req.params.id, req.query.namespaceId, req.user.email);
+    if (campaign.error) {
+      return res.status(campaign.status).json({ error: campaign.error });
+    }
+    const snapshot = await campaign.campaignRef.collection('revisions')
+      .orderBy('revisionNumber', 'desc')
+      .get();
+    const revisions = snapshot.docs.map(doc => {
+      const { snapshot: ignore, changes, ...summary } = doc.data();
+      return { id: doc.id, ...summary };
+    });
+    console.info(`[INFO] Retrieved ${revisions.length} revisions for campaign ${req.params.id}`);
+    return res.status(200).json(revisions);
+  } catch (error) {
+    console.error(`[ERROR] Error retrieving revisions for campaign ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to retrieve revisions', message: error.message });
+  }
+});
+
+/**
+ * GET /campaigns/:id/revisions/:revisionId
+ * Retrieve a single revision, including its diff against the previous revision ("changes")
+ * and what reverting to it would change in the current campaign ("diffFromCurrent").
+ * Expects a query parameter: namespaceId.
+ */
+router.get('/campaigns/:id/revisions/:revisionId', verifyToken, async (req, res) => {
+  try {
+    const campaign = await loadEditableCampaign(req.params.id, req.query.namespaceId, req.user.email);
+    if (campaign.error) {
+      return res.status(campaign.status).json({ error: campaign.error });
+    }
+    const revisionDoc = await campaign.campaignRef.collection('revisions').doc(req.params.revisionId).get();
+    if (!revisionDoc.exists) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    const revisionData = revisionDoc.data();
+    const snapshot = await restoreSnapshot(revisionData.snapshot);
+    return res.status(200).json({
+      id: revisionDoc.id,
+      ...revisionData,
+      diffFromCurrent: diffFields(campaign.campaignData, buildRevertFields(snapshot))
+    });
+  } catch (error) {
+    console.error(`[ERROR] Error retrieving revision ${req.params.revisionId} for campaign ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to retrieve revision', message: error.message });
+  }
+});
+
+/**
+ * POST /campaigns/:id/revisions/:revisionId/revert
+ * Restore the campaign configuration to the snapshot stored in a revision.
+ * The revert itself is recorded as a new revision of type "revert".
+ * Expects a query parameter: namespaceId.
+ */
+router.post('/campaigns/:id/revisions/:revisionId/revert', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const campaignId = req.params.id;
+    const campaign = await loadEditableCampaign(campaignId, req.query.namespaceId, req.user.email);
+    if (campaign.error) {
+      return res.status(campaign.status).json({ error: campaign.error });
+    }
+    const { campaignRef, campaignData, permission } = campaign;
+    const revisionDoc = await campaignRef.collection('revisions').doc(req.params.revisionId).get();
+    if (!revisionDoc.exists) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    const revisionData = revisionDoc.data();
+    console.info(`[INFO] Reverting campaign ${campaignId} to revision ${revisionData.revisionNumber}`);
+
+    const updateFields = {
+      ...buildRevertFields(await restoreSnapshot(revisionData.snapshot)),
+      lastUpdatedBy: userId,
+      dateModified: admin.firestore.FieldValue.serverTimestamp()
+    };
+    const revision = await updateWithRevision({
+      campaignRef,
+      campaignData,
+      updateFields,
+      userId,
+      type: 'revert',
+      extra: { revertedToRevisionId: revisionDoc.id, revertedToRevisionNumber: revisionData.revisionNumber }
+    });
+    await logActivity(userId, 'campaign_reverted', `Reverted campaign to revision ${revisionData.revisionNumber}: ${campaignData.name || 'Untitled'}`, campaignData.namespaceId, {
+      campaignId,
+      revisionId: revision.revisionId,
+      revertedToRevisionId: revisionDoc.id
+    });
+    const updatedDoc = await campaignRef.get();
+    const updatedData = updatedDoc.data();
+    console.info(`[INFO] Campaign ${campaignId} reverted (${revision.changedFields.length} fields changed)`);
+    return res.status(200).json({
+      id: updatedDoc.id,
+      ...updatedData,
+      status: getEffectiveStatus(updatedData),
+      userPermission: permission,
+      revisionId: revision.revisionId,
+      changedFields: revision.changedFields
+    });
+  } catch (error) {
+    console.error(`[ERROR] Error reverting campaign ${req.params.id} to revision ${req.params.revisionId}:`, error);
+    return res.status(500).json({ error: 'Failed to revert campaign', message: error.message });
+  }
+});
+
+module.exports = router;
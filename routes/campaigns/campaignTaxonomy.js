@@ -0,0 +1,278 @@
+/**
+ * Campaign Taxonomy Catalog API
+ *
+ * Serves the category → subcategory → starter questions taxonomy and the survey themes
+ * (see utils/campaignTaxonomy.js). Namespace admins can add their own categories (e.g. "healthcare")
+ * and extend the built-in ones with subcategories or extra questions. Campaign generation
+ * (campaignAI.js) and draft publishing validate against the namespace's catalog.
+ *
+ * The "taxonomyCategories" collection holds one document per namespace and category key
+ * (ID "<namespaceId>_<key>") with fields:
+ *   - namespaceId, key
+ *   - label (null when extending a built-in category)
+ *   - subcategories: { <key>: { label, questions } }
+ *   - createdBy, lastUpdatedBy, createdAt, lastModified
+ *
+ * Endpoints (?namespaceId= is optional for reads and adds the namespace's categories; it requires
+ * any membership in that namespace):
+ *   GET    /taxonomy                                          - The full catalog (categories and themes).
+ *   GET    /taxonomy/categories                               - Categories with their labels.
+ *   GET    /taxonomy/categories/:category/subcategories       - Subcategories of a category.
+ *   GET    /taxonomy/categories/:category/subcategories/:subcategory/questions
+ *                                                             - Starter survey questions of a subcategory.
+ *   GET    /taxonomy/themes                                   - Survey page themes.
+ *   PUT    /taxonomy/categories/:category                     - Create or replace the namespace's definition
+ *                                                               of a category (requires "admin").
+ *                                                               Body: { label?, subcategories: { <key>: { label?, questions } } }.
+ *   DELETE /taxonomy/categories/:category                     - Remove the namespace's definition (requires "admin").
+ *                                                               Campaigns keep the category they were saved with.
+ *
+ * @example
+ *   curl -X PUT -H "Authorization: Bearer YOUR_TOKEN" -H "Content-Type: application/json" \
+ *        -d '{ "label": "Healthcare", "subcategories": { "patient_stories": { "label": "Patient Stories",
+ *              "questions": ["How did your care team help you?", "What would you tell other patients?"] } } }' \
+ *        "https://yourdomain.com/campaign/taxonomy/categories/healthcare?namespaceId=NAMESPACE_ID"
+ */
+
+const express = require('express');
+const admin = require('../../config/firebase');
+const { verifyToken } = require('../../config/middleware');
+const { logActivity } = require('../../utils/activityLogger');
+const { getOwn, getTaxonomyCatalog, normalizeCategoryDefinition, THEME_DESCRIPTIONS } = require('../../utils/campaignTaxonomy');
+
+const router = express.Router();
+const db = admin.firestore();
+
+const taxonomyCollection = db.collection('taxonomyCategories');
+
+/**
+ * Helper function to get the current user's permission for a namespace.
+ * Returns the permission string ("read/write", "readonly", or "admin")
+ * if the user is an active member, otherwise null.
+ *
+ * @param {string} namespaceId - The namespace ID.
+ * @param {string} userEmail - The user's email.
+ * @returns {Promise<string|null>}
+ */
+async function getUserPermission(namespaceId, userEmail) {
+  const nsDoc = await db.collection('namespaces').doc(namespaceId).get();
+  if (!nsDoc.exists) return null;
+  const nsData = nsDoc.data();
+  if (!nsData.members) return null;
+  const member = nsData.members.find(m => m.email.toLowerCase() === userEmail.toLowerCase() && m.status === 'active');
+  return member ? member.permission : null;
+}
+
+/**
+ * Helper function to load the catalog for a read request: the built-in catalog, plus the
+ * namespace's categories when ?namespaceId= is given and the user is a member.
+ * Returns either { status, error } or { catalog }.
+ *
+ * @param {import('express').Request} req
+ */
+async function loadCatalog(req) {
+  const namespaceId = req.query.namespaceId || null;
+  if (namespaceId && !(await getUserPermission(namespaceId, req.user.email))) {
+    return { status: 403, error: 'Forbidden: You do not have permission in this namespace' };
+  }
+  return { catalog: await getTaxonomyCatalog(namespaceId) };
+}
+
+/**
+ * Helper function to check the namespaceId query parameter and the user's "admin" permission.
+ * Returns either { status, error } or { namespaceId }.
+ *
+ * @param {import('express').Request} req
+ */
+async function authorizeAdmin(req) {
+  const namespaceId = req.query.namespaceId;
+  if (!namespaceId) {
+    return { status: 400, error: 'namespaceId query parameter is required' };
+  }
+  const permission = await getUserPermission(namespaceId, req.user.email);
+  if (permission !== 'admin') {
+    return { status: 403, error: 'Only namespace admins can manage campaign categories' };
+  }
+  return { namespaceId };
+}
+
+/**
+ * Helper function to summarize a category for listings.
+ */
+function summarizeCategory(key, category) {
+  return {
+    key,
+    label: category.label,
+    custom: category.custom,
+    subcategoryCount: Object.keys(category.subcategories).length
+  };
+}
+
+/**
+ * GET /taxonomy
+ * The full catalog: { categories: { <key>: { label, custom, subcategories } }, themes }.
+ */
+router.get('/taxonomy', verifyToken, async (req, res) => {
+  try {
+    const loaded = await loadCatalog(req);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    return res.status(200).json(loaded.catalog);
+  } catch (error) {
+    console.error('[ERROR] Error retrieving taxonomy catalog:', error);
+    return res.status(500).json({ error: 'Failed to retrieve taxonomy', message: error.message });
+  }
+});
+
+/**
+ * GET /taxonomy/categories
+ * List the categories with their labels and subcategory counts.
+ */
+router.get('/taxonomy/categories', verifyToken, async (req, res) => {
+  try {
+    const loaded = await loadCatalog(req);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const categories = Object.entries(loaded.catalog.categories).map(([key, category]) => summarizeCategory(key, category));
+    return res.status(200).json(categories);
+  } catch (error) {
+    console.error('[ERROR] Error retrieving taxonomy categories:', error);
+    return res.status(500).json({ error: 'Failed to retrieve categories', message: error.message });
+  }
+});
+
+/**
+ * GET /taxonomy/categories/:category/subcategories
+ * List the subcategories of a category with their labels and starter questions.
+ */
+router.get('/taxonomy/categories/:category/subcategories', verifyToken, async (req, res) => {
+  try {
+    const loaded = await loadCatalog(req);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const category = getOwn(loaded.catalog.categories, req.params.category);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    const subcategories = Object.entries(category.subcategories).map(([key, sub]) => ({ key, ...sub }));
+    return res.status(200).json(subcategories);
+  } catch (error) {
+    console.error(`[ERROR] Error retrieving subcategories of ${req.params.category}:`, error);
+    return res.status(500).json({ error: 'Failed to retrieve subcategories', message: error.message });
+  }
+});
+
+/**
+ * GET /taxonomy/categories/:category/subcategories/:subcategory/questions
+ * The starter survey questions of a subcategory.
+ */
+router.get('/taxonomy/categories/:category/subcategories/:subcategory/questions', verifyToken, async (req, res) => {
+  try {
+    const loaded = await loadCatalog(req);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const category = getOwn(loaded.catalog.categories, req.params.category);
+    const subcategory = category && getOwn(category.subcategories, req.params.subcategory);
+    if (!subcategory) {
+      return res.status(404).json({ error: 'Subcategory not found' });
+    }
+    return res.status(200).json({
+      category: req.params.category,
+      subcategory: req.params.subcategory,
+      questions: subcategory.questions
+    });
+  } catch (error) {
+    console.error(`[ERROR] Error retrieving questions of ${req.params.category}/${req.params.subcategory}:`, error);
+    return res.status(500).json({ error: 'Failed to retrieve questions', message: error.message });
+  }
+});
+
+/**
+ * GET /taxonomy/themes
+ * List the survey page themes with a short description of when each fits.
+ */
+router.get('/taxonomy/themes', verifyToken, async (req, res) => {
+  try {
+    const loaded = await loadCatalog(req);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const themes = loaded.catalog.themes.map(key => ({ key, description: THEME_DESCRIPTIONS[key] || null }));
+    return res.status(200).json(themes);
+  } catch (error) {
+    console.error('[ERROR] Error retrieving themes:', error);
+    return res.status(500).json({ error: 'Failed to retrieve themes', message: error.message });
+  }
+});
+
+/**
+ * PUT /taxonomy/categories/:category
+ * Create or replace the namespace's definition of a category. For a built-in category key the
+ * definition extends it; any other key defines a new category (label required).
+ */
+router.put('/taxonomy/categories/:category', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const auth = await authorizeAdmin(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const key = req.params.category;
+    const normalized = normalizeCategoryDefinition(key, req.body || {});
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+    const docRef = taxonomyCollection.doc(`${auth.namespaceId}_${key}`);
+    const existing = await docRef.get();
+    await docRef.set({
+      namespaceId: auth.namespaceId,
+      key,
+      ...normalized.definition,
+      createdBy: existing.exists ? existing.data().createdBy : userId,
+      createdAt: existing.exists ? existing.data().createdAt : admin.firestore.FieldValue.serverTimestamp(),
+      lastUpdatedBy: userId,
+      lastModified: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await logActivity(userId, 'taxonomy_category_saved', `${existing.exists ? 'Updated' : 'Added'} campaign category: ${normalized.definition.label || key}`, auth.namespaceId, { category: key });
+
+    const catalog = await getTaxonomyCatalog(auth.namespaceId);
+    console.info(`[INFO] Saved taxonomy category ${key} for namespace ${auth.namespaceId}`);
+    return res.status(existing.exists ? 200 : 201).json({ key, ...catalog.categories[key] });
+  } catch (error) {
+    console.error(`[ERROR] Error saving taxonomy category ${req.params.category}:`, error);
+    return res.status(500).json({ error: 'Failed to save category', message: error.message });
+  }
+});
+
+/**
+ * DELETE /taxonomy/categories/:category
+ * Remove the namespace's definition of a category (a custom category, or its extension of a
+ * built-in one). Existing campaigns are not changed.
+ */
+router.delete('/taxonomy/categories/:category', verifyToken, async (req, res) => {
+  try {
+    const auth = await authorizeAdmin(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const key = req.params.category;
+    const docRef = taxonomyCollection.doc(`${auth.namespaceId}_${key}`);
+    const doc = await docRef.get();
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'This namespace has not defined that category' });
+    }
+    await docRef.delete();
+    await logActivity(req.user.uid, 'taxonomy_category_deleted', `Removed campaign category: ${doc.data().label || key}`, auth.namespaceId, { category: key });
+    console.info(`[INFO] Deleted taxonomy category ${key} for namespace ${auth.namespaceId}`);
+    return res.status(200).json({ message: 'Category removed', key });
+  } catch (error) {
+    console.error(`[ERROR] Error deleting taxonomy category ${req.params.category}:`, error);
+    return res.status(500).json({ error: 'Failed to delete category', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -16,18 +16,31 @@
  *     - Update a specific draft campaign (account-specific). (Note: namespaceId cannot be updated.)
  *   DELETE /drafts/:id
  *     - Delete a specific draft campaign (account-specific).
+ *   POST   /drafts/:id/publish
+ *     - Validate a draft and create a live campaign from it in one transaction; optionally
+ *       delete or archive the draft.
  *
  * @example
  *   // Create a draft campaign:
  *   curl -X POST -H "Authorization: Bearer YOUR_TOKEN" -H "Content-Type: application/json" \
  *        -d '{ "namespaceId": "NAMESPACE_DOC_ID", "name": "Draft Campaign", "title": "Draft Title", "description": "Some description", "category": "government", "theme": "aurora", "campaignImage": "data:image/png;base64,...", "customColors": "", "subcategory": "success_stories", "surveyQuestions": "[\"Question1\", \"Question2\"]", "hasExplainerVideo": false }' \
  *        https://yourdomain.com/campaign/drafts
+ *
+ *   // Publish a draft campaign and archive the draft:
+ *   curl -X POST -H "Authorization: Bearer YOUR_TOKEN" -H "Content-Type: application/json" \
+ *        -d '{ "draftAction": "archive" }' \
+ *        "https://yourdomain.com/draftCampaign/drafts/DRAFT_ID/publish?namespaceId=NAMESPACE_DOC_ID"
  */
 
 const express = require('express');
 const admin = require('../../config/firebase');
 const { verifyToken } = require('../../config/middleware');
 const { logActivity } = require('../../utils/activityLogger');
+const { CampaignStatuses, parseScheduleWindow, getEffectiveStatus, resolveActiveStatus } = require('../../utils/campaignLifecycle');
+const { validateCategoryPair, getTaxonomyCatalog } = require('../../utils/campaignTaxonomy');
+const { normalizeIntakeFields } = require('../../utils/intakeFields');
+const { DEFAULT_LOCALE, normalizeLocalization } = require('../../utils/campaignLocalization');
+const { validateConsentTermsRef } = require('../../utils/consentTerms');
 
 const router = express.Router();
 
@@ -58,6 +71,60 @@ async function getUserPermission(namespaceId, userEmail) {
   return member ? member.permission : null;
 }
 
+/**
+ * Helper function to read a draft's survey questions, which the API accepts as an array or as
+ * its JSON string.
+ *
+ * @param {*} value - The surveyQuestions value.
+ * @returns {Array|null} The questions, or null if the value is not a (JSON) array.
+ */
+function parseSurveyQuestions(value) {
+  if (value === undefined || value === null || value === '') return [];
+  let questions = value;
+  if (typeof value === 'string') {
+    try {
+      questions = JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+  return Array.isArray(questions) ? questions : null;
+}
+
+/**
+ * Helper function to check that a draft is complete enough to become a campaign.
+ * Requires a title, a consistent category/subcategory pair and at least one non-empty survey question.
+ *
+ * @param {object} draftData - The draft campaign data.
+ * @param {object} categories - The namespace's categories (see getTaxonomyCatalog).
+ * @returns {string[]} A list of validation errors (empty if the draft can be published).
+ */
+function validateDraftForPublish(draftData, categories) {
+  const errors = [];
+  if (!draftData.title || !String(draftData.title).trim()) {
+    errors.push('title is required');
+  }
+  const categoryError = validateCategoryPair(draftData.category, draftData.subcategory, categories);
+  if (categoryError) {
+    errors.push(categoryError);
+  }
+  const questions = parseSurveyQuestions(draftData.surveyQuestions) || [];
+  if (!questions.some(q => typeof q === 'string' && q.trim())) {
+    errors.push('At least one survey question is required');
+  }
+  if (draftData.intakeFields !== undefined) {
+    const intake = normalizeIntakeFields(draftData.intakeFields);
+    if (intake.error) {
+      errors.push(intake.error);
+    }
+  }
+  const localization = normalizeLocalization(draftData);
+  if (localization.error) {
+    errors.push(localization.error);
+  }
+  return errors;
+}
+
 /**
  * POST /drafts
  * Create a new draft campaign associated with the authenticated user.
@@ -125,6 +192,7 @@ router.post('/drafts', verifyToken, async (req, res) => {
  * Retrieve all draft campaigns for the authenticated user in a given namespace,
  * sorted by last modified date (descending).
  * Expects a query parameter: namespaceId.
+ * Drafts archived on publish are omitted unless includeArchived=true is passed.
  * Each returned draft includes the user's permission.
  */
 router.get('/drafts', verifyToken, async (req, res) => {
@@ -150,7 +218,10 @@ router.get('/drafts', verifyToken, async (req, res) => {
       .where('namespaceId', '==', namespaceId)
       .orderBy('dateModified', 'desc')
       .get();
-    const drafts = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), userPermission: permission }));
+    const includeArchived = req.query.includeArchived === 'true';
+    const drafts = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data(), userPermission: permission }))
+      .filter(draft => includeArchived || !draft.archived);
     console.info(`[INFO] Found ${drafts.length} draft campaigns for user: ${userId} in namespace: ${namespaceId}`);
     return res.status(200).json(drafts);
   } catch (error) {
@@ -254,6 +325,12 @@ router.put('/drafts/:id', verifyToken, async (req, res) => {
     }
     // Prevent updating the namespaceId.
     const { namespaceId: ignore, ...allowedFields } = req.body;
+    if (allowedFields.surveyQuestions !== undefined) {
+      allowedFields.surveyQuestions = parseSurveyQuestions(allowedFields.surveyQuestions);
+      if (!allowedFields.surveyQuestions) {
+        return res.status(400).json({ error: 'surveyQuestions must be an array (or its JSON string)' });
+      }
+    }
     allowedFields.dateModified = admin.firestore.FieldValue.serverTimestamp();
 
     await draftRef.update(allowedFields);
@@ -308,4 +385,141 @@ router.delete('/drafts/:id', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /drafts/:id/publish
+ * Create a live campaign from a draft campaign.
+ * Only the owner with "read/write" or "admin" permission can publish.
+ * Expects a query parameter: namespaceId.
+ * Optional body fields:
+ *   - draftAction: "keep" (default), "delete" or "archive" – what to do with the draft afterwards.
+ *   - status: "active" (default) or "draft" – the initial campaign status.
+ *   - opensAt, closesAt: optional schedule window for the new campaign.
+ * The campaign is created and the draft is updated/deleted in a single transaction.
+ */
+router.post('/drafts/:id/publish', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const userEmail = req.user.email;
+    const namespaceId = req.query.namespaceId;
+    if (!namespaceId) {
+      return res.status(400).json({ error: 'namespaceId query parameter is required' });
+    }
+    const draftAction = req.body.draftAction || 'keep';
+    if (!['keep', 'delete', 'archive'].includes(draftAction)) {
+      return res.status(400).json({ error: 'draftAction must be "keep", "delete" or "archive"' });
+    }
+    const initialStatus = req.body.status || CampaignStatuses.ACTIVE;
+    if (initialStatus !== CampaignStatuses.DRAFT && initialStatus !== CampaignStatuses.ACTIVE) {
+      return res.status(400).json({ error: 'status must be "draft" or "active"' });
+    }
+    const schedule = parseScheduleWindow(req.body);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+    const permission = await getUserPermission(namespaceId, userEmail);
+    if (!permission || (permission !== 'read/write' && permission !== 'admin')) {
+      return res.status(403).json({ error: 'Insufficient permissions to publish draft campaign' });
+    }
+    console.info(`[INFO] Publishing draft campaign with ID: ${req.params.id} for user: ${userId}`);
+
+    const draftRef = db.collection('draftCampaigns').doc(req.params.id);
+    const campaignRef = db.collection('campaigns').doc();
+    const catalog = await getTaxonomyCatalog(namespaceId);
+    const result = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(draftRef);
+      if (!doc.exists) {
+        return { status: 404, body: { error: 'Draft campaign not found' } };
+      }
+      const draftData = doc.data();
+      if (draftData.userId !== userId || draftData.namespaceId !== namespaceId) {
+        return { status: 403, body: { error: 'Forbidden: You do not own this draft campaign' } };
+      }
+      if (draftData.archived) {
+        return { status: 409, body: { error: 'Draft campaign has already been published', campaignId: draftData.publishedCampaignId } };
+      }
+      const errors = validateDraftForPublish(draftData, catalog.categories);
+      const consentError = await validateConsentTermsRef(draftData.consentTermsId, namespaceId, transaction);
+      if (consentError) {
+        errors.push(consentError);
+      }
+      if (errors.length > 0) {
+        return { status: 400, body: { error: 'Draft campaign is incomplete', details: errors } };
+      }
+
+      const opensAt = schedule.fields.opensAt || null;
+      const closesAt = schedule.fields.closesAt || null;
+      const localization = normalizeLocalization(draftData).fields;
+      const campaignData = {
+        name: draftData.name || '',
+        title: draftData.title,
+        description: draftData.description || '',
+        category: draftData.category || '',
+        theme: draftData.theme || '',
+        campaignImage: draftData.campaignImage || '',
+        customColors: draftData.customColors || '',
+        subcategory: draftData.subcategory || '',
+        surveyQuestions: parseSurveyQuestions(draftData.surveyQuestions).filter(q => typeof q === 'string' && q.trim()),
+        // Set by the explainer finalize endpoint once a video has actually been uploaded.
+        hasExplainerVideo: false,
+        explainerVideoPath: null,
+        explainerPosterPath: null,
+        explainerDurationSeconds: null,
+        intakeFields: draftData.intakeFields !== undefined ? normalizeIntakeFields(draftData.intakeFields).fields : [],
+        consentTermsId: draftData.consentTermsId || null,
+        defaultLocale: localization.defaultLocale || DEFAULT_LOCALE,
+        translations: localization.translations || {},
+        status: initialStatus === CampaignStatuses.DRAFT ? CampaignStatuses.DRAFT : resolveActiveStatus({ opensAt }),
+        opensAt,
+        closesAt,
+        namespaceId,
+        publishedFromDraftId: draftRef.id,
+        responsesCount: 0,
+        createdBy: userId,
+        lastUpdatedBy: userId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        dateModified: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      transaction.set(campaignRef, campaignData);
+
+      if (draftAction === 'delete') {
+        transaction.delete(draftRef);
+      } else {
+        transaction.update(draftRef, {
+          archived: draftAction === 'archive',
+          publishedCampaignId: campaignRef.id,
+          publishedAt: admin.firestore.FieldValue.serverTimestamp(),
+          dateModified: admin.firestore.FieldValue.serverTimestamp()
+        });
+      }
+      return { status: 201, campaignName: campaignData.name };
+    });
+
+    if (result.status !== 201) {
+      console.warn(`[WARN] Could not publish draft campaign ${req.params.id}: ${result.body.error}`);
+      return res.status(result.status).json(result.body);
+    }
+
+    await logActivity(userId, 'campaign_published', `Published campaign: ${result.campaignName || 'Untitled'}`, namespaceId, {
+      campaignId: campaignRef.id,
+      draftCampaignId: req.params.id,
+      draftAction
+    });
+    const createdDoc = await campaignRef.get();
+    const createdData = createdDoc.data();
+    console.info(`[INFO] Draft campaign ${req.params.id} published as campaign ${campaignRef.id} (draft ${draftAction})`);
+    return res.status(201).json({
+      id: createdDoc.id,
+      ...createdData,
+      status: getEffectiveStatus(createdData),
+      userPermission: permission,
+      aiVideoCount: 0,
+      responsesCount: 0,
+      draftAction
+    });
+  } catch (error) {
+    console.error(`[ERROR] Error publishing draft campaign ${req.params.id} for user ${req.user.uid}:`, error);
+    return res.status(500).json({ error: 'Failed to publish draft campaign', message: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,362 @@
+/**
+ * Comments API
+ *
+ * This module provides internal discussion threads for namespace members on campaigns and on
+ * individual survey videos. Comments are never shown on public endpoints.
+ *
+ * The "comments" collection documents have fields:
+ *   - namespaceId, campaignId, videoId (null for comments on the campaign itself)
+ *   - parentId (null for the first comment of a thread; replies point at that comment)
+ *   - authorId, authorEmail, authorName, body, mentions (emails of mentioned members)
+ *   - edited, deleted, createdAt, lastModified
+ *
+ * Mentions: "@member@example.com" in the body (or an explicit "mentions" array of emails) mentions
+ * a namespace member. Each newly mentioned active member gets an alert (see GET /alerts).
+ *
+ * Endpoints (any active namespace member can read and comment):
+ *   GET    /comments/campaigns/:campaignId   - List the threads on a campaign.
+ *   POST   /comments/campaigns/:campaignId   - Comment on a campaign. Body: { body, parentId?, mentions? }.
+ *   GET    /comments/videos/:videoId         - List the threads on a survey video.
+ *   POST   /comments/videos/:videoId         - Comment on a survey video. Body: { body, parentId?, mentions? }.
+ *   PUT    /comments/:commentId              - Edit a comment (author or namespace admin). Body: { body, mentions? }.
+ *   DELETE /comments/:commentId              - Delete a comment (author or namespace admin). Threads with
+ *                                              replies keep a "deleted" placeholder.
+ *
+ * @example
+ *   curl -X POST -H "Authorization: Bearer YOUR_TOKEN" -H "Content-Type: application/json" \
+ *        -d '{ "body": "@sam@example.org can we use this one for the ad?" }' \
+ *        https://yourdomain.com/comments/videos/VIDEO_ID
+ */
+
+const express = require('express');
+const admin = require('../../config/firebase');
+const { verifyToken } = require('../../config/middleware');
+const { logActivity } = require('../../utils/activityLogger');
+const { createAlert, findUserIdByEmail } = require('../../utils/alerts');
+const { isTrashed } = require('../../utils/campaignPurge');
+
+const router = express.Router();
+const db = admin.firestore();
+
+const MAX_COMMENT_LENGTH = 5000;
+const MENTION_PATTERN = /(?:^|[^\w.+-])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+// Collection reference
+const commentsCollection = db.collection('comments');
+
+/**
+ * Helper: find the caller's active membership in a namespace.
+ * Returns { nsData, member } or null.
+ */
+async function getMembership(namespaceId, userEmail) {
+  if (!namespaceId || !userEmail) return null;
+  const nsDoc = await db.collection('namespaces').doc(namespaceId).get();
+  if (!nsDoc.exists) return null;
+
+  const nsData = nsDoc.data();
+  if (!nsData.members) return null;
+
+  const member = nsData.members.find(m =>
+    m.email.toLowerCase() === userEmail.toLowerCase() && m.status === 'active'
+  );
+  return member ? { nsData, member } : null;
+}
+
+// Helper: the display name stored with a comment
+async function getAuthorName(userId, fallback) {
+  const userDoc = await db.collection('users').doc(userId).get();
+  if (!userDoc.exists) return fallback;
+  const data = userDoc.data();
+  return data.displayName || `${data.firstName || ''} ${data.lastName || ''}`.trim() || fallback;
+}
+
+/**
+ * Helper: the active members mentioned in a comment (lowercased emails), excluding the author.
+ * Mentions come from "@email" tokens in the body and from an optional explicit list.
+ */
+function resolveMentions(body, explicit, nsData, authorEmail) {
+  const candidates = new Set();
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    candidates.add(match[1].replace(/\.+$/, '').toLowerCase());
+  }
+  if (Array.isArray(explicit)) {
+    explicit.filter(e => typeof e === 'string').forEach(e => candidates.add(e.trim().toLowerCase()));
+  }
+  const activeMembers = new Set((nsData.members || [])
+    .filter(m => m.status === 'active')
+    .map(m => m.email.toLowerCase()));
+  return [...candidates].filter(email => activeMembers.has(email) && email !== authorEmail.toLowerCase());
+}
+
+// Helper: alert newly mentioned members
+async function notifyMentions(emails, comment, commentId, authorName) {
+  const target = comment.videoId ? 'a survey video' : 'a campaign';
+  for (const email of emails) {
+    const userId = await findUserIdByEmail(email);
+    if (!userId) continue;
+    await createAlert(userId, 'comment_mention', `${authorName} mentioned you in a comment on ${target}`, comment.namespaceId, {
+      campaignId: comment.campaignId,
+      videoId: comment.videoId,
+      commentId
+    });
+  }
+}
+
+// Helper: validate a comment body
+function validateBody(body) {
+  if (typeof body !== 'string' || !body.trim()) return 'body is required';
+  if (body.length > MAX_COMMENT_LENGTH) return `body must be at most ${MAX_COMMENT_LENGTH} characters`;
+  return null;
+}
+
+/**
+ * Helper: resolve the campaign a comment target belongs to.
+ * Returns { status, error } or { campaignId, videoId, campaignData }.
+ */
+async function loadTarget({ campaignId, videoId }) {
+  if (videoId) {
+    const videoDoc = await db.collection('surveyVideos').doc(videoId).get();
+    if (!videoDoc.exists) {
+      return { status: 404, error: 'Video not found' };
+    }
+    campaignId = videoDoc.data().campaignId;
+  }
+  const campaignDoc = await db.collection('campaigns').doc(campaignId).get();
+  if (!campaignDoc.exists || isTrashed(campaignDoc.data())) {
+    return { status: 404, error: 'Campaign not found' };
+  }
+  return { campaignId, videoId: videoId || null, campaignData: campaignDoc.data() };
+}
+
+// Helper: group comments into threads, oldest first
+function buildThreads(docs) {
+  const comments = docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => (a.createdAt ? a.createdAt.toMillis() : 0) - (b.createdAt ? b.createdAt.toMillis() : 0));
+  const threads = comments.filter(c => !c.parentId).map(c => ({ ...c, replies: [] }));
+  const byId = new Map(threads.map(t => [t.id, t]));
+  for (const comment of comments) {
+    if (comment.parentId && byId.has(comment.parentId)) {
+      byId.get(comment.parentId).replies.push(comment);
+    }
+  }
+  return threads;
+}
+
+// Shared handler: list threads on a campaign or video
+async function listComments(req, res, target) {
+  try {
+    const loaded = await loadTarget(target);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const membership = await getMembership(loaded.campaignData.namespaceId, req.user.email);
+    if (!membership) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission in this namespace' });
+    }
+    const snapshot = await commentsCollection
+      .where('campaignId', '==', loaded.campaignId)
+      .where('videoId', '==', loaded.videoId)
+      .get();
+    return res.status(200).json(buildThreads(snapshot.docs));
+  } catch (error) {
+    console.error('[ERROR] Error fetching comments:', error);
+    return res.status(500).json({ error: 'Failed to fetch comments', message: error.message });
+  }
+}
+
+// Shared handler: add a comment to a campaign or video
+async function addComment(req, res, target) {
+  try {
+    const userId = req.user.uid;
+    const { body, parentId } = req.body;
+    const bodyError = validateBody(body);
+    if (bodyError) {
+      return res.status(400).json({ error: bodyError });
+    }
+    const loaded = await loadTarget(target);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const namespaceId = loaded.campaignData.namespaceId;
+    const membership = await getMembership(namespaceId, req.user.email);
+    if (!membership) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission in this namespace' });
+    }
+
+    // Replies always attach to the first comment of their thread.
+    let threadId = null;
+    if (parentId) {
+      const parentDoc = await commentsCollection.doc(parentId).get();
+      const parent = parentDoc.exists ? parentDoc.data() : null;
+      if (!parent || parent.campaignId !== loaded.campaignId || parent.videoId !== loaded.videoId) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+      threadId = parent.parentId || parentDoc.id;
+    }
+
+    const authorName = await getAuthorName(userId, req.user.email);
+    const mentions = resolveMentions(body, req.body.mentions, membership.nsData, req.user.email);
+    const comment = {
+      namespaceId,
+      campaignId: loaded.campaignId,
+      videoId: loaded.videoId,
+      parentId: threadId,
+      authorId: userId,
+      authorEmail: req.user.email,
+      authorName,
+      body: body.trim(),
+      mentions,
+      edited: false,
+      deleted: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastModified: admin.firestore.FieldValue.serverTimestamp()
+    };
+    const commentRef = await commentsCollection.add(comment);
+    await notifyMentions(mentions, comment, commentRef.id, authorName);
+    await logActivity(userId, 'comment_added', `Commented on ${loaded.videoId ? 'a survey video' : 'campaign'}: ${loaded.campaignData.name || 'Untitled'}`, namespaceId, {
+      campaignId: loaded.campaignId,
+      videoId: loaded.videoId,
+      commentId: commentRef.id
+    });
+    const createdDoc = await commentRef.get();
+    return res.status(201).json({ id: createdDoc.id, ...createdDoc.data() });
+  } catch (error) {
+    console.error('[ERROR] Error adding comment:', error);
+    return res.status(500).json({ error: 'Failed to add comment', message: error.message });
+  }
+}
+
+/**
+ * Helper: load a comment and check that the caller is its author or a namespace admin.
+ * Returns { status, error } or { commentRef, comment, membership }.
+ */
+async function loadOwnComment(commentId, req) {
+  const commentRef = commentsCollection.doc(commentId);
+  const commentDoc = await commentRef.get();
+  if (!commentDoc.exists || commentDoc.data().deleted) {
+    return { status: 404, error: 'Comment not found' };
+  }
+  const comment = commentDoc.data();
+  const membership = await getMembership(comment.namespaceId, req.user.email);
+  if (!membership) {
+    return { status: 403, error: 'Forbidden: You do not have permission in this namespace' };
+  }
+  if (comment.authorId !== req.user.uid && membership.member.permission !== 'admin') {
+    return { status: 403, error: 'Only the author or an admin can change this comment' };
+  }
+  return { commentRef, comment, membership };
+}
+
+/**
+ * GET /comments/campaigns/:campaignId
+ * List the comment threads on a campaign (not including comments on its videos).
+ * Each thread is its first comment with a "replies" array, oldest first.
+ */
+router.get('/campaigns/:campaignId', verifyToken, (req, res) =>
+  listComments(req, res, { campaignId: req.params.campaignId })
+);
+
+/**
+ * POST /comments/campaigns/:campaignId
+ * Comment on a campaign, or reply in a thread with parentId.
+ */
+router.post('/campaigns/:campaignId', verifyToken, (req, res) =>
+  addComment(req, res, { campaignId: req.params.campaignId })
+);
+
+/**
+ * GET /comments/videos/:videoId
+ * List the comment threads on a survey video.
+ */
+router.get('/videos/:videoId', verifyToken, (req, res) =>
+  listComments(req, res, { videoId: req.params.videoId })
+);
+
+/**
+ * POST /comments/videos/:videoId
+ * Comment on a survey video, or reply in a thread with parentId.
+ */
+router.post('/videos/:videoId', verifyToken, (req, res) =>
+  addComment(req, res, { videoId: req.params.videoId })
+);
+
+/**
+ * PUT /comments/:commentId
+ * Edit a comment's body. Members mentioned for the first time are alerted.
+ * Restricted to the author and namespace admins.
+ */
+router.put('/:commentId', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const bodyError = validateBody(req.body.body);
+    if (bodyError) {
+      return res.status(400).json({ error: bodyError });
+    }
+    const loaded = await loadOwnComment(req.params.commentId, req);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const { commentRef, comment, membership } = loaded;
+    const mentions = resolveMentions(req.body.body, req.body.mentions, membership.nsData, comment.authorEmail);
+    await commentRef.update({
+      body: req.body.body.trim(),
+      mentions,
+      edited: true,
+      lastModified: admin.firestore.FieldValue.serverTimestamp()
+    });
+    const newMentions = mentions.filter(email => !(comment.mentions || []).includes(email));
+    await notifyMentions(newMentions, comment, commentRef.id, comment.authorName);
+    await logActivity(userId, 'comment_edited', 'Edited a comment', comment.namespaceId, {
+      campaignId: comment.campaignId,
+      videoId: comment.videoId,
+      commentId: commentRef.id
+    });
+    const updatedDoc = await commentRef.get();
+    return res.status(200).json({ id: updatedDoc.id, ...updatedDoc.data() });
+  } catch (error) {
+    console.error(`[ERROR] Error editing comment ${req.params.commentId}:`, error);
+    return res.status(500).json({ error: 'Failed to edit comment', message: error.message });
+  }
+});
+
+/**
+ * DELETE /comments/:commentId
+ * Delete a comment. The first comment of a thread that has replies is blanked and marked
+ * "deleted" instead, so the replies stay readable.
+ * Restricted to the author and namespace admins.
+ */
+router.delete('/:commentId', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const loaded = await loadOwnComment(req.params.commentId, req);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const { commentRef, comment } = loaded;
+    const replies = comment.parentId
+      ? { empty: true }
+      : await commentsCollection.where('parentId', '==', commentRef.id).limit(1).get();
+    if (replies.empty) {
+      await commentRef.delete();
+    } else {
+      await commentRef.update({
+        body: '',
+        mentions: [],
+        deleted: true,
+        lastModified: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+    await logActivity(userId, 'comment_deleted', 'Deleted a comment', comment.namespaceId, {
+      campaignId: comment.campaignId,
+      videoId: comment.videoId,
+      commentId: commentRef.id
+    });
+    return res.status(200).json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error(`[ERROR] Error deleting comment ${req.params.commentId}:`, error);
+    return res.status(500).json({ error: 'Failed to delete comment', message: error.message });
+  }
+});
+
+module.exports = router;
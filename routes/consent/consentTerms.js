@@ -0,0 +1,249 @@
+/**
+ * Consent Terms API
+ *
+ * This module manages namespace-level, versioned release/consent texts that respondents
+ * must accept when submitting a survey video. Campaigns reference a set of terms through
+ * "consentTermsId"; GET /campaign/campaigns/survey/:id serves the current version and
+ * POST /survey/upload stores the accepted version, timestamp and IP on the response.
+ *
+ * The "consentTerms" collection documents have fields:
+ *   - namespaceId, name
+ *   - currentVersion, currentText (copy of the latest version for fast reads)
+ *   - createdBy, lastUpdatedBy, createdAt, lastModified
+ * Every version is kept, unchanged, in consentTerms/{termsId}/versions/{version}.
+ *
+ * Endpoints:
+ *   POST /consent/terms                        - Create a set of terms with its first version (requires "admin").
+ *   GET  /consent/terms                        - List terms in a namespace (any membership).
+ *   GET  /consent/terms/:id                    - Get terms with all versions (any membership).
+ *   POST /consent/terms/:id/versions           - Publish a new version of the text (requires "admin").
+ *   GET  /consent/terms/:id/responses          - List survey responses accepted under these terms,
+ *                                                optionally filtered by ?version=N (any membership).
+ *
+ * @example
+ *   curl -X POST -H "Authorization: Bearer YOUR_TOKEN" -H "Content-Type: application/json" \
+ *        -d '{ "namespaceId": "NAMESPACE_ID", "name": "Video release", "text": "I grant permission..." }' \
+ *        https://yourdomain.com/consent/terms
+ */
+
+const express = require('express');
+const admin = require('../../config/firebase');
+const { verifyToken } = require('../../config/middleware');
+const { logActivity } = require('../../utils/activityLogger');
+
+const router = express.Router();
+const db = admin.firestore();
+
+// Helper: check user’s permission in a namespace
+async function getUserPermission(namespaceId, userEmail) {
+  if (!namespaceId || !userEmail) return null;
+  const nsDoc = await db.collection('namespaces').doc(namespaceId).get();
+  if (!nsDoc.exists) return null;
+
+  const nsData = nsDoc.data();
+  if (!nsData.members) return null;
+
+  const member = nsData.members.find(m =>
+    m.email.toLowerCase() === userEmail.toLowerCase() && m.status === 'active'
+  );
+  return member ? member.permission : null;
+}
+
+// Collection reference
+const termsCollection = db.collection('consentTerms');
+
+/**
+ * POST /consent/terms
+ * Create a new set of consent terms (version 1) in a namespace.
+ * Requires "admin".
+ */
+router.post('/terms', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { namespaceId, name, text } = req.body;
+    if (!namespaceId) {
+      return res.status(400).json({ error: 'namespaceId is required' });
+    }
+    if (!name || !text || !String(text).trim()) {
+      return res.status(400).json({ error: 'name and text are required' });
+    }
+    const permission = await getUserPermission(namespaceId, req.user.email);
+    if (permission !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can manage consent terms' });
+    }
+
+    const termsRef = termsCollection.doc();
+    const batch = db.batch();
+    batch.set(termsRef, {
+      namespaceId,
+      name,
+      currentVersion: 1,
+      currentText: text,
+      createdBy: userId,
+      lastUpdatedBy: userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastModified: admin.firestore.FieldValue.serverTimestamp()
+    });
+    batch.set(termsRef.collection('versions').doc('1'), {
+      version: 1,
+      text,
+      createdBy: userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await batch.commit();
+
+    await logActivity(userId, 'consent_terms_created', `Created consent terms: ${name}`, namespaceId, { consentTermsId: termsRef.id });
+    const createdDoc = await termsRef.get();
+    return res.status(201).json({ id: createdDoc.id, ...createdDoc.data() });
+  } catch (error) {
+    console.error('[ERROR] Error creating consent terms:', error);
+    return res.status(500).json({ error: 'Failed to create consent terms', message: error.message });
+  }
+});
+
+/**
+ * GET /consent/terms
+ * List the consent terms of a namespace.
+ * Any user with membership can read.
+ */
+router.get('/terms', verifyToken, async (req, res) => {
+  try {
+    const namespaceId = req.query.namespaceId;
+    if (!namespaceId) {
+      return res.status(400).json({ error: 'namespaceId query parameter is required' });
+    }
+    const permission = await getUserPermission(namespaceId, req.user.email);
+    if (!permission) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission in this namespace' });
+    }
+    const snapshot = await termsCollection
+      .where('namespaceId', '==', namespaceId)
+      .get();
+    const terms = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    return res.status(200).json(terms);
+  } catch (error) {
+    console.error('[ERROR] Error fetching consent terms:', error);
+    return res.status(500).json({ error: 'Failed to fetch consent terms', message: error.message });
+  }
+});
+
+/**
+ * GET /consent/terms/:id
+ * Retrieve a set of consent terms with every version, newest first.
+ * Any user with membership can read.
+ */
+router.get('/terms/:id', verifyToken, async (req, res) => {
+  try {
+    const termsRef = termsCollection.doc(req.params.id);
+    const termsDoc = await termsRef.get();
+    if (!termsDoc.exists) {
+      return res.status(404).json({ error: 'Consent terms not found' });
+    }
+    const termsData = termsDoc.data();
+    const permission = await getUserPermission(termsData.namespaceId, req.user.email);
+    if (!permission) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission in this namespace' });
+    }
+    const versionsSnapshot = await termsRef.collection('versions')
+      .orderBy('version', 'desc')
+      .get();
+    const versions = versionsSnapshot.docs.map(doc => doc.data());
+    return res.status(200).json({ id: termsDoc.id, ...termsData, versions });
+  } catch (error) {
+    console.error('[ERROR] Error fetching consent terms:', error);
+    return res.status(500).json({ error: 'Failed to fetch consent terms', message: error.message });
+  }
+});
+
+/**
+ * POST /consent/terms/:id/versions
+ * Publish a new version of the consent text. Earlier versions are kept unchanged, and
+ * respondents must accept the new version from now on.
+ * Requires "admin".
+ */
+router.post('/terms/:id/versions', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { text } = req.body;
+    if (!text || !String(text).trim()) {
+      return res.status(400).json({ error: 'text is required' });
+    }
+    const termsRef = termsCollection.doc(req.params.id);
+    const termsDoc = await termsRef.get();
+    if (!termsDoc.exists) {
+      return res.status(404).json({ error: 'Consent terms not found' });
+    }
+    const termsData = termsDoc.data();
+    const permission = await getUserPermission(termsData.namespaceId, req.user.email);
+    if (permission !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can manage consent terms' });
+    }
+
+    const version = await db.runTransaction(async (transaction) => {
+      const current = await transaction.get(termsRef);
+      const nextVersion = (current.data().currentVersion || 0) + 1;
+      transaction.set(termsRef.collection('versions').doc(String(nextVersion)), {
+        version: nextVersion,
+        text,
+        createdBy: userId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      transaction.update(termsRef, {
+        currentVersion: nextVersion,
+        currentText: text,
+        lastUpdatedBy: userId,
+        lastModified: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return nextVersion;
+    });
+
+    await logActivity(userId, 'consent_terms_versioned', `Published version ${version} of consent terms: ${termsData.name}`, termsData.namespaceId, {
+      consentTermsId: termsRef.id,
+      version
+    });
+    const updatedDoc = await termsRef.get();
+    return res.status(201).json({ id: updatedDoc.id, ...updatedDoc.data() });
+  } catch (error) {
+    console.error('[ERROR] Error publishing consent terms version:', error);
+    return res.status(500).json({ error: 'Failed to publish consent terms version', message: error.message });
+  }
+});
+
+/**
+ * GET /consent/terms/:id/responses
+ * List the survey responses whose respondents accepted these terms, newest first.
+ * Optional query parameter: version (only responses accepted under that version).
+ * Any user with membership can read.
+ */
+router.get('/terms/:id/responses', verifyToken, async (req, res) => {
+  try {
+    const termsDoc = await termsCollection.doc(req.params.id).get();
+    if (!termsDoc.exists) {
+      return res.status(404).json({ error: 'Consent terms not found' });
+    }
+    const termsData = termsDoc.data();
+    const permission = await getUserPermission(termsData.namespaceId, req.user.email);
+    if (!permission) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission in this namespace' });
+    }
+
+    let query = db.collection('surveyVideos').where('consent.termsId', '==', req.params.id);
+    if (req.query.version !== undefined) {
+      const version = parseInt(req.query.version, 10);
+      if (Number.isNaN(version)) {
+        return res.status(400).json({ error: 'version must be a number' });
+      }
+      query = query.where('consent.version', '==', version);
+    }
+    const snapshot = await query.get();
+    const responses = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (b.createdAt ? b.createdAt.toMillis() : 0) - (a.createdAt ? a.createdAt.toMillis() : 0));
+    return res.status(200).json(responses);
+  } catch (error) {
+    console.error('[ERROR] Error fetching responses for consent terms:', error);
+    return res.status(500).json({ error: 'Failed to fetch responses', message: error.message });
+  }
+});
+
+module.exports = router;
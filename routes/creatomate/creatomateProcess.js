@@ -9,6 +9,7 @@
  *   POST /creatomate-process
  *     - Initiates processing (enhancing) of a raw video using the Creatomate API (commented out).
  *       Currently, it just marks the video as "enhanced" without actually calling Creatomate.
+ *       Videos rejected in moderation (see routes/moderation/moderation.js) cannot be enhanced.
  *   GET  /creatomate-process/status/job/:jobId
  *     - Checks the status of a specific Creatomate processing job (with membership check).
  *   GET  /creatomate/ai-videos/campaign/:campaignId
@@ -21,6 +22,7 @@ const express = require('express');
 const admin = require('../../config/firebase');
 const { verifyToken } = require('../../config/middleware');
 const axios = require('axios');
+const { ModerationStatuses, getModerationStatus } = require('../../utils/responseModeration');
 
 const router = express.Router();
 const db = admin.firestore();
@@ -134,6 +136,10 @@ router.post('/creatomate-process', verifyToken, async (req, res) => {
     }
     const videoData = videoDoc.data();
     const campaignId = videoData.campaignId;
+    if (getModerationStatus(videoData) === ModerationStatuses.REJECTED) {
+      console.warn(`[WARN] Video ${videoId} was rejected in moderation; not enhancing`);
+      return res.status(409).json({ error: 'Rejected videos cannot be enhanced', moderationStatus: ModerationStatuses.REJECTED });
+    }
 
     // Fetch the campaign to see if user has "read/write" or "admin" permission
     const campaignRef = db.collection('campaigns').doc(campaignId);
@@ -0,0 +1,62 @@
+/**
+ * Scheduled Jobs API
+ *
+ * Endpoints run by App Engine cron (see cron.yaml). Requests from anywhere else are refused.
+ *
+ * Endpoints:
+ *   GET /jobs/campaign-goals   - Check every campaign with an unreached response goal and send due
+ *                                milestone and behind-pace alerts (see utils/campaignGoals.js).
+ *   GET /jobs/response-counts  - Store the response count on campaigns created before the counter
+ *                                existed (see utils/responseCounter.js).
+ *   GET /jobs/survey-sessions  - Delete survey upload sessions that expired without being finalized,
+ *                                with their clips (see utils/surveySessions.js).
+ */
+
+const express = require('express');
+const { verifyCron } = require('../../config/middleware');
+const { sweepGoalProgress } = require('../../utils/campaignGoals');
+const { backfillResponsesCounts } = require('../../utils/responseCounter');
+const { purgeExpiredSessions } = require('../../utils/surveySessions');
+
+const router = express.Router();
+
+/**
+ * GET /jobs/campaign-goals
+ */
+router.get('/campaign-goals', verifyCron, async (req, res) => {
+  try {
+    const result = await sweepGoalProgress();
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('[ERROR] Error running campaign goal sweep:', error);
+    return res.status(500).json({ error: 'Failed to check campaign goals', message: error.message });
+  }
+});
+
+/**
+ * GET /jobs/response-counts
+ */
+router.get('/response-counts', verifyCron, async (req, res) => {
+  try {
+    const result = await backfillResponsesCounts();
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('[ERROR] Error backfilling response counts:', error);
+    return res.status(500).json({ error: 'Failed to backfill response counts', message: error.message });
+  }
+});
+
+/**
+ * GET /jobs/survey-sessions
+ */
+router.get('/survey-sessions', verifyCron, async (req, res) => {
+  try {
+    const result = await purgeExpiredSessions();
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('[ERROR] Error purging expired survey sessions:', error);
+    return res.status(500).json({ error: 'Failed to purge expired survey sessions', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,384 @@
+/**
+ * Campaign Links API
+ *
+ * This module mints stable, human-friendly links to public survey pages and renders QR codes
+ * for them. Links point at a campaign ID, so they keep working when the campaign is edited.
+ *
+ * Two kinds of links are stored in the "campaignLinks" collection:
+ *   - short links:  a random code, unique across all namespaces (document ID = code).
+ *                   Resolved through GET /links/resolve/:code.
+ *   - vanity links: a custom slug, unique within a namespace (document ID = "<namespaceId>:<slug>").
+ *                   Resolved through GET /links/resolve/:scope/:slug, where scope is the namespace's
+ *                   link handle (see PUT /links/namespaces/:namespaceId/handle) or its ID.
+ *
+ * Endpoints:
+ *   POST   /links/campaigns/:campaignId                - Create a link for a campaign (requires "read/write" or "admin").
+ *                                                        Without a slug, returns the campaign's short link (minting it once).
+ *   GET    /links/campaigns/:campaignId                - List a campaign's links (any membership).
+ *   DELETE /links/:linkId                              - Delete a link (requires "read/write" or "admin").
+ *   GET    /links/:linkId/qr                           - Download a QR code for a link (?format=png|svg, ?size=pixels).
+ *   PUT    /links/namespaces/:namespaceId/handle       - Set the namespace's link handle (requires "admin").
+ *   GET    /links/resolve/:code                        - Public: resolve a short link to its campaign.
+ *   GET    /links/resolve/:scope/:slug                 - Public: resolve a vanity link to its campaign.
+ *
+ * Link URLs are built from SHORT_LINK_BASE_URL (e.g. https://amplify-pink.vercel.app/s).
+ *
+ * @example
+ *   curl -X POST -H "Authorization: Bearer YOUR_TOKEN" -H "Content-Type: application/json" \
+ *        -d '{ "slug": "petition-2026" }' https://yourdomain.com/links/campaigns/CAMPAIGN_ID
+ *
+ *   curl -H "Authorization: Bearer YOUR_TOKEN" -o qr.svg "https://yourdomain.com/links/LINK_ID/qr?format=svg"
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const QRCode = require('qrcode');
+const admin = require('../../config/firebase');
+const { verifyToken } = require('../../config/middleware');
+const { logActivity } = require('../../utils/activityLogger');
+const { isPubliclyVisible } = require('../../utils/campaignLifecycle');
+const { isTrashed } = require('../../utils/campaignPurge');
+const { isApprovalSatisfied } = require('../../utils/campaignApproval');
+const { getAccessMode } = require('../../utils/campaignAccess');
+
+const router = express.Router();
+const db = admin.firestore();
+
+const SHORT_LINK_BASE_URL = (process.env.SHORT_LINK_BASE_URL || 'https://amplify-pink.vercel.app/s').replace(/\/+$/, '');
+const SHORT_CODE_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789';
+const SHORT_CODE_LENGTH = 7;
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,48}[a-z0-9])?$/;
+
+// Collection references
+const linksCollection = db.collection('campaignLinks');
+const handlesCollection = db.collection('namespaceHandles');
+
+// Helper: check user’s permission in a namespace
+async function getUserPermission(namespaceId, userEmail) {
+  if (!namespaceId || !userEmail) return null;
+  const nsDoc = await db.collection('namespaces').doc(namespaceId).get();
+  if (!nsDoc.exists) return null;
+
+  const nsData = nsDoc.data();
+  if (!nsData.members) return null;
+
+  const member = nsData.members.find(m =>
+    m.email.toLowerCase() === userEmail.toLowerCase() && m.status === 'active'
+  );
+  return member ? member.permission : null;
+}
+
+// Helper: generate a random short code (no ambiguous characters such as 0/o or 1/l)
+function generateShortCode() {
+  const bytes = crypto.randomBytes(SHORT_CODE_LENGTH);
+  let code = '';
+  for (const byte of bytes) {
+    code += SHORT_CODE_ALPHABET[byte % SHORT_CODE_ALPHABET.length];
+  }
+  return code;
+}
+
+// Helper: build the public URL of a link
+function buildLinkUrl(linkData, namespaceHandle) {
+  if (linkData.type === 'vanity') {
+    return `${SHORT_LINK_BASE_URL}/${namespaceHandle || linkData.namespaceId}/${linkData.slug}`;
+  }
+  return `${SHORT_LINK_BASE_URL}/${linkData.code}`;
+}
+
+// Helper: fetch the link handle of a namespace (or null)
+async function getNamespaceHandle(namespaceId) {
+  const nsDoc = await db.collection('namespaces').doc(namespaceId).get();
+  return nsDoc.exists ? nsDoc.data().linkHandle || null : null;
+}
+
+// Helper: turn a link document into its API representation
+function formatLink(doc, namespaceHandle) {
+  const linkData = doc.data();
+  return { id: doc.id, ...linkData, url: buildLinkUrl(linkData, namespaceHandle) };
+}
+
+// Helper: resolve a link document to its (publicly visible) campaign
+async function resolveLink(linkDoc, res) {
+  if (!linkDoc.exists) {
+    return res.status(404).json({ error: 'Link not found' });
+  }
+  const linkData = linkDoc.data();
+  const campaignDoc = await db.collection('campaigns').doc(linkData.campaignId).get();
+  if (!campaignDoc.exists) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  const campaignData = campaignDoc.data();
+  if (isTrashed(campaignData) || !isPubliclyVisible(campaignData) || !(await isApprovalSatisfied(campaignData))) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  return res.status(200).json({
+    campaignId: linkData.campaignId,
+    namespaceId: linkData.namespaceId,
+    accessMode: getAccessMode(campaignData)
+  });
+}
+
+// The public resolve routes are registered first, so their paths are never taken as a link ID
+// by the routes below (e.g. GET /:linkId/qr).
+/**
+ * GET /links/resolve/:code
+ * Public endpoint: resolve a short link to { campaignId, namespaceId }.
+ */
+router.get('/resolve/:code', async (req, res) => {
+  try {
+    const code = String(req.params.code).toLowerCase();
+    const linkDoc = await linksCollection.doc(code).get();
+    if (linkDoc.exists && linkDoc.data().type !== 'short') {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+    return await resolveLink(linkDoc, res);
+  } catch (error) {
+    console.error('[ERROR] Error resolving short link:', error);
+    return res.status(500).json({ error: 'Failed to resolve link', message: error.message });
+  }
+});
+
+/**
+ * GET /links/resolve/:scope/:slug
+ * Public endpoint: resolve a vanity link to { campaignId, namespaceId }.
+ * The scope is the namespace's link handle or, if it has none, its ID.
+ */
+router.get('/resolve/:scope/:slug', async (req, res) => {
+  try {
+    const scope = req.params.scope;
+    const handleDoc = await handlesCollection.doc(scope.toLowerCase()).get();
+    const namespaceId = handleDoc.exists ? handleDoc.data().namespaceId : scope;
+    const linkDoc = await linksCollection.doc(`${namespaceId}:${req.params.slug.toLowerCase()}`).get();
+    return await resolveLink(linkDoc, res);
+  } catch (error) {
+    console.error('[ERROR] Error resolving vanity link:', error);
+    return res.status(500).json({ error: 'Failed to resolve link', message: error.message });
+  }
+});
+
+/**
+ * POST /links/campaigns/:campaignId
+ * Create a link for a campaign.
+ * Body: { slug? } – with a slug, a vanity link unique within the campaign's namespace is created;
+ * without one, the campaign's short link is returned (created on first call).
+ * Requires "read/write" or "admin".
+ */
+router.post('/campaigns/:campaignId', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const campaignId = req.params.campaignId;
+    const campaignDoc = await db.collection('campaigns').doc(campaignId).get();
+    if (!campaignDoc.exists || isTrashed(campaignDoc.data())) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    const campaignData = campaignDoc.data();
+    const namespaceId = campaignData.namespaceId;
+    const permission = await getUserPermission(namespaceId, req.user.email);
+    if (!permission || (permission !== 'read/write' && permission !== 'admin')) {
+      return res.status(403).json({ error: 'Insufficient permissions to create a link' });
+    }
+    const namespaceHandle = await getNamespaceHandle(namespaceId);
+    const baseData = {
+      campaignId,
+      namespaceId,
+      createdBy: userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    let linkRef;
+    if (req.body.slug) {
+      const slug = String(req.body.slug).toLowerCase();
+      if (!SLUG_PATTERN.test(slug)) {
+        return res.status(400).json({ error: 'slug must be 1-50 lowercase letters, digits or hyphens, and cannot start or end with a hyphen' });
+      }
+      linkRef = linksCollection.doc(`${namespaceId}:${slug}`);
+      try {
+        await linkRef.create({ ...baseData, type: 'vanity', slug });
+      } catch (error) {
+        if (error.code === 6) { // ALREADY_EXISTS
+          return res.status(409).json({ error: `The slug "${slug}" is already used in this namespace` });
+        }
+        throw error;
+      }
+    } else {
+      const existing = await linksCollection
+        .where('campaignId', '==', campaignId)
+        .where('type', '==', 'short')
+        .limit(1)
+        .get();
+      if (!existing.empty) {
+        return res.status(200).json(formatLink(existing.docs[0], namespaceHandle));
+      }
+      // Retry on the (unlikely) event of a code collision.
+      for (let attempt = 0; attempt < 5 && !linkRef; attempt++) {
+        const code = generateShortCode();
+        const candidate = linksCollection.doc(code);
+        try {
+          await candidate.create({ ...baseData, type: 'short', code });
+          linkRef = candidate;
+        } catch (error) {
+          if (error.code !== 6) throw error;
+        }
+      }
+      if (!linkRef) {
+        return res.status(500).json({ error: 'Failed to generate a unique short code' });
+      }
+    }
+
+    await logActivity(userId, 'campaign_link_created', `Created link for campaign: ${campaignData.name || 'Untitled'}`, namespaceId, {
+      campaignId,
+      linkId: linkRef.id
+    });
+    const createdDoc = await linkRef.get();
+    return res.status(201).json(formatLink(createdDoc, namespaceHandle));
+  } catch (error) {
+    console.error('[ERROR] Error creating campaign link:', error);
+    return res.status(500).json({ error: 'Failed to create link', message: error.message });
+  }
+});
+
+/**
+ * GET /links/campaigns/:campaignId
+ * List all links of a campaign.
+ * Any user with membership can read.
+ */
+router.get('/campaigns/:campaignId', verifyToken, async (req, res) => {
+  try {
+    const campaignDoc = await db.collection('campaigns').doc(req.params.campaignId).get();
+    if (!campaignDoc.exists) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    const namespaceId = campaignDoc.data().namespaceId;
+    const permission = await getUserPermission(namespaceId, req.user.email);
+    if (!permission) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission in this namespace' });
+    }
+    const namespaceHandle = await getNamespaceHandle(namespaceId);
+    const snapshot = await linksCollection
+      .where('campaignId', '==', req.params.campaignId)
+      .get();
+    return res.status(200).json(snapshot.docs.map(doc => formatLink(doc, namespaceHandle)));
+  } catch (error) {
+    console.error('[ERROR] Error fetching campaign links:', error);
+    return res.status(500).json({ error: 'Failed to fetch links', message: error.message });
+  }
+});
+
+/**
+ * DELETE /links/:linkId
+ * Delete a link. Printed copies of it stop resolving.
+ * Requires "read/write" or "admin".
+ */
+router.delete('/:linkId', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const linkRef = linksCollection.doc(req.params.linkId);
+    const linkDoc = await linkRef.get();
+    if (!linkDoc.exists) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+    const linkData = linkDoc.data();
+    const permission = await getUserPermission(linkData.namespaceId, req.user.email);
+    if (!permission || (permission !== 'read/write' && permission !== 'admin')) {
+      return res.status(403).json({ error: 'Insufficient permissions to delete a link' });
+    }
+    await linkRef.delete();
+    await logActivity(userId, 'campaign_link_deleted', `Deleted link ${linkDoc.id}`, linkData.namespaceId, {
+      campaignId: linkData.campaignId,
+      linkId: linkDoc.id
+    });
+    return res.status(200).json({ message: 'Link deleted successfully' });
+  } catch (error) {
+    console.error('[ERROR] Error deleting campaign link:', error);
+    return res.status(500).json({ error: 'Failed to delete link', message: error.message });
+  }
+});
+
+/**
+ * GET /links/:linkId/qr
+ * Download a QR code encoding the link's URL.
+ * Query parameters: format ("png" (default) or "svg"), size (PNG width in pixels, 128-2048, default 512).
+ * Any user with membership can download.
+ */
+router.get('/:linkId/qr', verifyToken, async (req, res) => {
+  try {
+    const format = req.query.format || 'png';
+    if (format !== 'png' && format !== 'svg') {
+      return res.status(400).json({ error: 'format must be "png" or "svg"' });
+    }
+    const size = req.query.size !== undefined ? parseInt(req.query.size, 10) : 512;
+    if (Number.isNaN(size) || size < 128 || size > 2048) {
+      return res.status(400).json({ error: 'size must be between 128 and 2048' });
+    }
+    const linkDoc = await linksCollection.doc(req.params.linkId).get();
+    if (!linkDoc.exists) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+    const linkData = linkDoc.data();
+    const permission = await getUserPermission(linkData.namespaceId, req.user.email);
+    if (!permission) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission in this namespace' });
+    }
+    const url = buildLinkUrl(linkData, await getNamespaceHandle(linkData.namespaceId));
+    const fileName = `${(linkData.slug || linkData.code).replace(/[^a-z0-9-]/g, '')}-qr.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (format === 'svg') {
+      const svg = await QRCode.toString(url, { type: 'svg', margin: 2, errorCorrectionLevel: 'M' });
+      res.setHeader('Content-Type', 'image/svg+xml');
+      return res.status(200).send(svg);
+    }
+    const png = await QRCode.toBuffer(url, { type: 'png', width: size, margin: 2, errorCorrectionLevel: 'M' });
+    res.setHeader('Content-Type', 'image/png');
+    return res.status(200).send(png);
+  } catch (error) {
+    console.error('[ERROR] Error generating QR code:', error);
+    return res.status(500).json({ error: 'Failed to generate QR code', message: error.message });
+  }
+});
+
+/**
+ * PUT /links/namespaces/:namespaceId/handle
+ * Set (or change) the handle used in the namespace's vanity link URLs.
+ * Body: { handle } – unique across namespaces, same format as slugs.
+ * Requires "admin". Changing the handle changes the URLs of existing vanity links.
+ */
+router.put('/namespaces/:namespaceId/handle', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const namespaceId = req.params.namespaceId;
+    const handle = String(req.body.handle || '').toLowerCase();
+    if (!SLUG_PATTERN.test(handle)) {
+      return res.status(400).json({ error: 'handle must be 1-50 lowercase letters, digits or hyphens, and cannot start or end with a hyphen' });
+    }
+    const permission = await getUserPermission(namespaceId, req.user.email);
+    if (permission !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can change the namespace link handle' });
+    }
+
+    const namespaceRef = db.collection('namespaces').doc(namespaceId);
+    const handleRef = handlesCollection.doc(handle);
+    const result = await db.runTransaction(async (transaction) => {
+      const [nsDoc, handleDoc] = await Promise.all([transaction.get(namespaceRef), transaction.get(handleRef)]);
+      if (handleDoc.exists && handleDoc.data().namespaceId !== namespaceId) {
+        return { status: 409, error: `The handle "${handle}" is already taken` };
+      }
+      const previous = nsDoc.data().linkHandle;
+      if (previous && previous !== handle) {
+        transaction.delete(handlesCollection.doc(previous));
+      }
+      transaction.set(handleRef, { namespaceId, createdBy: userId, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+      transaction.update(namespaceRef, { linkHandle: handle, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      return { status: 200 };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    return res.status(200).json({ namespaceId, handle });
+  } catch (error) {
+    console.error('[ERROR] Error setting namespace link handle:', error);
+    return res.status(500).json({ error: 'Failed to set link handle', message: error.message });
+  }
+});
+
+module.exports = router;
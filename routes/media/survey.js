@@ -9,9 +9,28 @@
  * Endpoints:
  *   POST /survey/upload
  *     - Public endpoint to upload a survey video along with metadata.
+ *       Only campaigns that are currently active (see utils/campaignLifecycle.js) and, if their
+ *       namespace requires it, approved (see utils/campaignApproval.js) accept uploads.
+ *       Values for the campaign's custom intake fields are sent as "intake" (a JSON string or
+ *       intake[<key>] form fields), validated against campaign.intakeFields and stored as
+ *       "intakeResponses" on the surveyVideos document.
+ *       Every upload must include consentAccepted=true. If the campaign has consent terms attached,
+ *       consentVersion must match the current version served by the public survey endpoint.
+ *       The acknowledgement is stored as "consent" ({ termsId, version, acceptedAt, ip, userAgent }).
+ *       An optional "locale" (the language the survey was shown in) is stored if the campaign is
+ *       available in it.
+ *       The recording length is measured on the server and stored as "durationSeconds" (with
+ *       "durationMeasured": true) for campaign analytics; a client-sent durationSeconds is ignored.
+ *       Restricted campaigns (see routes/campaigns/campaignAccess.js) also require "accessCode" or
+ *       "inviteToken"; an invite token is consumed by the upload and cannot be used again.
+ *       How the respondent got access is stored as "access" ({ mode, tokenId? }).
+ *       New responses start in the moderation queue as pending (see routes/moderation/moderation.js).
+ *   Multi-clip responses (one clip per survey question) are uploaded through the session
+ *   endpoints in surveySessions.js.
  *   GET /survey/videos/:campaignId
  *     - Authenticated endpoint to retrieve survey videos for a specific campaign,
- *       sorted by creation time in descending order.
+ *       sorted by creation time in descending order. Multi-clip responses include their
+ *       "clips" with a signed "url" each.
  *   GET /survey/videos/:campaignId/count
  *     - Authenticated endpoint to count the survey videos for a specific campaign.
  *   GET /survey/video/:videoId
@@ -22,7 +41,8 @@
  * @example
  *   // Upload a survey video:
  *   curl -X POST -F "video=@/path/to/video.mp4" -F "campaignId=abc123" \
- *        -F "firstName=John" -F "lastName=Doe" http://yourdomain.com/survey/upload
+ *        -F "firstName=John" -F "lastName=Doe" -F 'intake={"employer":"Acme"}' \
+ *        -F "consentAccepted=true" -F "consentVersion=2" http://yourdomain.com/survey/upload
  *
  *   // Retrieve videos:
  *   curl -H "Authorization: Bearer YOUR_TOKEN" http://yourdomain.com/survey/videos/abc123
@@ -38,6 +58,10 @@ const express = require('express');
 const multer = require('multer');
 const admin = require('../../config/firebase');
 const { verifyToken } = require('../../config/middleware');
+const { createResponseWithAccess } = require('../../utils/campaignAccess');
+const { measureUploadDuration, loadCampaignForUpload, buildResponseData, getResponseFilePaths } = require('../../utils/surveyResponses');
+const { getClientIp } = require('../../utils/consentTerms');
+const { checkGoalProgress } = require('../../utils/campaignGoals');
 
 const router = express.Router();
 
@@ -72,6 +96,29 @@ async function getUserPermission(namespaceId, userEmail) {
   return member ? member.permission : null;
 }
 
+// ------------------------------------------------------
+// Helper: signed read URLs (1 hour) for a response's video files.
+// Multi-clip responses get a signed URL per clip; videoUrl points at the first clip.
+// ------------------------------------------------------
+async function signResponseUrls(videoId, videoData) {
+  const bucket = storage.bucket();
+  const urls = [];
+  for (const path of getResponseFilePaths(videoId, videoData)) {
+    const [url] = await bucket.file(path).getSignedUrl({
+      action: 'read',
+      expires: Date.now() + 60 * 60 * 1000 // 1 hour expiry
+    });
+    urls.push(url);
+  }
+  if (!Array.isArray(videoData.clips) || videoData.clips.length === 0) {
+    return { videoUrl: urls[0] };
+  }
+  return {
+    videoUrl: urls[0],
+    clips: videoData.clips.map((clip, i) => ({ ...clip, url: urls[i] }))
+  };
+}
+
 // ------------------------------------------------------
 // POST /survey/upload  (Public endpoint)
 // ------------------------------------------------------
@@ -95,69 +142,63 @@ router.post('/upload', upload.single('video'), async (req, res) => {
       return res.status(400).json({ error: 'Video file is required' });
     }
 
-    // Verify the campaign exists
-    console.info(`[INFO] Verifying campaign existence for campaignId: ${campaignId}`);
-    const campaignRef = db.collection('campaigns').doc(campaignId);
-    const campaignDoc = await campaignRef.get();
-    if (!campaignDoc.exists) {
-      console.warn(`[WARN] Campaign not found for campaignId: ${campaignId}`);
-      return res.status(404).json({ error: 'Campaign not found' });
+    // Verify the campaign exists and accepts uploads from this respondent
+    console.info(`[INFO] Verifying campaign for campaignId: ${campaignId}`);
+    const loaded = await loadCampaignForUpload(campaignId, {
+      accessCode: req.body.accessCode,
+      inviteToken: req.body.inviteToken,
+      ip: getClientIp(req)
+    });
+    if (loaded.body) {
+      return res.status(loaded.status).json(loaded.body);
     }
-    console.info('[INFO] Campaign exists:', campaignDoc.data());
 
-    // Get the userId from the campaign
-    const campaignData = campaignDoc.data();
-    const userId = campaignData.createdBy || campaignData.userId; // If you use userId or createdBy
-    if (!userId) {
-      console.error('[ERROR] Campaign does not have an associated userId/createdBy');
-      return res.status(500).json({ error: 'Campaign does not have an associated userId' });
+    // Validate the respondent's metadata and build the new surveyVideos document
+    const response = await buildResponseData(req, campaignId, loaded.campaignData, loaded.access);
+    if (response.body) {
+      return res.status(response.status).json(response.body);
     }
-
-    // Create a new document in surveyVideos
-    const videoData = {
-      campaignId,
-      userId, // This is the original owner's userId. If you want to store differently, adjust accordingly.
-      firstName: firstName || '',
-      lastName: lastName || '',
-      email: email || '',
-      zipCode: zipCode || '',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      isVideoEnhanced: false,
-      videoEnhancedUrl: ''
-    };
+    const videoData = response.videoData;
+    videoData.durationSeconds = await measureUploadDuration(req.file.buffer);
+    videoData.durationMeasured = videoData.durationSeconds !== null;
     console.info('[INFO] Creating new surveyVideos document with data:', videoData);
-    const videoRef = await db.collection('surveyVideos').add(videoData);
+    // Store the video before creating the document: the document creation consumes the invite
+    // token, so a failed upload must not use it up
+    const videoRef = db.collection('surveyVideos').doc();
     const videoId = videoRef.id;
-    console.info(`[INFO] Created surveyVideos document with ID: ${videoId}`);
-
-    // Upload the video to Google Cloud Storage
     const bucket = storage.bucket();
     const fileName = `videos/${campaignId}/${videoId}.mp4`;
-    console.info(`[INFO] Uploading video to GCS: ${fileName}`);
     const file = bucket.file(fileName);
-    const stream = file.createWriteStream({
-      metadata: { contentType: 'video/mp4' }
-    });
-
-    stream.on('error', (err) => {
+    console.info(`[INFO] Uploading video to GCS: ${fileName}`);
+    try {
+      await file.save(req.file.buffer, { metadata: { contentType: 'video/mp4' } });
+    } catch (err) {
       console.error('[ERROR] Error uploading to GCS:', err);
       return res.status(500).json({ error: 'Failed to upload video' });
+    }
+    console.info('[INFO] Video uploaded to GCS successfully');
+    videoData.videoUrl = `gs://${bucket.name}/${fileName}`;
+
+    // Invite tokens are consumed together with the document creation, so a token shared twice
+    // only ever yields one response
+    let created;
+    try {
+      created = await createResponseWithAccess(videoRef, videoData, campaignId, req.body.inviteToken);
+    } catch (err) {
+      await file.delete({ ignoreNotFound: true }).catch(deleteError => console.error(`[ERROR] Failed to delete orphaned upload ${fileName}:`, deleteError));
+      throw err;
+    }
+    if (created.error) {
+      console.warn(`[WARN] Access denied for campaign ${campaignId}: ${created.error}`);
+      await file.delete({ ignoreNotFound: true }).catch(deleteError => console.error(`[ERROR] Failed to delete orphaned upload ${fileName}:`, deleteError));
+      return res.status(created.status).json({ error: created.error });
+    }
+    console.info(`[INFO] Created surveyVideos document with ID: ${videoId}`);
+    await checkGoalProgress(campaignId);
+    return res.status(201).json({
+      message: 'Video uploaded successfully',
+      videoId
     });
-
-    stream.on('finish', async () => {
-      console.info('[INFO] Video uploaded to GCS successfully');
-      const videoUrl = `gs://${bucket.name}/${fileName}`;
-      console.info(`[INFO] Updating surveyVideos document with videoUrl: ${videoUrl}`);
-      await videoRef.update({ videoUrl });
-      console.info('[INFO] SurveyVideos document updated successfully');
-      return res.status(201).json({
-        message: 'Video uploaded successfully',
-        videoId
-      });
-    });
-
-    console.info('[INFO] Starting video upload stream to GCS');
-    stream.end(req.file.buffer);
   } catch (error) {
     if (error instanceof multer.MulterError) {
       if (error.code === 'LIMIT_FILE_SIZE') {
@@ -217,17 +258,11 @@ router.get('/videos/:campaignId', verifyToken, async (req, res) => {
       const videoData = doc.data();
       const videoId = doc.id;
 
-      // Generate a signed URL for the video in Cloud Storage
-      const file = storage.bucket().file(`videos/${campaignId}/${videoId}.mp4`);
-      const [url] = await file.getSignedUrl({
-        action: 'read',
-        expires: Date.now() + 60 * 60 * 1000 // 1 hour expiry
-      });
-
+      // Generate signed URLs for the video (or clips) in Cloud Storage
       videos.push({
         id: videoId,
         ...videoData,
-        videoUrl: url
+        ...(await signResponseUrls(videoId, videoData))
       });
     }
 
@@ -319,19 +354,11 @@ router.get('/video/:videoId', verifyToken, async (req, res) => {
       return res.status(403).json({ error: 'Forbidden: You do not have permission in this namespace' });
     }
 
-    // Generate a signed URL for the video file from Cloud Storage
-    const bucket = storage.bucket();
-    const fileName = `videos/${videoData.campaignId}/${videoId}.mp4`;
-    const file = bucket.file(fileName);
-    const [signedUrl] = await file.getSignedUrl({
-      action: 'read',
-      expires: Date.now() + 60 * 60 * 1000 // 1 hour expiry
-    });
-
+    // Generate signed URLs for the video (or clips) from Cloud Storage
     return res.status(200).json({
       id: videoId,
       ...videoData,
-      videoUrl: signedUrl
+      ...(await signResponseUrls(videoId, videoData))
     });
   } catch (error) {
     console.error('[ERROR] Error fetching single survey video:', error);
@@ -0,0 +1,360 @@
+/**
+ * Survey Sessions API
+ *
+ * Upload sessions let respondents record one clip per survey question instead of answering all
+ * questions in a single take. A session is started for a campaign, clips are uploaded per question
+ * index (uploading the same index again replaces the clip, i.e. a retake), and finalizing the
+ * session creates one surveyVideos response whose "clips" list the recordings in question order.
+ * Clips are stored under videos/<campaignId>/<responseId>/<questionIndex>.mp4; the response ID is
+ * the session ID.
+ *
+ * Sessions are public (no Firebase auth): starting one returns a "sessionToken" that must be sent
+ * as the X-Session-Token header on every other session call. Sessions expire after
+ * SURVEY_SESSION_TTL_HOURS (default 24) if they are not finalized; expired sessions and their clips
+ * are deleted by the GET /jobs/survey-sessions job. A campaign accepts at most
+ * SURVEY_SESSION_MAX_OPEN_PER_CAMPAIGN (default 500) open sessions at once, and at most
+ * SURVEY_SESSION_MAX_OPEN_PER_IP (default 5) from one client IP (429 otherwise).
+ *
+ * Endpoints:
+ *   POST   /survey/sessions                                 - Start a session.
+ *                                                             Body: { campaignId, accessCode?, inviteToken? }.
+ *   GET    /survey/sessions/:sessionId                      - Get the session state and uploaded clips.
+ *   PUT    /survey/sessions/:sessionId/clips/:questionIndex - Upload (or retake) the clip for a question.
+ *                                                             Multipart: video.
+ *   DELETE /survey/sessions/:sessionId/clips/:questionIndex - Discard the clip for a question.
+ *   POST   /survey/sessions/:sessionId/finalize             - Create the response. Body: the same metadata
+ *                                                             as POST /survey/upload (firstName, lastName,
+ *                                                             email, zipCode, intake, consentAccepted,
+ *                                                             consentVersion, locale, accessCode, inviteToken).
+ *
+ * The campaign must accept uploads (status, approval and access code or invite token, see
+ * survey.js) both when the session starts and when it is finalized; an invite token is only
+ * consumed by finalizing.
+ *
+ * @example
+ *   curl -X POST -H "Content-Type: application/json" -d '{ "campaignId": "abc123" }' \
+ *        https://yourdomain.com/survey/sessions
+ *
+ *   curl -X PUT -H "X-Session-Token: SESSION_TOKEN" -F "video=@answer1.mp4" \
+ *        https://yourdomain.com/survey/sessions/SESSION_ID/clips/0
+ *
+ *   curl -X POST -H "X-Session-Token: SESSION_TOKEN" -H "Content-Type: application/json" \
+ *        -d '{ "firstName": "John", "consentAccepted": true }' \
+ *        https://yourdomain.com/survey/sessions/SESSION_ID/finalize
+ */
+
+const express = require('express');
+const multer = require('multer');
+const crypto = require('crypto');
+const admin = require('../../config/firebase');
+const { generateToken, hashToken, createResponseWithAccess } = require('../../utils/campaignAccess');
+const { measureUploadDuration, loadCampaignForUpload, buildResponseData } = require('../../utils/surveyResponses');
+const { getClientIp } = require('../../utils/consentTerms');
+const { checkGoalProgress } = require('../../utils/campaignGoals');
+const {
+  SESSION_TTL_HOURS,
+  SessionStatuses,
+  sessionsCollection,
+  clipPath,
+  createSession
+} = require('../../utils/surveySessions');
+
+const router = express.Router();
+
+// Configure multer for clip uploads with a 100MB limit per clip
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 100 * 1024 * 1024 }
+});
+
+const db = admin.firestore();
+const storage = admin.storage();
+
+// Helper: the number of clips a campaign's session accepts (at least one, for campaigns without questions)
+function getQuestionCount(campaignData) {
+  return Math.max(Array.isArray(campaignData.surveyQuestions) ? campaignData.surveyQuestions.length : 0, 1);
+}
+
+/**
+ * Helper: load a session and check the X-Session-Token header.
+ * With "open" set, the session must also be open and not expired.
+ * Returns either { status, error } or { sessionRef, sessionData }.
+ */
+async function loadSession(req, open) {
+  const token = req.get('X-Session-Token');
+  if (!token) {
+    return { status: 401, error: 'X-Session-Token header is required' };
+  }
+  const sessionRef = sessionsCollection.doc(req.params.sessionId);
+  const sessionDoc = await sessionRef.get();
+  if (!sessionDoc.exists) {
+    return { status: 404, error: 'Session not found' };
+  }
+  const sessionData = sessionDoc.data();
+  const expected = Buffer.from(sessionData.tokenHash, 'hex');
+  if (!crypto.timingSafeEqual(Buffer.from(hashToken(token), 'hex'), expected)) {
+    return { status: 403, error: 'Invalid session token' };
+  }
+  if (open && sessionData.status !== SessionStatuses.OPEN) {
+    return { status: 409, error: 'Session has already been finalized', responseId: sessionData.responseId };
+  }
+  if (open && sessionData.expiresAt.toMillis() < Date.now()) {
+    return { status: 410, error: 'Session has expired' };
+  }
+  return { sessionRef, sessionData };
+}
+
+// Helper: parse and check the questionIndex route parameter against a session
+function parseQuestionIndex(req, sessionData) {
+  const questionIndex = Number(req.params.questionIndex);
+  if (!Number.isInteger(questionIndex) || questionIndex < 0 || questionIndex >= sessionData.questionCount) {
+    return { error: `questionIndex must be between 0 and ${sessionData.questionCount - 1}` };
+  }
+  return { questionIndex };
+}
+
+// Helper: API representation of a session (without the token hash)
+function formatSession(sessionRef, sessionData) {
+  const { tokenHash, ...data } = sessionData;
+  const clips = Object.values(data.clips || {}).sort((a, b) => a.questionIndex - b.questionIndex);
+  return { id: sessionRef.id, ...data, clips };
+}
+
+/**
+ * POST /survey/sessions
+ * Start an upload session for a campaign that currently accepts uploads from the caller.
+ * Returns the session ID, the session token (only returned here) and the number of questions.
+ */
+router.post('/sessions', async (req, res) => {
+  try {
+    const { campaignId } = req.body;
+    if (!campaignId) {
+      return res.status(400).json({ error: 'campaignId is required' });
+    }
+    const ip = getClientIp(req);
+    const loaded = await loadCampaignForUpload(campaignId, {
+      accessCode: req.body.accessCode,
+      inviteToken: req.body.inviteToken,
+      ip
+    });
+    if (loaded.body) {
+      return res.status(loaded.status).json(loaded.body);
+    }
+
+    const sessionToken = generateToken();
+    const sessionRef = sessionsCollection.doc();
+    const expiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+    const questionCount = getQuestionCount(loaded.campaignData);
+    const created = await createSession(sessionRef, {
+      campaignId,
+      tokenHash: hashToken(sessionToken),
+      status: SessionStatuses.OPEN,
+      questionCount,
+      clips: {},
+      responseId: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt
+    }, ip);
+    if (created.error) {
+      console.warn(`[WARN] Refused survey session for campaign ${campaignId}: ${created.error}`);
+      return res.status(created.status).json({ error: created.error });
+    }
+    console.info(`[INFO] Started survey session ${sessionRef.id} for campaign ${campaignId}`);
+    return res.status(201).json({
+      sessionId: sessionRef.id,
+      sessionToken,
+      campaignId,
+      questionCount,
+      expiresAt: expiresAt.toDate().toISOString()
+    });
+  } catch (error) {
+    console.error('[ERROR] Error starting survey session:', error);
+    return res.status(500).json({ error: 'Failed to start session', message: error.message });
+  }
+});
+
+/**
+ * GET /survey/sessions/:sessionId
+ * Get a session's state and its clips in question order, so a respondent can resume.
+ */
+router.get('/sessions/:sessionId', async (req, res) => {
+  try {
+    const loaded = await loadSession(req, false);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    return res.status(200).json(formatSession(loaded.sessionRef, loaded.sessionData));
+  } catch (error) {
+    console.error(`[ERROR] Error fetching survey session ${req.params.sessionId}:`, error);
+    return res.status(500).json({ error: 'Failed to fetch session', message: error.message });
+  }
+});
+
+/**
+ * PUT /survey/sessions/:sessionId/clips/:questionIndex
+ * Upload the clip answering a question. Uploading again replaces the previous take.
+ */
+router.put('/sessions/:sessionId/clips/:questionIndex', upload.single('video'), async (req, res) => {
+  try {
+    const loaded = await loadSession(req, true);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const { sessionRef, sessionData } = loaded;
+    const parsed = parseQuestionIndex(req, sessionData);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'Video file is required' });
+    }
+    const { questionIndex } = parsed;
+    const durationSeconds = await measureUploadDuration(req.file.buffer);
+    const path = clipPath(sessionData.campaignId, sessionRef.id, questionIndex);
+    await storage.bucket().file(path).save(req.file.buffer, {
+      metadata: { contentType: 'video/mp4' },
+      resumable: false
+    });
+    const previous = (sessionData.clips || {})[questionIndex];
+    const clip = {
+      questionIndex,
+      path,
+      sizeBytes: req.file.size,
+      durationSeconds,
+      takes: previous ? previous.takes + 1 : 1,
+      uploadedAt: admin.firestore.Timestamp.now()
+    };
+    await sessionRef.update({ [`clips.${questionIndex}`]: clip });
+    console.info(`[INFO] Stored clip ${questionIndex} (take ${clip.takes}) of survey session ${sessionRef.id}`);
+    return res.status(200).json(clip);
+  } catch (error) {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: error.code === 'LIMIT_FILE_SIZE' ? 'File too large (max 100MB)' : 'Multer error: ' + error.message });
+    }
+    console.error(`[ERROR] Error uploading clip to survey session ${req.params.sessionId}:`, error);
+    return res.status(500).json({ error: 'Failed to upload clip', message: error.message });
+  }
+});
+
+/**
+ * DELETE /survey/sessions/:sessionId/clips/:questionIndex
+ * Discard the clip of a question (e.g. to skip it after all).
+ */
+router.delete('/sessions/:sessionId/clips/:questionIndex', async (req, res) => {
+  try {
+    const loaded = await loadSession(req, true);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const { sessionRef, sessionData } = loaded;
+    const parsed = parseQuestionIndex(req, sessionData);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    const clip = (sessionData.clips || {})[parsed.questionIndex];
+    if (!clip) {
+      return res.status(404).json({ error: 'Clip not found' });
+    }
+    await storage.bucket().file(clip.path).delete({ ignoreNotFound: true });
+    await sessionRef.update({ [`clips.${parsed.questionIndex}`]: admin.firestore.FieldValue.delete() });
+    return res.status(200).json({ message: 'Clip deleted', questionIndex: parsed.questionIndex });
+  } catch (error) {
+    console.error(`[ERROR] Error deleting clip from survey session ${req.params.sessionId}:`, error);
+    return res.status(500).json({ error: 'Failed to delete clip', message: error.message });
+  }
+});
+
+/**
+ * POST /survey/sessions/:sessionId/finalize
+ * Validate the respondent's metadata and create the response from the uploaded clips (at least
+ * one). The response's durationSeconds is the sum of the clip durations (measured on upload) when
+ * every clip could be measured. Returns the new videoId (equal to the session ID).
+ */
+router.post('/sessions/:sessionId/finalize', async (req, res) => {
+  try {
+    const loaded = await loadSession(req, true);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error, ...(loaded.responseId ? { videoId: loaded.responseId } : {}) });
+    }
+    const { sessionRef, sessionData } = loaded;
+    const clips = Object.values(sessionData.clips || {}).sort((a, b) => a.questionIndex - b.questionIndex);
+    if (clips.length === 0) {
+      return res.status(400).json({ error: 'Upload at least one clip before finalizing' });
+    }
+
+    const campaignId = sessionData.campaignId;
+    const campaign = await loadCampaignForUpload(campaignId, {
+      accessCode: req.body.accessCode,
+      inviteToken: req.body.inviteToken,
+      ip: getClientIp(req)
+    });
+    if (campaign.body) {
+      return res.status(campaign.status).json(campaign.body);
+    }
+    const response = await buildResponseData(req, campaignId, campaign.campaignData, campaign.access);
+    if (response.body) {
+      return res.status(response.status).json(response.body);
+    }
+
+    const bucketName = storage.bucket().name;
+    const questions = campaign.campaignData.surveyQuestions || [];
+    const responseClips = clips.map(clip => ({
+      questionIndex: clip.questionIndex,
+      question: typeof questions[clip.questionIndex] === 'string' ? questions[clip.questionIndex] : null,
+      path: clip.path,
+      videoUrl: `gs://${bucketName}/${clip.path}`,
+      durationSeconds: clip.durationSeconds,
+      takes: clip.takes
+    }));
+    const videoData = {
+      ...response.videoData,
+      sessionId: sessionRef.id,
+      clips: responseClips,
+      videoUrl: responseClips[0].videoUrl
+    };
+    if (responseClips.every(clip => clip.durationSeconds)) {
+      videoData.durationSeconds = responseClips.reduce((sum, clip) => sum + clip.durationSeconds, 0);
+      videoData.durationMeasured = true;
+    } else {
+      videoData.durationSeconds = null;
+      videoData.durationMeasured = false;
+    }
+
+    // The response takes the session's ID, matching the storage folder of its clips
+    const videoRef = db.collection('surveyVideos').doc(sessionRef.id);
+    // The session is re-checked and closed in the response's transaction, so concurrent finalize
+    // calls create one response.
+    const created = await createResponseWithAccess(videoRef, videoData, campaignId, req.body.inviteToken, async (transaction) => {
+      const sessionDoc = await transaction.get(sessionRef);
+      if (!sessionDoc.exists || sessionDoc.get('status') !== SessionStatuses.OPEN) {
+        return { status: 409, error: 'Session has already been finalized', finalized: true };
+      }
+      transaction.update(sessionRef, {
+        status: SessionStatuses.FINALIZED,
+        responseId: videoRef.id,
+        finalizedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return {};
+    });
+    if (created.error) {
+      console.warn(`[WARN] Could not finalize survey session ${sessionRef.id}: ${created.error}`);
+      return res.status(created.status).json({ error: created.error, ...(created.finalized ? { videoId: videoRef.id } : {}) });
+    }
+    console.info(`[INFO] Finalized survey session ${sessionRef.id} with ${responseClips.length} clip(s)`);
+    await checkGoalProgress(campaignId);
+    return res.status(201).json({
+      message: 'Response submitted successfully',
+      videoId: videoRef.id,
+      clipCount: responseClips.length
+    });
+  } catch (error) {
+    // ALREADY_EXISTS: the response was created by a concurrent finalize.
+    if (error.code === 6) {
+      return res.status(409).json({ error: 'Session has already been finalized', videoId: req.params.sessionId });
+    }
+    console.error(`[ERROR] Error finalizing survey session ${req.params.sessionId}:`, error);
+    return res.status(500).json({ error: 'Failed to finalize session', message: error.message });
+  }
+});
+
+module.exports = router;
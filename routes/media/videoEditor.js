@@ -6,10 +6,12 @@
  * Endpoints:
  *   POST /videoEditor/update-video/:videoId
  *     - Upload a new version of an existing video, overwriting the current file.
+ *       The response goes back into the moderation queue as pending.
+ *       Multi-clip responses (see surveySessions.js) cannot be replaced this way.
  *   PUT /videoEditor/update-metadata/:videoId
  *     - Update video metadata (e.g., star a video).
  *   DELETE /videoEditor/delete/:videoId
- *     - Delete a video file from Firebase Storage and remove its document from Firestore.
+ *     - Delete a video's file(s) from Firebase Storage and remove its document from Firestore.
  *
  * @example
  *   // Update video file:
@@ -28,6 +30,9 @@ const express = require('express');
 const multer = require('multer');
 const admin = require('../../config/firebase');
 const { verifyToken } = require('../../config/middleware');
+const { buildInitialModeration } = require('../../utils/responseModeration');
+const { getResponseFilePaths } = require('../../utils/surveyResponses');
+const { deleteResponseWithCount } = require('../../utils/responseCounter');
 
 const router = express.Router();
 
@@ -77,6 +82,10 @@ router.post('/update-video/:videoId', verifyToken, upload.single('video'), async
       console.warn(`[WARN] User ${userId} is not authorized to update video in campaign ${campaignId}`);
       return res.status(403).json({ error: 'Forbidden: You do not own this campaign' });
     }
+    if (Array.isArray(videoData.clips) && videoData.clips.length > 0) {
+      console.warn(`[WARN] Video ${videoId} is a multi-clip response; cannot replace it with a single file`);
+      return res.status(409).json({ error: 'Multi-clip responses cannot be replaced with a single video' });
+    }
 
     // Validate file existence
     if (!req.file) {
@@ -109,6 +118,7 @@ router.post('/update-video/:videoId', verifyToken, upload.single('video'), async
       console.info(`[INFO] Updating Firestore document with new videoUrl: ${videoUrl}`);
       await videoRef.update({
         videoUrl,
+        moderation: buildInitialModeration(),
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       });
       console.info('[INFO] Firestore document updated successfully');
@@ -233,17 +243,17 @@ router.delete('/delete/:videoId', verifyToken, async (req, res) => {
       return res.status(403).json({ error: 'Forbidden: You do not own this campaign' });
     }
 
-    // Delete the video file from Firebase Storage
+    // Delete the video file (or the clips of a multi-clip response) from Firebase Storage
     const bucket = storage.bucket();
-    const fileName = `videos/${campaignId}/${videoId}.mp4`;
-    console.info(`[INFO] Deleting video from Firebase Storage: ${fileName}`);
-    const file = bucket.file(fileName);
-    await file.delete();
+    for (const fileName of getResponseFilePaths(videoId, videoData)) {
+      console.info(`[INFO] Deleting video from Firebase Storage: ${fileName}`);
+      await bucket.file(fileName).delete();
+    }
     console.info('[INFO] Video file deleted from Firebase Storage successfully');
 
-    // Delete the video document from Firestore
+    // Delete the video document from Firestore, together with its count on the campaign
     console.info(`[INFO] Deleting Firestore document for videoId: ${videoId}`);
-    await videoRef.delete();
+    await deleteResponseWithCount(videoRef);
     console.info('[INFO] Video document deleted successfully');
 
     return res.status(200).json({
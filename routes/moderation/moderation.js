@@ -0,0 +1,265 @@
+/**
+ * Moderation API
+ *
+ * Survey responses go through a moderation queue before they are used. Every response has a
+ * "moderation" field: { status (pending|approved|rejected|flagged), reason, reviewedBy, reviewedAt }.
+ * New uploads start as pending; responses uploaded before moderation existed count as pending.
+ * Rejected responses cannot be enhanced through /creatomate/creatomate-process.
+ * The queue is queried by the "namespaceId" stored on each response; older responses without it
+ * are added to the queue by POST /moderation/backfill.
+ *
+ * Endpoints (all expect ?namespaceId=; reading the queue requires any membership, decisions
+ * require "read/write" or "admin"):
+ *   GET  /moderation/queue            - Responses across all campaigns of the namespace, oldest first.
+ *                                       Query: status (comma-separated, default "pending"), campaignId,
+ *                                       limit (1-200, default 50), cursor.
+ *   PUT  /moderation/videos/:videoId  - Set a response's moderation status. Body: { status, reason? }.
+ *   POST /moderation/bulk             - Set the status of up to 500 responses at once.
+ *                                       Body: { videoIds, status, reason? }.
+ *   POST /moderation/backfill         - Store namespaceId (and an initial moderation status) on the
+ *                                       namespace's older responses (requires "admin").
+ *
+ * @example
+ *   curl -H "Authorization: Bearer YOUR_TOKEN" \
+ *        "https://yourdomain.com/moderation/queue?namespaceId=NAMESPACE_ID&limit=20"
+ *
+ *   curl -X POST -H "Authorization: Bearer YOUR_TOKEN" -H "Content-Type: application/json" \
+ *        -d '{ "videoIds": ["abc123", "def456"], "status": "rejected", "reason": "Off topic" }' \
+ *        "https://yourdomain.com/moderation/bulk?namespaceId=NAMESPACE_ID"
+ */
+
+const express = require('express');
+const admin = require('../../config/firebase');
+const { verifyToken } = require('../../config/middleware');
+const { logActivity } = require('../../utils/activityLogger');
+const { isTrashed } = require('../../utils/campaignPurge');
+const {
+  getModerationStatus,
+  parseModerationDecision,
+  parseQueueQuery,
+  buildModerationQueue,
+  backfillResponseFields
+} = require('../../utils/responseModeration');
+
+const router = express.Router();
+const db = admin.firestore();
+
+const MAX_BULK_SIZE = 500;
+
+/**
+ * Helper function to get the current user's permission for a namespace.
+ * Returns the permission string ("read/write", "readonly", or "admin")
+ * if the user is an active member, otherwise null.
+ *
+ * @param {string} namespaceId - The namespace ID.
+ * @param {string} userEmail - The user's email.
+ * @returns {Promise<string|null>}
+ */
+async function getUserPermission(namespaceId, userEmail) {
+  const nsDoc = await db.collection('namespaces').doc(namespaceId).get();
+  if (!nsDoc.exists) return null;
+  const nsData = nsDoc.data();
+  if (!nsData.members) return null;
+  const member = nsData.members.find(m => m.email.toLowerCase() === userEmail.toLowerCase() && m.status === 'active');
+  return member ? member.permission : null;
+}
+
+/**
+ * Helper function to check that the caller may moderate in the namespace of the query string.
+ * Returns either { status, error } or { namespaceId }.
+ */
+async function authorizeModerator(req) {
+  const namespaceId = req.query.namespaceId;
+  if (!namespaceId) {
+    return { status: 400, error: 'namespaceId query parameter is required' };
+  }
+  const permission = await getUserPermission(namespaceId, req.user.email);
+  if (!permission || (permission !== 'read/write' && permission !== 'admin')) {
+    return { status: 403, error: 'Insufficient permissions to moderate responses' };
+  }
+  return { namespaceId };
+}
+
+/**
+ * Helper function to load survey responses and keep those belonging to a (non-trashed) campaign
+ * of the namespace. Returns { videos: [{ ref, data }], missing: [videoId] }.
+ */
+async function loadNamespaceVideos(videoIds, namespaceId) {
+  const videoDocs = await db.getAll(...videoIds.map(id => db.collection('surveyVideos').doc(id)));
+  const campaignIds = [...new Set(videoDocs.filter(doc => doc.exists).map(doc => doc.data().campaignId))];
+  const campaignDocs = campaignIds.length > 0
+    ? await db.getAll(...campaignIds.map(id => db.collection('campaigns').doc(id)))
+    : [];
+  const allowedCampaigns = new Set(campaignDocs
+    .filter(doc => doc.exists && doc.data().namespaceId === namespaceId && !isTrashed(doc.data()))
+    .map(doc => doc.id));
+
+  const videos = [];
+  const missing = [];
+  for (const doc of videoDocs) {
+    if (doc.exists && allowedCampaigns.has(doc.data().campaignId)) {
+      videos.push({ ref: doc.ref, data: doc.data() });
+    } else {
+      missing.push(doc.id);
+    }
+  }
+  return { videos, missing };
+}
+
+// Helper: the "moderation" field written for a decision
+function buildModeration(decision, userId) {
+  return {
+    ...decision,
+    reviewedBy: userId,
+    reviewedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+/**
+ * GET /moderation/queue
+ * List responses awaiting review (or in other moderation states) across all campaigns of a
+ * namespace, oldest upload first. Returns { items, nextCursor }.
+ */
+router.get('/queue', verifyToken, async (req, res) => {
+  try {
+    const namespaceId = req.query.namespaceId;
+    if (!namespaceId) {
+      return res.status(400).json({ error: 'namespaceId query parameter is required' });
+    }
+    const parsed = parseQueueQuery(req.query);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    const permission = await getUserPermission(namespaceId, req.user.email);
+    if (!permission) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission in this namespace' });
+    }
+    const queue = await buildModerationQueue(namespaceId, parsed.options);
+    if (queue.error) {
+      return res.status(queue.status).json({ error: queue.error });
+    }
+    return res.status(200).json({ ...queue, userPermission: permission });
+  } catch (error) {
+    console.error('[ERROR] Error fetching moderation queue:', error);
+    return res.status(500).json({ error: 'Failed to fetch moderation queue', message: error.message });
+  }
+});
+
+/**
+ * PUT /moderation/videos/:videoId
+ * Set the moderation status of one response.
+ */
+router.put('/videos/:videoId', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const auth = await authorizeModerator(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const decision = parseModerationDecision(req.body);
+    if (decision.error) {
+      return res.status(400).json({ error: decision.error });
+    }
+    const { videos } = await loadNamespaceVideos([req.params.videoId], auth.namespaceId);
+    if (videos.length === 0) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    const [video] = videos;
+    const previousStatus = getModerationStatus(video.data);
+    await video.ref.update({
+      moderation: buildModeration(decision.moderation, userId),
+      namespaceId: auth.namespaceId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await logActivity(userId, 'response_moderated', `Marked a response as ${decision.moderation.status}`, auth.namespaceId, {
+      campaignId: video.data.campaignId,
+      videoId: video.ref.id,
+      previousStatus,
+      status: decision.moderation.status
+    });
+    const updatedDoc = await video.ref.get();
+    return res.status(200).json({ id: updatedDoc.id, ...updatedDoc.data() });
+  } catch (error) {
+    console.error(`[ERROR] Error moderating video ${req.params.videoId}:`, error);
+    return res.status(500).json({ error: 'Failed to moderate response', message: error.message });
+  }
+});
+
+/**
+ * POST /moderation/bulk
+ * Set the moderation status of several responses in one batch. Responses that do not exist or
+ * do not belong to the namespace are skipped and returned as "notFound".
+ */
+router.post('/bulk', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const auth = await authorizeModerator(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { videoIds } = req.body;
+    if (!Array.isArray(videoIds) || videoIds.length === 0 || !videoIds.every(id => typeof id === 'string' && id)) {
+      return res.status(400).json({ error: 'videoIds must be a non-empty array of video IDs' });
+    }
+    const uniqueIds = [...new Set(videoIds)];
+    if (uniqueIds.length > MAX_BULK_SIZE) {
+      return res.status(400).json({ error: `At most ${MAX_BULK_SIZE} videos can be moderated at once` });
+    }
+    const decision = parseModerationDecision(req.body);
+    if (decision.error) {
+      return res.status(400).json({ error: decision.error });
+    }
+
+    const { videos, missing } = await loadNamespaceVideos(uniqueIds, auth.namespaceId);
+    if (videos.length > 0) {
+      const batch = db.batch();
+      const moderation = buildModeration(decision.moderation, userId);
+      for (const video of videos) {
+        batch.update(video.ref, { moderation, namespaceId: auth.namespaceId, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      }
+      await batch.commit();
+      await logActivity(userId, 'responses_moderated', `Marked ${videos.length} response(s) as ${decision.moderation.status}`, auth.namespaceId, {
+        videoIds: videos.map(v => v.ref.id),
+        status: decision.moderation.status
+      });
+    }
+    return res.status(200).json({
+      status: decision.moderation.status,
+      updated: videos.map(v => v.ref.id),
+      notFound: missing
+    });
+  } catch (error) {
+    console.error('[ERROR] Error in bulk moderation:', error);
+    return res.status(500).json({ error: 'Failed to moderate responses', message: error.message });
+  }
+});
+
+/**
+ * POST /moderation/backfill
+ * Add namespaceId (and the initial moderation status where missing) to the namespace's responses
+ * stored before the queue queried by namespace. Only admins may run it; it can be run repeatedly.
+ */
+router.post('/backfill', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const namespaceId = req.query.namespaceId;
+    if (!namespaceId) {
+      return res.status(400).json({ error: 'namespaceId query parameter is required' });
+    }
+    const permission = await getUserPermission(namespaceId, req.user.email);
+    if (permission !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can backfill responses' });
+    }
+    const result = await backfillResponseFields(namespaceId);
+    if (result.updated > 0) {
+      await logActivity(userId, 'responses_backfilled', `Added ${result.updated} older response(s) to the moderation queue`, namespaceId, result);
+    }
+    console.info(`[INFO] Backfilled ${result.updated} responses in namespace ${namespaceId}`);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('[ERROR] Error backfilling responses:', error);
+    return res.status(500).json({ error: 'Failed to backfill responses', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -179,6 +179,7 @@ router.get('/:id', verifyToken, async (req, res) => {
  * PUT /namespaces/:id
  * Only admin can update. If new members are added with status="pending",
  * create invites for them in the "invites" collection.
+ * "requireCampaignApproval" (boolean) turns on admin approval of campaigns before they go public.
  */
 router.put('/:id', verifyToken, async (req, res) => {
   try {
@@ -215,6 +216,10 @@ router.put('/:id', verifyToken, async (req, res) => {
     if (req.body.description !== undefined) {
       updateData.description = req.body.description;
     }
+    // When enabled, campaigns need admin approval before going public (see campaignApprovals.js)
+    if (req.body.requireCampaignApproval !== undefined) {
+      updateData.requireCampaignApproval = req.body.requireCampaignApproval === true;
+    }
 
     // If the "members" array is provided, handle membership and invites.
     if (req.body.members !== undefined && Array.isArray(req.body.members)) {
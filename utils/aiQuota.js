@@ -0,0 +1,179 @@
+// aiQuota.js
+const admin = require('../config/firebase');
+const db = admin.firestore();
+
+function readInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+// Monthly AI generations included in each plan. Users without a known plan get the basic allowance.
+const MONTHLY_GENERATIONS = Object.freeze({
+  basic: readInt(process.env.AI_MONTHLY_GENERATIONS_BASIC, 20),
+  pro: readInt(process.env.AI_MONTHLY_GENERATIONS_PRO, 200),
+  premium: readInt(process.env.AI_MONTHLY_GENERATIONS_PREMIUM, 1000)
+});
+
+// Short-term rate limits (requests per window), per user and per namespace.
+const RATE_LIMIT_WINDOW_MS = readInt(process.env.AI_RATE_LIMIT_WINDOW_SECONDS, 60) * 1000;
+const RATE_LIMITS = Object.freeze({
+  user: readInt(process.env.AI_RATE_LIMIT_PER_USER, 5),
+  namespace: readInt(process.env.AI_RATE_LIMIT_PER_NAMESPACE, 20)
+});
+
+/**
+ * The metering period (UTC calendar month) containing a time, and when it ends.
+ *
+ * @param {number} [now] - Epoch millis.
+ * @returns {{ period: string, resetsAt: string }} e.g. { period: "2026-10", resetsAt: "2026-11-01T00:00:00.000Z" }
+ */
+function getUsagePeriod(now = Date.now()) {
+  const date = new Date(now);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  return {
+    period: `${year}-${String(month + 1).padStart(2, '0')}`,
+    resetsAt: new Date(Date.UTC(year, month + 1, 1)).toISOString()
+  };
+}
+
+function getPlan(userData) {
+  return userData && MONTHLY_GENERATIONS[userData.plan] !== undefined ? userData.plan : 'basic';
+}
+
+/**
+ * Count a request in a fixed rate limit window stored in an "aiRateLimits" document.
+ * Returns the update to write, or the seconds until the window resets if the limit is reached.
+ */
+function checkRateWindow(doc, limit, now) {
+  const data = doc.exists ? doc.data() : null;
+  if (!data || now - data.windowStart >= RATE_LIMIT_WINDOW_MS) {
+    return { update: { windowStart: now, count: 1 } };
+  }
+  if (data.count >= limit) {
+    return { retryAfterSeconds: Math.max(Math.ceil((data.windowStart + RATE_LIMIT_WINDOW_MS - now) / 1000), 1) };
+  }
+  return { update: { windowStart: data.windowStart, count: data.count + 1 } };
+}
+
+/**
+ * Check the rate limits and the monthly allowance for one AI generation and, if they allow it,
+ * count the generation. Call releaseGeneration with the result if the generation then fails, so
+ * failed calls do not use up the allowance.
+ *
+ * @param {string} userId
+ * @param {string} namespaceId
+ * @returns {Promise<{ status?: number, body?: object, retryAfterSeconds?: number, reservation?: object }>}
+ *   Either an error response (429 for rate limits, 402 when the allowance is used up) or the reservation.
+ */
+async function reserveGeneration(userId, namespaceId) {
+  const now = Date.now();
+  const { period, resetsAt } = getUsagePeriod(now);
+  const userRef = db.collection('users').doc(userId);
+  const usageRef = db.collection('aiUsage').doc(`${userId}_${period}`);
+  const userLimitRef = db.collection('aiRateLimits').doc(`user_${userId}`);
+  const namespaceLimitRef = db.collection('aiRateLimits').doc(`namespace_${namespaceId}`);
+
+  return db.runTransaction(async (transaction) => {
+    const [userDoc, usageDoc, userLimitDoc, namespaceLimitDoc] = await transaction.getAll(
+      userRef, usageRef, userLimitRef, namespaceLimitRef
+    );
+
+    const userWindow = checkRateWindow(userLimitDoc, RATE_LIMITS.user, now);
+    if (userWindow.retryAfterSeconds) {
+      return {
+        status: 429,
+        retryAfterSeconds: userWindow.retryAfterSeconds,
+        body: { error: 'Too many AI requests; please wait before trying again', scope: 'user', limit: RATE_LIMITS.user, retryAfterSeconds: userWindow.retryAfterSeconds }
+      };
+    }
+    const namespaceWindow = checkRateWindow(namespaceLimitDoc, RATE_LIMITS.namespace, now);
+    if (namespaceWindow.retryAfterSeconds) {
+      return {
+        status: 429,
+        retryAfterSeconds: namespaceWindow.retryAfterSeconds,
+        body: { error: 'Too many AI requests in this namespace; please wait before trying again', scope: 'namespace', limit: RATE_LIMITS.namespace, retryAfterSeconds: namespaceWindow.retryAfterSeconds }
+      };
+    }
+
+    const plan = getPlan(userDoc.exists ? userDoc.data() : null);
+    const limit = MONTHLY_GENERATIONS[plan];
+    const used = usageDoc.exists ? usageDoc.data().generations || 0 : 0;
+    if (used >= limit) {
+      return {
+        status: 402,
+        body: { error: 'Monthly AI generation allowance reached; upgrade your plan for more', plan, limit, used, resetsAt }
+      };
+    }
+
+    transaction.set(userLimitRef, userWindow.update);
+    transaction.set(namespaceLimitRef, namespaceWindow.update);
+    transaction.set(usageRef, {
+      userId,
+      period,
+      generations: admin.firestore.FieldValue.increment(1),
+      byNamespace: { [namespaceId]: admin.firestore.FieldValue.increment(1) },
+      lastGeneratedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    return { reservation: { usageRef, namespaceId, plan, limit, used: used + 1 } };
+  });
+}
+
+/**
+ * Give back a generation counted by reserveGeneration (e.g. when the AI provider failed).
+ * Errors are logged, not thrown.
+ *
+ * @param {object} reservation - From reserveGeneration.
+ * @returns {Promise<boolean>} Whether the generation was given back.
+ */
+async function releaseGeneration(reservation) {
+  try {
+    await reservation.usageRef.set({
+      generations: admin.firestore.FieldValue.increment(-1),
+      byNamespace: { [reservation.namespaceId]: admin.firestore.FieldValue.increment(-1) }
+    }, { merge: true });
+    return true;
+  } catch (error) {
+    console.error('[ERROR] Failed to release AI generation:', error);
+    return false;
+  }
+}
+
+/**
+ * A user's AI usage in the current period, with their allowance and the rate limits.
+ *
+ * @param {string} userId
+ * @returns {Promise<object>}
+ */
+async function getAiUsage(userId) {
+  const { period, resetsAt } = getUsagePeriod();
+  const [userDoc, usageDoc] = await db.getAll(
+    db.collection('users').doc(userId),
+    db.collection('aiUsage').doc(`${userId}_${period}`)
+  );
+  const plan = getPlan(userDoc.exists ? userDoc.data() : null);
+  const usage = usageDoc.exists ? usageDoc.data() : {};
+  const used = usage.generations || 0;
+  return {
+    plan,
+    period,
+    limit: MONTHLY_GENERATIONS[plan],
+    used,
+    remaining: Math.max(MONTHLY_GENERATIONS[plan] - used, 0),
+    resetsAt,
+    byNamespace: usage.byNamespace || {},
+    rateLimits: {
+      windowSeconds: RATE_LIMIT_WINDOW_MS / 1000,
+      perUser: RATE_LIMITS.user,
+      perNamespace: RATE_LIMITS.namespace
+    }
+  };
+}
+
+module.exports = {
+  MONTHLY_GENERATIONS,
+  getUsagePeriod,
+  reserveGeneration,
+  releaseGeneration,
+  getAiUsage
+};
@@ -0,0 +1,46 @@
+// alerts.js
+const admin = require('../config/firebase');
+const db = admin.firestore();
+
+/**
+ * Create an unread alert for a user (listed by GET /alerts).
+ *
+ * @param {string} userId - The recipient's uid.
+ * @param {string} type - The type of alert (e.g. 'comment_mention').
+ * @param {string} message - A human-readable message.
+ * @param {string} namespaceId - The namespace the alert relates to.
+ * @param {object} extra - Any extra fields you want to store.
+ */
+async function createAlert(userId, type, message, namespaceId, extra = {}) {
+  try {
+    await db.collection('alerts').add({
+      userId,
+      type,
+      message,
+      namespaceId,
+      ...extra,
+      read: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    console.error('Error creating alert:', error);
+  }
+}
+
+/**
+ * Look up a user's uid by email address.
+ *
+ * @param {string} email
+ * @returns {Promise<string|null>} The uid, or null if no account uses this email.
+ */
+async function findUserIdByEmail(email) {
+  try {
+    const user = await admin.auth().getUserByEmail(email);
+    return user.uid;
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') return null;
+    throw error;
+  }
+}
+
+module.exports = { createAlert, findUserIdByEmail };
@@ -0,0 +1,327 @@
+// campaignAccess.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+const admin = require('../config/firebase');
+const { getNextResponsesCount } = require('./responseCounter');
+const { createAlert } = require('./alerts');
+const db = admin.firestore();
+
+// Who may view a campaign's public survey and upload to it.
+const AccessModes = Object.freeze({
+  PUBLIC: 'public',   // Anyone with the link.
+  CODE: 'code',       // Anyone who knows the campaign's shared access code.
+  INVITE: 'invite'    // Holders of a single-use invite token.
+});
+
+const MIN_ACCESS_CODE_LENGTH = 8;
+const MAX_ACCESS_CODE_LENGTH = 64;
+
+// Failed access code attempts allowed per client IP within a window before code checks are locked
+// for that IP. Failures are also counted per campaign: past the campaign limit (distributed guessing
+// of one campaign's code) the campaign owner is alerted and wrong codes are answered more slowly,
+// but a valid code is never refused, so nobody can lock real respondents out of a campaign.
+const ATTEMPT_WINDOW_MS = (parseInt(process.env.ACCESS_CODE_ATTEMPT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+const LOCKOUT_MS = (parseInt(process.env.ACCESS_CODE_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+const MAX_FAILED_ATTEMPTS_PER_IP = parseInt(process.env.ACCESS_CODE_MAX_FAILURES_PER_IP, 10) || 10;
+const CAMPAIGN_FAILURE_ALERT_THRESHOLD = parseInt(process.env.ACCESS_CODE_MAX_FAILURES_PER_CAMPAIGN, 10) || 100;
+const CAMPAIGN_FAILURE_DELAY_MS = 2000;
+
+const scrypt = promisify(crypto.scrypt);
+
+// The access code hash lives outside the campaign document so campaign reads never expose it.
+const accessCollection = db.collection('campaignAccess');
+const tokensCollection = db.collection('campaignInviteTokens');
+const attemptsCollection = db.collection('accessCodeAttempts');
+
+/**
+ * The access mode of a campaign (campaigns created before access modes existed are public).
+ *
+ * @param {object} campaignData
+ * @returns {string}
+ */
+function getAccessMode(campaignData) {
+  return campaignData.accessMode || AccessModes.PUBLIC;
+}
+
+// Access codes are printed on flyers, so they are compared case-insensitively.
+function normalizeAccessCode(code) {
+  return String(code).trim().toUpperCase();
+}
+
+// Hashed off the event loop thread, so guessing codes cannot stall other requests.
+async function hashAccessCode(code, salt) {
+  const hash = await scrypt(normalizeAccessCode(code), salt, 32);
+  return hash.toString('hex');
+}
+
+/**
+ * Hash an invite token; tokens are only stored (and looked up) by their hash.
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Generate a random invite token (URL-safe).
+ *
+ * @returns {string}
+ */
+function generateToken() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+/**
+ * Validate a new access code.
+ *
+ * @param {*} code
+ * @returns {string|null} An error message, or null if valid.
+ */
+function validateAccessCode(code) {
+  if (typeof code !== 'string') return 'accessCode must be a string';
+  const normalized = normalizeAccessCode(code);
+  if (normalized.length < MIN_ACCESS_CODE_LENGTH || normalized.length > MAX_ACCESS_CODE_LENGTH) {
+    return `accessCode must be between ${MIN_ACCESS_CODE_LENGTH} and ${MAX_ACCESS_CODE_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Build the campaignAccess document storing a campaign's access code.
+ *
+ * @param {string} campaignId
+ * @param {string} code
+ * @param {string} userId - The user setting the code.
+ * @returns {Promise<object>}
+ */
+async function buildAccessCodeDoc(campaignId, code, userId) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return {
+    campaignId,
+    codeSalt: salt,
+    codeHash: await hashAccessCode(code, salt),
+    updatedBy: userId,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+/**
+ * Whether a campaign has an access code set.
+ *
+ * @param {string} campaignId
+ * @returns {Promise<boolean>}
+ */
+async function hasAccessCode(campaignId) {
+  const accessDoc = await accessCollection.doc(campaignId).get();
+  return accessDoc.exists && !!accessDoc.data().codeHash;
+}
+
+async function verifyAccessCode(campaignId, code) {
+  if (!code || String(code).length > MAX_ACCESS_CODE_LENGTH) return false;
+  const accessDoc = await accessCollection.doc(campaignId).get();
+  if (!accessDoc.exists || !accessDoc.data().codeHash) return false;
+  const { codeSalt, codeHash } = accessDoc.data();
+  const candidate = Buffer.from(await hashAccessCode(code, codeSalt), 'hex');
+  return crypto.timingSafeEqual(candidate, Buffer.from(codeHash, 'hex'));
+}
+
+// The accessCodeAttempts documents counting failures for a campaign and for a client IP.
+function getAttemptRefs(campaignId, ip) {
+  return {
+    campaign: attemptsCollection.doc(`campaign_${campaignId}`),
+    ip: attemptsCollection.doc(`ip_${hashToken(ip || 'unknown')}`)
+  };
+}
+
+/**
+ * Seconds until access code checks are unlocked for this IP, or 0 if they are not locked.
+ */
+async function getAttemptLockout(campaignId, ip) {
+  const ipDoc = await getAttemptRefs(campaignId, ip).ip.get();
+  const lockedUntil = (ipDoc.exists && ipDoc.data().lockedUntil) || 0;
+  const now = Date.now();
+  return lockedUntil > now ? Math.ceil((lockedUntil - now) / 1000) : 0;
+}
+
+/**
+ * Count a failed access code attempt for the campaign and the IP, locking code checks for the IP
+ * for LOCKOUT_MS once it reaches its limit within the attempt window. The campaign owner is
+ * alerted when the campaign's failures reach CAMPAIGN_FAILURE_ALERT_THRESHOLD within a window.
+ * Failures are logged, never thrown.
+ *
+ * @returns {Promise<{ campaignFailures: number }>} The campaign's failures in the current window.
+ */
+async function recordFailedAttempt(campaignId, campaignData, ip) {
+  const refs = getAttemptRefs(campaignId, ip);
+  try {
+    const campaignFailures = await db.runTransaction(async (transaction) => {
+      const docs = await transaction.getAll(refs.campaign, refs.ip);
+      const now = Date.now();
+      const counted = {};
+      [['campaign', docs[0]], ['ip', docs[1]]].forEach(([scope, doc]) => {
+        const data = doc.exists ? doc.data() : null;
+        const inWindow = data && now - data.windowStart < ATTEMPT_WINDOW_MS;
+        const failures = inWindow ? data.failures + 1 : 1;
+        const update = { windowStart: inWindow ? data.windowStart : now, failures };
+        if (scope === 'ip') {
+          update.lockedUntil = failures >= MAX_FAILED_ATTEMPTS_PER_IP ? now + LOCKOUT_MS : (data && data.lockedUntil) || 0;
+        } else {
+          update.campaignId = campaignId;
+        }
+        transaction.set(refs[scope], update);
+        counted[scope] = failures;
+      });
+      return counted.campaign;
+    });
+    if (campaignFailures === CAMPAIGN_FAILURE_ALERT_THRESHOLD && campaignData.createdBy) {
+      console.warn(`[WARN] Campaign ${campaignId} received ${campaignFailures} invalid access codes within the attempt window`);
+      await createAlert(
+        campaignData.createdBy,
+        'access_code_guessing',
+        `Campaign "${campaignData.name || 'Untitled'}" received ${campaignFailures} invalid access codes in a short time; consider changing its access code`,
+        campaignData.namespaceId,
+        { campaignId }
+      );
+    }
+    return { campaignFailures };
+  } catch (error) {
+    console.error(`[ERROR] Failed to record access code attempt for campaign ${campaignId}:`, error);
+    return { campaignFailures: 0 };
+  }
+}
+
+/**
+ * Load an invite token and check that it can still be used for a campaign.
+ * Works inside a transaction when one is given.
+ *
+ * @returns {Promise<{ status?: number, error?: string, tokenRef?: object, tokenData?: object }>}
+ */
+async function loadUsableToken(campaignId, token, transaction) {
+  if (!token) {
+    return { status: 401, error: 'An invite token is required' };
+  }
+  const tokenRef = tokensCollection.doc(hashToken(token));
+  const tokenDoc = transaction ? await transaction.get(tokenRef) : await tokenRef.get();
+  const tokenData = tokenDoc.exists ? tokenDoc.data() : null;
+  if (!tokenData || tokenData.campaignId !== campaignId || tokenData.revokedAt) {
+    return { status: 403, error: 'Invalid invite token' };
+  }
+  if (tokenData.usedAt) {
+    return { status: 409, error: 'This invite token has already been used' };
+  }
+  if (tokenData.expiresAt && tokenData.expiresAt.toMillis() < Date.now()) {
+    return { status: 403, error: 'This invite token has expired' };
+  }
+  return { tokenRef, tokenData };
+}
+
+/**
+ * Check the credentials presented for a campaign's survey page or upload.
+ * Returns { ok: true, access } with what to record on a response, or { status, error }
+ * (plus retryAfterSeconds when access code checks are locked after too many failed attempts).
+ *
+ * @param {string} campaignId
+ * @param {object} campaignData
+ * @param {{ accessCode?: string, inviteToken?: string, ip?: string }} credentials
+ *   ip is the client address, used to limit failed access code attempts.
+ */
+async function checkSurveyAccess(campaignId, campaignData, { accessCode, inviteToken, ip }) {
+  const mode = getAccessMode(campaignData);
+  if (mode === AccessModes.CODE) {
+    if (!accessCode) {
+      return { status: 401, error: 'An access code is required' };
+    }
+    const retryAfterSeconds = await getAttemptLockout(campaignId, ip);
+    if (retryAfterSeconds > 0) {
+      return { status: 429, error: 'Too many invalid access codes; please try again later', retryAfterSeconds };
+    }
+    if (!(await verifyAccessCode(campaignId, accessCode))) {
+      const attempt = await recordFailedAttempt(campaignId, campaignData, ip);
+      // Slow down guessing while the campaign is being hit with invalid codes.
+      if (attempt.campaignFailures >= CAMPAIGN_FAILURE_ALERT_THRESHOLD) {
+        await new Promise(resolve => setTimeout(resolve, CAMPAIGN_FAILURE_DELAY_MS));
+      }
+      return { status: 403, error: 'Invalid access code' };
+    }
+    return { ok: true, access: { mode } };
+  }
+  if (mode === AccessModes.INVITE) {
+    const loaded = await loadUsableToken(campaignId, inviteToken);
+    if (loaded.error) return { status: loaded.status, error: loaded.error };
+    return { ok: true, access: { mode, tokenId: loaded.tokenRef.id } };
+  }
+  return { ok: true, access: { mode } };
+}
+
+/**
+ * Count a survey page view on an invite token. Failures are logged, never thrown.
+ *
+ * @param {string} tokenId - The token's document ID (its hash).
+ */
+async function recordTokenView(tokenId) {
+  try {
+    await tokensCollection.doc(tokenId).update({
+      viewCount: admin.firestore.FieldValue.increment(1),
+      lastViewedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    console.error(`[ERROR] Failed to record view for invite token ${tokenId}:`, error);
+  }
+}
+
+/**
+ * Create a survey response and count it on the campaign ("responsesCount"), consuming the invite
+ * token in the same transaction when the campaign is invite-only, so a token can never be used twice.
+ * The response document must not exist yet; creating it twice fails with ALREADY_EXISTS.
+ *
+ * @param {FirebaseFirestore.DocumentReference} videoRef - The (new) surveyVideos document.
+ * @param {object} videoData - The response data.
+ * @param {string} campaignId
+ * @param {string} [inviteToken] - Required for invite-only campaigns.
+ * @param {function} [guard] - Called with the transaction after its reads and before its writes;
+ *   may read and then write further documents, and returns { status, error } to abort.
+ * @returns {Promise<{ status?: number, error?: string }>}
+ */
+async function createResponseWithAccess(videoRef, videoData, campaignId, inviteToken, guard) {
+  const campaignRef = db.collection('campaigns').doc(campaignId);
+  const isInvite = videoData.access && videoData.access.mode === AccessModes.INVITE;
+  return db.runTransaction(async (transaction) => {
+    let tokenRef = null;
+    if (isInvite) {
+      const loaded = await loadUsableToken(campaignId, inviteToken, transaction);
+      if (loaded.error) return { status: loaded.status, error: loaded.error };
+      tokenRef = loaded.tokenRef;
+    }
+    const campaignDoc = await transaction.get(campaignRef);
+    if (!campaignDoc.exists) return { status: 404, error: 'Campaign not found' };
+    const responsesCount = await getNextResponsesCount(transaction, campaignId, campaignDoc.data());
+    if (guard) {
+      const guarded = await guard(transaction);
+      if (guarded && guarded.error) return guarded;
+    }
+    transaction.create(videoRef, videoData);
+    transaction.update(campaignRef, { responsesCount });
+    if (tokenRef) {
+      transaction.update(tokenRef, {
+        usedAt: admin.firestore.FieldValue.serverTimestamp(),
+        usedByVideoId: videoRef.id
+      });
+    }
+    return {};
+  });
+}
+
+module.exports = {
+  AccessModes,
+  getAccessMode,
+  hashToken,
+  generateToken,
+  validateAccessCode,
+  buildAccessCodeDoc,
+  hasAccessCode,
+  checkSurveyAccess,
+  recordTokenView,
+  createResponseWithAccess
+};
@@ -0,0 +1,215 @@
+// campaignAnalytics.js
+const admin = require('../config/firebase');
+const { toMillis } = require('./campaignLifecycle');
+const { IntakeFieldTypes } = require('./intakeFields');
+const db = admin.firestore();
+
+const INTERVALS = ['day', 'week'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intake field types whose answers are aggregated by value; free-text answers only count as answered.
+const CATEGORICAL_TYPES = [IntakeFieldTypes.SELECT, IntakeFieldTypes.CHECKBOX];
+
+/**
+ * Format a UTC date as YYYY-MM-DD.
+ */
+function toDateKey(millis) {
+  return new Date(millis).toISOString().slice(0, 10);
+}
+
+/**
+ * Start of the period (UTC day, or ISO week starting on Monday) containing a point in time.
+ *
+ * @param {number} millis
+ * @param {string} interval - 'day' or 'week'
+ * @returns {string} YYYY-MM-DD
+ */
+function periodKey(millis, interval) {
+  const dayStart = Math.floor(millis / DAY_MS) * DAY_MS;
+  if (interval === 'week') {
+    const weekday = (new Date(dayStart).getUTCDay() + 6) % 7; // Monday = 0
+    return toDateKey(dayStart - weekday * DAY_MS);
+  }
+  return toDateKey(dayStart);
+}
+
+/**
+ * Parse the query parameters of GET /campaigns/:id/analytics.
+ *
+ *   interval - day (default) | week
+ *   from, to - optional ISO dates bounding the time series (inclusive)
+ *
+ * @param {object} query - req.query
+ * @returns {{ error?: string, options?: { interval: string, from: number|null, to: number|null } }}
+ */
+function parseAnalyticsQuery(query) {
+  const interval = query.interval || 'day';
+  if (!INTERVALS.includes(interval)) {
+    return { error: `interval must be one of: ${INTERVALS.join(', ')}` };
+  }
+  const bounds = {};
+  for (const key of ['from', 'to']) {
+    if (!query[key]) {
+      bounds[key] = null;
+      continue;
+    }
+    const millis = new Date(query[key]).getTime();
+    if (Number.isNaN(millis)) {
+      return { error: `${key} must be a valid date` };
+    }
+    bounds[key] = millis;
+  }
+  if (bounds.to !== null && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    bounds.to += DAY_MS - 1; // A bare date includes the whole day.
+  }
+  if (bounds.from !== null && bounds.to !== null && bounds.from > bounds.to) {
+    return { error: 'from must be before to' };
+  }
+  return { options: { interval, ...bounds } };
+}
+
+/**
+ * Count items into periods, including empty periods between the first and last one.
+ *
+ * @param {Array<{ millis: number, count: number }>} points
+ * @param {string} interval
+ * @returns {Array<{ period: string, count: number }>}
+ */
+function bucketize(points, interval) {
+  if (points.length === 0) return [];
+  const counts = new Map();
+  let first = Infinity;
+  let last = -Infinity;
+  for (const { millis, count } of points) {
+    const key = periodKey(millis, interval);
+    counts.set(key, (counts.get(key) || 0) + count);
+    first = Math.min(first, millis);
+    last = Math.max(last, millis);
+  }
+  const series = [];
+  const step = interval === 'week' ? 7 * DAY_MS : DAY_MS;
+  for (let t = Date.parse(periodKey(first, interval)); t <= last; t += step) {
+    const key = toDateKey(t);
+    series.push({ period: key, count: counts.get(key) || 0 });
+  }
+  return series;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 10000) / 10000 : null;
+}
+
+/**
+ * Record a view of a campaign's public survey page in the daily counter
+ * campaignPageViews/{campaignId}_{YYYY-MM-DD}. Failures are logged, never thrown,
+ * so a counter problem can't break the survey page.
+ *
+ * @param {string} campaignId
+ * @returns {Promise<void>}
+ */
+async function recordPageView(campaignId) {
+  const date = toDateKey(Date.now());
+  try {
+    await db.collection('campaignPageViews').doc(`${campaignId}_${date}`).set({
+      campaignId,
+      date,
+      views: admin.firestore.FieldValue.increment(1),
+      lastViewedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  } catch (error) {
+    console.error(`[ERROR] Failed to record page view for campaign ${campaignId}:`, error);
+  }
+}
+
+/**
+ * Compute the analytics of a campaign from its survey responses and page view counters.
+ *
+ * @param {string} campaignId
+ * @param {object} campaignData - The campaign document data (for its intake field definitions).
+ * @param {{ interval: string, from: number|null, to: number|null }} options
+ * @returns {Promise<object>}
+ */
+async function buildCampaignAnalytics(campaignId, campaignData, { interval, from, to }) {
+  const [videosSnapshot, viewsSnapshot] = await Promise.all([
+    db.collection('surveyVideos').where('campaignId', '==', campaignId).get(),
+    db.collection('campaignPageViews').where('campaignId', '==', campaignId).get()
+  ]);
+  const inRange = (millis) => millis !== null && (from === null || millis >= from) && (to === null || millis <= to);
+
+  const responses = videosSnapshot.docs
+    .map(doc => doc.data())
+    .filter(data => inRange(toMillis(data.createdAt)));
+  const views = viewsSnapshot.docs
+    .map(doc => doc.data())
+    .map(data => ({ millis: Date.parse(data.date), count: data.views || 0 }))
+    .filter(view => inRange(view.millis));
+
+  const enhanced = responses.filter(data => data.isVideoEnhanced === true).length;
+
+  const zipCounts = {};
+  for (const data of responses) {
+    const zipCode = data.zipCode || 'unknown';
+    zipCounts[zipCode] = (zipCounts[zipCode] || 0) + 1;
+  }
+
+  const byIntakeField = {};
+  for (const field of campaignData.intakeFields || []) {
+    const summary = { label: field.label, type: field.type, answered: 0 };
+    if (CATEGORICAL_TYPES.includes(field.type)) summary.values = {};
+    for (const data of responses) {
+      const value = (data.intakeResponses || {})[field.key];
+      if (value === undefined || value === null || value === '') continue;
+      if (field.type === IntakeFieldTypes.CHECKBOX && value !== true) continue;
+      summary.answered += 1;
+      if (summary.values) {
+        const key = String(value);
+        summary.values[key] = (summary.values[key] || 0) + 1;
+      }
+    }
+    byIntakeField[field.key] = summary;
+  }
+
+  // Only server-measured lengths count; older responses carry a client-reported durationSeconds.
+  const durations = responses
+    .filter(data => data.durationMeasured === true)
+    .map(data => data.durationSeconds)
+    .filter(value => typeof value === 'number' && value > 0);
+  const pageViews = views.reduce((sum, view) => sum + view.count, 0);
+
+  return {
+    campaignId,
+    interval,
+    from: from !== null ? new Date(from).toISOString() : null,
+    to: to !== null ? new Date(to).toISOString() : null,
+    totals: {
+      responses: responses.length,
+      enhanced,
+      raw: responses.length - enhanced,
+      enhancedRatio: ratio(enhanced, responses.length)
+    },
+    responsesOverTime: bucketize(responses.map(data => ({ millis: toMillis(data.createdAt), count: 1 })), interval),
+    byZipCode: Object.entries(zipCounts)
+      .map(([zipCode, count]) => ({ zipCode, count }))
+      .sort((a, b) => b.count - a.count),
+    byIntakeField,
+    videoDuration: {
+      medianSeconds: median(durations),
+      sampleSize: durations.length
+    },
+    funnel: {
+      pageViews,
+      completedUploads: responses.length,
+      conversionRate: ratio(responses.length, pageViews),
+      pageViewsOverTime: bucketize(views, interval)
+    }
+  };
+}
+
+module.exports = { parseAnalyticsQuery, recordPageView, buildCampaignAnalytics };
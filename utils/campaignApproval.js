@@ -0,0 +1,70 @@
+// campaignApproval.js
+const admin = require('../config/firebase');
+const db = admin.firestore();
+
+// Review states of a campaign in a namespace with "requireCampaignApproval" enabled.
+const ApprovalStatuses = Object.freeze({
+  NONE: 'none',           // Never submitted, or changed since the last review.
+  PENDING: 'pending',     // Submitted, waiting for an admin.
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+});
+
+/**
+ * The review state of a campaign (campaigns without an "approval" field were never submitted).
+ *
+ * @param {object} campaignData
+ * @returns {string}
+ */
+function getApprovalStatus(campaignData) {
+  return (campaignData.approval && campaignData.approval.status) || ApprovalStatuses.NONE;
+}
+
+/**
+ * Whether a namespace requires admin approval before its campaigns go public.
+ *
+ * @param {object} nsData - The namespace document data.
+ * @returns {boolean}
+ */
+function requiresApproval(nsData) {
+  return !!(nsData && nsData.requireCampaignApproval === true);
+}
+
+/**
+ * Whether a campaign may be shown publicly and accept uploads as far as approval is concerned:
+ * either it is approved, or its namespace does not require approval.
+ *
+ * @param {object} campaignData
+ * @returns {Promise<boolean>}
+ */
+async function isApprovalSatisfied(campaignData) {
+  if (getApprovalStatus(campaignData) === ApprovalStatuses.APPROVED) return true;
+  const nsDoc = await db.collection('namespaces').doc(campaignData.namespaceId).get();
+  return !requiresApproval(nsDoc.exists ? nsDoc.data() : null);
+}
+
+/**
+ * Fields that withdraw a campaign's approval (or pending submission) after its content changed,
+ * so every question set that goes public has been reviewed. Returns null if there is nothing to
+ * withdraw.
+ *
+ * @param {object} campaignData - The campaign data before the change.
+ * @returns {object|null}
+ */
+function buildApprovalInvalidation(campaignData) {
+  const status = getApprovalStatus(campaignData);
+  if (status !== ApprovalStatuses.APPROVED && status !== ApprovalStatuses.PENDING) return null;
+  return {
+    'approval.status': ApprovalStatuses.NONE,
+    'approval.invalidatedAt': admin.firestore.FieldValue.serverTimestamp(),
+    'approval.previousStatus': status
+  };
+}
+
+module.exports = {
+  ApprovalStatuses,
+  getApprovalStatus,
+  requiresApproval,
+  isApprovalSatisfied,
+  buildApprovalInvalidation
+};
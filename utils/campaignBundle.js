@@ -0,0 +1,170 @@
+// campaignBundle.js
+const crypto = require('crypto');
+const { normalizeIntakeFields } = require('./intakeFields');
+const { normalizeLocalization } = require('./campaignLocalization');
+const { normalizeTags } = require('./campaignOrganization');
+
+// Identifies campaign bundle files; bump BUNDLE_VERSION on incompatible changes.
+const BUNDLE_FORMAT = 'amplify.campaign-bundle';
+const BUNDLE_VERSION = 1;
+
+// Campaign configuration fields carried by a bundle, with their expected types.
+// IDs (namespace, consent terms, creator) are not carried; they are remapped on import.
+const BUNDLE_FIELDS = {
+  name: 'string',
+  title: 'string',
+  description: 'string',
+  category: 'string',
+  subcategory: 'string',
+  theme: 'string',
+  campaignImage: 'string',
+  customColors: 'any',
+  surveyQuestions: 'array',
+  hasExplainerVideo: 'boolean',
+  explainerDurationSeconds: 'number',
+  intakeFields: 'array',
+  defaultLocale: 'string',
+  translations: 'object',
+  tags: 'array',
+  accessMode: 'string'
+};
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function encodeAsset(buffer, contentType) {
+  return buffer
+    ? { contentType, encoding: 'base64', sha256: sha256(buffer), data: buffer.toString('base64') }
+    : null;
+}
+
+// Decode a base64 asset of a bundle, recording problems in errors. Returns null if absent.
+function decodeAsset(bundle, name, errors) {
+  const asset = bundle.assets && bundle.assets[name];
+  if (!asset) return null;
+  if (asset.encoding !== 'base64' || typeof asset.data !== 'string') {
+    errors.push(`assets.${name} must hold base64 data`);
+    return null;
+  }
+  const buffer = Buffer.from(asset.data, 'base64');
+  if (asset.sha256 && sha256(buffer) !== asset.sha256) {
+    errors.push(`assets.${name} checksum does not match; the bundle may be corrupted`);
+  }
+  return buffer;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  return value === null ? 'null' : typeof value;
+}
+
+/**
+ * Build a bundle from a campaign.
+ *
+ * @param {object} params
+ * @param {string} params.campaignId - The exported campaign's ID.
+ * @param {object} params.campaignData - The campaign document data.
+ * @param {string} params.projectId - The Firebase project the campaign is exported from.
+ * @param {object|null} params.consentTerms - Current consent terms ({ name, version, text }) or null.
+ * @param {Buffer|null} params.explainerVideo - The explainer video stored in Cloud Storage, if any.
+ * @param {Buffer|null} [params.explainerPoster] - The explainer poster image, if any.
+ * @returns {object}
+ */
+function buildBundle({ campaignId, campaignData, projectId, consentTerms, explainerVideo, explainerPoster = null }) {
+  const campaign = {};
+  for (const field of Object.keys(BUNDLE_FIELDS)) {
+    if (campaignData[field] !== undefined && campaignData[field] !== null) {
+      campaign[field] = campaignData[field];
+    }
+  }
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: { projectId, campaignId, namespaceId: campaignData.namespaceId },
+    campaign,
+    consentTerms: consentTerms
+      ? { name: consentTerms.name, version: consentTerms.version, text: consentTerms.text }
+      : null,
+    assets: {
+      explainerVideo: encodeAsset(explainerVideo, 'video/mp4'),
+      explainerPoster: encodeAsset(explainerPoster, 'image/jpeg')
+    }
+  };
+}
+
+/**
+ * Validate a bundle and extract what an import needs.
+ *
+ * @param {object|string} input - The parsed bundle (or its JSON text).
+ * @returns {{ errors: string[], campaign?: object, consentTerms?: object|null, explainerVideo?: Buffer|null, explainerPoster?: Buffer|null, source?: object }}
+ */
+function parseBundle(input) {
+  let bundle = input;
+  if (typeof bundle === 'string' || Buffer.isBuffer(bundle)) {
+    try {
+      bundle = JSON.parse(bundle.toString());
+    } catch (error) {
+      return { errors: ['Bundle is not valid JSON'] };
+    }
+  }
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    return { errors: ['Bundle must be a JSON object'] };
+  }
+  if (bundle.format !== BUNDLE_FORMAT) {
+    return { errors: [`Bundle format must be "${BUNDLE_FORMAT}"`] };
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+    return { errors: [`Unsupported bundle version ${bundle.version}; this server supports up to version ${BUNDLE_VERSION}`] };
+  }
+  if (typeOf(bundle.campaign) !== 'object') {
+    return { errors: ['Bundle campaign must be an object'] };
+  }
+
+  const errors = [];
+  const campaign = {};
+  for (const [field, value] of Object.entries(bundle.campaign)) {
+    const expected = BUNDLE_FIELDS[field];
+    if (!expected) continue; // Unknown fields are dropped.
+    if (expected !== 'any' && typeOf(value) !== expected) {
+      errors.push(`campaign.${field} must be of type ${expected}`);
+      continue;
+    }
+    campaign[field] = value;
+  }
+  if (campaign.surveyQuestions && !campaign.surveyQuestions.every(q => typeof q === 'string')) {
+    errors.push('campaign.surveyQuestions must be an array of strings');
+  }
+  if (campaign.intakeFields) {
+    const intake = normalizeIntakeFields(campaign.intakeFields);
+    if (intake.error) errors.push(`campaign.${intake.error}`);
+    else campaign.intakeFields = intake.fields;
+  }
+  if (campaign.tags) {
+    const tags = normalizeTags(campaign.tags);
+    if (tags.error) errors.push(`campaign: ${tags.error}`);
+    else campaign.tags = tags.tags;
+  }
+  const localization = normalizeLocalization(campaign);
+  if (localization.error) errors.push(`campaign: ${localization.error}`);
+  else Object.assign(campaign, localization.fields);
+
+  let consentTerms = null;
+  if (bundle.consentTerms !== undefined && bundle.consentTerms !== null) {
+    const terms = bundle.consentTerms;
+    if (typeOf(terms) !== 'object' || typeof terms.name !== 'string' || typeof terms.text !== 'string' || !terms.text.trim()) {
+      errors.push('consentTerms must be an object with a name and a non-empty text');
+    } else {
+      consentTerms = { name: terms.name, version: terms.version, text: terms.text };
+    }
+  }
+
+  const explainerVideo = decodeAsset(bundle, 'explainerVideo', errors);
+  const explainerPoster = explainerVideo ? decodeAsset(bundle, 'explainerPoster', errors) : null;
+
+  if (errors.length > 0) return { errors };
+  return { errors, campaign, consentTerms, explainerVideo, explainerPoster, source: typeOf(bundle.source) === 'object' ? bundle.source : {} };
+}
+
+module.exports = { BUNDLE_FORMAT, BUNDLE_VERSION, buildBundle, parseBundle };
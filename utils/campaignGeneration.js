@@ -0,0 +1,254 @@
+// campaignGeneration.js
+const { CATEGORIES, THEMES, validateCategoryPair } = require('./campaignTaxonomy');
+const { generateText } = require('./llmProviders');
+
+// How many times the model is asked to fix an invalid campaign before the server corrects it.
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.LLM_REPAIR_ATTEMPTS, 10) >= 0
+  ? parseInt(process.env.LLM_REPAIR_ATTEMPTS, 10)
+  : 2;
+
+const CAMPAIGN_FIELDS = ['title', 'description', 'category', 'subcategory', 'theme', 'surveyQuestions'];
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_QUESTION_LENGTH = 500;
+const MIN_QUESTIONS = 2;
+const MAX_QUESTIONS = 10;
+
+// Used to top up the survey questions when the model returns fewer than MIN_QUESTIONS.
+const GENERIC_QUESTIONS = [
+  'Why is this important to you?',
+  'What would you like others to know?'
+];
+
+const DEFAULT_CATALOG = { categories: CATEGORIES, themes: THEMES };
+
+/**
+ * Extract the JSON object from a model response, with or without a ```json fence.
+ *
+ * @param {string} text
+ * @returns {{ error?: string, value?: object }}
+ */
+function extractJson(text) {
+  const fenced = /```(?:json)?\s*([\s\S]*?)\s*```/.exec(text || '');
+  let jsonText = fenced ? fenced[1] : String(text || '');
+  if (!fenced) {
+    // Tolerate prose around a bare object.
+    const start = jsonText.indexOf('{');
+    const end = jsonText.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      jsonText = jsonText.slice(start, end + 1);
+    }
+  }
+  try {
+    const value = JSON.parse(jsonText.trim());
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { error: 'The response must be a single JSON object' };
+    }
+    return { value };
+  } catch (error) {
+    return { error: `The response is not valid JSON (${error.message})` };
+  }
+}
+
+/**
+ * Validate a generated campaign against the schema and the taxonomy.
+ *
+ * @param {object} data - Parsed model output.
+ * @param {{ categories: object, themes: string[] }} [catalog]
+ * @returns {{ field: string, message: string }[]} Validation errors (empty if valid).
+ */
+function validateGeneratedCampaign(data, catalog = DEFAULT_CATALOG) {
+  const errors = [];
+  for (const field of CAMPAIGN_FIELDS) {
+    if (!(field in data)) {
+      errors.push({ field, message: `${field} is required` });
+    }
+  }
+  for (const [field, max] of [['title', MAX_TITLE_LENGTH], ['description', MAX_DESCRIPTION_LENGTH]]) {
+    if (field in data && (typeof data[field] !== 'string' || data[field].length > max)) {
+      errors.push({ field, message: `${field} must be a string of at most ${max} characters` });
+    }
+  }
+  if (typeof data.category !== 'string' || typeof data.subcategory !== 'string') {
+    if ('category' in data && typeof data.category !== 'string') {
+      errors.push({ field: 'category', message: 'category must be a string' });
+    }
+    if ('subcategory' in data && typeof data.subcategory !== 'string') {
+      errors.push({ field: 'subcategory', message: 'subcategory must be a string' });
+    }
+  } else {
+    const categoryError = validateCategoryPair(data.category, data.subcategory, catalog.categories);
+    if (categoryError) {
+      const field = data.category && !Object.prototype.hasOwnProperty.call(catalog.categories, data.category) ? 'category' : 'subcategory';
+      const allowed = field === 'category'
+        ? Object.keys(catalog.categories)
+        : Object.keys(data.category ? catalog.categories[data.category].subcategories : {});
+      errors.push({ field, message: `${categoryError}; allowed values: "", ${allowed.map(key => `"${key}"`).join(', ')}` });
+    }
+  }
+  if ('theme' in data && (typeof data.theme !== 'string' || (data.theme && !catalog.themes.includes(data.theme)))) {
+    errors.push({ field: 'theme', message: `theme must be "" or one of: ${catalog.themes.join(', ')}` });
+  }
+  if ('surveyQuestions' in data) {
+    const questions = data.surveyQuestions;
+    if (!Array.isArray(questions) || questions.length < MIN_QUESTIONS || questions.length > MAX_QUESTIONS) {
+      errors.push({ field: 'surveyQuestions', message: `surveyQuestions must be an array of ${MIN_QUESTIONS} to ${MAX_QUESTIONS} questions` });
+    } else if (questions.some(q => typeof q !== 'string' || !q.trim() || q.length > MAX_QUESTION_LENGTH)) {
+      errors.push({ field: 'surveyQuestions', message: `Each survey question must be a non-empty string of at most ${MAX_QUESTION_LENGTH} characters` });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Force a generated campaign into a valid shape: drop unknown fields, reset invalid values to
+ * their defaults and top up the survey questions. Used when the model could not repair its output.
+ *
+ * @param {object} data
+ * @param {{ categories: object, themes: string[] }} [catalog]
+ * @returns {{ campaign: object, corrections: { field: string, reason: string, correctedBy: string }[] }}
+ */
+function coerceGeneratedCampaign(data, catalog = DEFAULT_CATALOG) {
+  const corrections = [];
+  const correct = (field, reason) => corrections.push({ field, reason, correctedBy: 'server' });
+  const campaign = {};
+
+  for (const [field, max] of [['title', MAX_TITLE_LENGTH], ['description', MAX_DESCRIPTION_LENGTH]]) {
+    if (typeof data[field] !== 'string') {
+      campaign[field] = '';
+      if (field in data) correct(field, `${field} was not a string`);
+    } else if (data[field].length > max) {
+      campaign[field] = data[field].slice(0, max);
+      correct(field, `${field} was truncated to ${max} characters`);
+    } else {
+      campaign[field] = data[field];
+    }
+  }
+
+  const category = typeof data.category === 'string' ? data.category : '';
+  const subcategory = typeof data.subcategory === 'string' ? data.subcategory : '';
+  if (category && !Object.prototype.hasOwnProperty.call(catalog.categories, category)) {
+    campaign.category = '';
+    campaign.subcategory = '';
+    correct('category', `Unknown category "${category}" was cleared`);
+    if (subcategory) correct('subcategory', 'subcategory was cleared with its category');
+  } else if (validateCategoryPair(category, subcategory, catalog.categories)) {
+    campaign.category = category;
+    campaign.subcategory = '';
+    correct('subcategory', `Subcategory "${subcategory}" does not belong to category "${category}" and was cleared`);
+  } else {
+    campaign.category = category;
+    campaign.subcategory = subcategory;
+  }
+
+  if (typeof data.theme === 'string' && (!data.theme || catalog.themes.includes(data.theme))) {
+    campaign.theme = data.theme;
+  } else {
+    campaign.theme = '';
+    correct('theme', `Unknown theme ${JSON.stringify(data.theme)} was cleared`);
+  }
+
+  const rawQuestions = Array.isArray(data.surveyQuestions) ? data.surveyQuestions : [];
+  const questions = rawQuestions
+    .filter(q => typeof q === 'string' && q.trim())
+    .map(q => q.trim().slice(0, MAX_QUESTION_LENGTH))
+    .slice(0, MAX_QUESTIONS);
+  for (const generic of GENERIC_QUESTIONS) {
+    if (questions.length >= MIN_QUESTIONS) break;
+    if (!questions.includes(generic)) questions.push(generic);
+  }
+  if (JSON.stringify(questions) !== JSON.stringify(rawQuestions)) {
+    correct('surveyQuestions', 'Invalid, excess or missing survey questions were fixed');
+  }
+  campaign.surveyQuestions = questions;
+
+  return { campaign, corrections };
+}
+
+/**
+ * Build the follow-up prompt asking the model to fix its previous answer.
+ */
+function buildRepairPrompt(originalPrompt, previousText, problems) {
+  return `${originalPrompt}
+
+Your previous answer was:
+${previousText}
+
+It is invalid:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Return only the corrected JSON object with the fields ${CAMPAIGN_FIELDS.join(', ')}, fixing these problems and keeping everything else unchanged.`;
+}
+
+/**
+ * Ask the model for a campaign and make sure the result is valid: invalid output is sent back to
+ * the model with the validation errors (up to LLM_REPAIR_ATTEMPTS times), and whatever is still
+ * invalid afterwards is corrected by the server. Unknown fields are dropped.
+ *
+ * @param {{ system?: string, prompt: string }} request - The generation request for the model.
+ * @param {{ categories: object, themes: string[] }} [catalog] - Taxonomy to validate against.
+ * @returns {Promise<{ campaign: object, corrections: object[], repairAttempts: number, provider: string }>}
+ *   corrections lists each corrected field with the reason and whether the model or the server fixed it.
+ * @throws {Error} When no provider could be reached, or no attempt produced parseable JSON.
+ */
+async function generateValidCampaign(request, catalog = DEFAULT_CATALOG) {
+  const corrections = new Map();
+  let prompt = request.prompt;
+  let lastData = null;
+  let lastProvider = null;
+  let repairAttempts = 0;
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const result = await generateText({ ...request, prompt });
+    lastProvider = result.provider;
+    const parsed = extractJson(result.text);
+    let problems;
+    if (parsed.error) {
+      problems = [parsed.error];
+    } else {
+      lastData = parsed.value;
+      const errors = validateGeneratedCampaign(parsed.value, catalog);
+      if (errors.length === 0) {
+        break;
+      }
+      for (const error of errors) {
+        if (!corrections.has(error.field)) {
+          corrections.set(error.field, { field: error.field, reason: error.message, correctedBy: 'model' });
+        }
+      }
+      problems = errors.map(error => `${error.field}: ${error.message}`);
+    }
+    if (attempt === MAX_REPAIR_ATTEMPTS) {
+      break;
+    }
+    repairAttempts += 1;
+    console.warn(`[WARN] Generated campaign is invalid (${problems.join('; ')}); asking the model to repair it`);
+    prompt = buildRepairPrompt(request.prompt, result.text, problems);
+  }
+
+  if (!lastData) {
+    throw new Error('The AI provider did not return valid JSON');
+  }
+  const coerced = coerceGeneratedCampaign(lastData, catalog);
+  for (const correction of coerced.corrections) {
+    corrections.set(correction.field, correction);
+  }
+  const unknownFields = Object.keys(lastData).filter(field => !CAMPAIGN_FIELDS.includes(field));
+  for (const field of unknownFields) {
+    corrections.set(field, { field, reason: `Unknown field "${field}" was dropped`, correctedBy: 'server' });
+  }
+  return {
+    campaign: coerced.campaign,
+    corrections: [...corrections.values()],
+    repairAttempts,
+    provider: lastProvider
+  };
+}
+
+module.exports = {
+  CAMPAIGN_FIELDS,
+  extractJson,
+  validateGeneratedCampaign,
+  coerceGeneratedCampaign,
+  generateValidCampaign
+};
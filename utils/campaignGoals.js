@@ -0,0 +1,214 @@
+// campaignGoals.js
+const admin = require('../config/firebase');
+const { toMillis } = require('./campaignLifecycle');
+const { isTrashed } = require('./campaignPurge');
+const { logActivity } = require('./activityLogger');
+const { createAlert } = require('./alerts');
+const { countResponses } = require('./responseCounter');
+const db = admin.firestore();
+
+// Percentages of the response goal that trigger a milestone alert.
+const GOAL_MILESTONES = [25, 50, 75, 100];
+
+// How close (in days) to its target date a campaign must be for a behind-pace alert.
+const PACE_WARNING_DAYS = parseInt(process.env.CAMPAIGN_GOAL_PACE_WARNING_DAYS, 10) || 7;
+
+const MAX_GOAL_RESPONSES = 1000000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse the optional goalResponses/goalTargetDate fields from a request body.
+ * Fields that are not present in the body are left out of the result; explicit null or ''
+ * clears the field. When the goal changes, its milestone bookkeeping starts over.
+ *
+ * @param {object} body - Request body.
+ * @param {object} [existing] - Current campaign data (for updates).
+ * @param {string} userId - The user setting the goal.
+ * @returns {{ error?: string, fields?: object }}
+ */
+function parseGoalFields(body, existing = {}, userId) {
+  const fields = {};
+  if ('goalResponses' in body) {
+    if (body.goalResponses === null || body.goalResponses === '') {
+      fields.goalResponses = null;
+    } else {
+      const goal = Number(body.goalResponses);
+      if (!Number.isInteger(goal) || goal < 1 || goal > MAX_GOAL_RESPONSES) {
+        return { error: `goalResponses must be a whole number between 1 and ${MAX_GOAL_RESPONSES}` };
+      }
+      fields.goalResponses = goal;
+    }
+  }
+  if ('goalTargetDate' in body) {
+    if (body.goalTargetDate === null || body.goalTargetDate === '') {
+      fields.goalTargetDate = null;
+    } else {
+      const millis = toMillis(body.goalTargetDate);
+      if (millis === null) {
+        return { error: 'goalTargetDate must be a valid date' };
+      }
+      fields.goalTargetDate = admin.firestore.Timestamp.fromMillis(millis);
+    }
+  }
+  const goalResponses = 'goalResponses' in fields ? fields.goalResponses : existing.goalResponses || null;
+  const targetDate = 'goalTargetDate' in fields ? fields.goalTargetDate : existing.goalTargetDate || null;
+  if (targetDate && !goalResponses) {
+    return { error: 'goalTargetDate requires goalResponses' };
+  }
+  const changed = ('goalResponses' in fields && fields.goalResponses !== (existing.goalResponses || null))
+    || ('goalTargetDate' in fields && toMillis(fields.goalTargetDate) !== toMillis(existing.goalTargetDate));
+  if (changed) {
+    Object.assign(fields, {
+      goalMilestonesReached: [],
+      goalBehindPaceAlertedAt: null,
+      goalSetBy: userId
+    });
+  }
+  return { fields };
+}
+
+/**
+ * Compute a campaign's progress towards its response goal.
+ * The pace is the average number of responses per day since the campaign opened; a campaign is
+ * behind pace when that pace would not reach the goal by the target date.
+ *
+ * @param {object} campaignData
+ * @param {number} responsesCount
+ * @param {number} [now] - Current time in epoch millis.
+ * @returns {object|null} Null if the campaign has no goal.
+ */
+function computeGoalProgress(campaignData, responsesCount, now = Date.now()) {
+  const goal = campaignData.goalResponses;
+  if (!goal) return null;
+  const startedAt = toMillis(campaignData.opensAt) || toMillis(campaignData.createdAt) || now;
+  const targetAt = toMillis(campaignData.goalTargetDate);
+  const elapsedDays = Math.max((now - startedAt) / DAY_MS, 1);
+  const dailyPace = responsesCount / elapsedDays;
+  const remaining = Math.max(goal - responsesCount, 0);
+  const daysRemaining = targetAt !== null ? (targetAt - now) / DAY_MS : null;
+  const projected = daysRemaining !== null ? responsesCount + dailyPace * Math.max(daysRemaining, 0) : null;
+  return {
+    goalResponses: goal,
+    goalTargetDate: campaignData.goalTargetDate || null,
+    responsesCount,
+    percent: Math.min(Math.floor((responsesCount / goal) * 100), 100),
+    remaining,
+    reached: remaining === 0,
+    milestonesReached: campaignData.goalMilestonesReached || [],
+    daysRemaining: daysRemaining !== null ? Math.round(daysRemaining * 10) / 10 : null,
+    dailyPace: Math.round(dailyPace * 100) / 100,
+    requiredDailyPace: daysRemaining !== null && daysRemaining > 0 ? Math.round((remaining / daysRemaining) * 100) / 100 : null,
+    projectedResponses: projected !== null ? Math.floor(projected) : null,
+    behindPace: remaining > 0 && projected !== null && projected < goal
+  };
+}
+
+/**
+ * Record newly reached milestones (and a behind-pace warning close to the target date) for a
+ * campaign with a goal, alerting its creator and whoever set the goal and logging the activity.
+ * Each milestone and the behind-pace warning are only reported once per goal. Runs after each
+ * accepted response and from the scheduled sweep (sweepGoalProgress); read-only endpoints use
+ * computeGoalProgress instead. Failures are logged, never thrown.
+ *
+ * @param {string} campaignId
+ * @returns {Promise<object|null>} The current progress, or null if there is no goal.
+ */
+async function checkGoalProgress(campaignId) {
+  try {
+    const campaignRef = db.collection('campaigns').doc(campaignId);
+    const now = Date.now();
+
+    const result = await db.runTransaction(async (transaction) => {
+      const campaignDoc = await transaction.get(campaignRef);
+      if (!campaignDoc.exists || isTrashed(campaignDoc.data())) return null;
+      const campaignData = campaignDoc.data();
+      if (!campaignData.goalResponses) return null;
+      const responsesCount = typeof campaignData.responsesCount === 'number'
+        ? campaignData.responsesCount
+        : await countResponses(campaignId, transaction);
+      const progress = computeGoalProgress(campaignData, responsesCount, now);
+      if (!progress) return null;
+
+      const reached = campaignData.goalMilestonesReached || [];
+      const newMilestones = GOAL_MILESTONES.filter(m => progress.percent >= m && !reached.includes(m));
+      const warnBehind = progress.behindPace
+        && !campaignData.goalBehindPaceAlertedAt
+        && progress.daysRemaining !== null
+        && progress.daysRemaining <= PACE_WARNING_DAYS;
+      const updates = {};
+      if (newMilestones.length > 0) {
+        updates.goalMilestonesReached = [...reached, ...newMilestones].sort((a, b) => a - b);
+      }
+      if (warnBehind) {
+        updates.goalBehindPaceAlertedAt = admin.firestore.Timestamp.fromMillis(now);
+      }
+      if (Object.keys(updates).length > 0) {
+        transaction.update(campaignRef, updates);
+      }
+      return {
+        campaignData,
+        progress: { ...progress, milestonesReached: updates.goalMilestonesReached || reached },
+        newMilestones,
+        warnBehind
+      };
+    });
+    if (!result) return null;
+
+    const { campaignData, progress, newMilestones, warnBehind } = result;
+    const name = campaignData.name || 'Untitled';
+    const recipients = [...new Set([campaignData.createdBy, campaignData.goalSetBy].filter(Boolean))];
+    const extra = { campaignId, responsesCount: progress.responsesCount, goalResponses: progress.goalResponses };
+    if (newMilestones.length > 0) {
+      // Several milestones can be passed at once (e.g. after lowering the goal); report the highest.
+      const milestone = newMilestones[newMilestones.length - 1];
+      const message = milestone === 100
+        ? `Campaign "${name}" reached its goal of ${progress.goalResponses} responses`
+        : `Campaign "${name}" reached ${milestone}% of its goal (${progress.responsesCount}/${progress.goalResponses} responses)`;
+      for (const userId of recipients) {
+        await createAlert(userId, 'campaign_goal_milestone', message, campaignData.namespaceId, { ...extra, milestone });
+      }
+      await logActivity(campaignData.createdBy, 'campaign_goal_milestone', message, campaignData.namespaceId, { ...extra, milestone });
+    }
+    if (warnBehind) {
+      const message = `Campaign "${name}" is behind pace: ${progress.responsesCount}/${progress.goalResponses} responses `
+        + `with ${Math.max(Math.ceil(progress.daysRemaining), 0)} day(s) left (projected ${progress.projectedResponses})`;
+      for (const userId of recipients) {
+        await createAlert(userId, 'campaign_goal_behind_pace', message, campaignData.namespaceId, extra);
+      }
+      await logActivity(campaignData.createdBy, 'campaign_goal_behind_pace', message, campaignData.namespaceId, extra);
+    }
+    return progress;
+  } catch (error) {
+    console.error(`[ERROR] Failed to check goal progress for campaign ${campaignId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Check every campaign with an unreached goal (see checkGoalProgress), so behind-pace warnings
+ * are sent even when a campaign receives no responses. Run on a schedule (see routes/jobs/jobs.js).
+ *
+ * @returns {Promise<{ checked: number }>}
+ */
+async function sweepGoalProgress() {
+  const snapshot = await db.collection('campaigns')
+    .where('goalResponses', '>', 0)
+    .select('goalMilestonesReached')
+    .get();
+  let checked = 0;
+  for (const doc of snapshot.docs) {
+    if ((doc.data().goalMilestonesReached || []).includes(100)) continue;
+    await checkGoalProgress(doc.id);
+    checked++;
+  }
+  console.info(`[INFO] Goal progress sweep checked ${checked} campaign(s)`);
+  return { checked };
+}
+
+module.exports = {
+  GOAL_MILESTONES,
+  parseGoalFields,
+  computeGoalProgress,
+  checkGoalProgress,
+  sweepGoalProgress
+};
@@ -0,0 +1,146 @@
+// campaignLifecycle.js
+const admin = require('../config/firebase');
+
+// Lifecycle states a campaign can be in.
+const CampaignStatuses = Object.freeze({
+  DRAFT: 'draft',
+  SCHEDULED: 'scheduled',
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  CLOSED: 'closed',
+  ARCHIVED: 'archived'
+});
+
+/**
+ * State transitions exposed as POST /campaigns/:id/<action>.
+ * "from" lists the (effective) states the action is allowed from, "to" is the target state,
+ * and "adminOnly" restricts the action to namespace admins.
+ * A target of ACTIVE becomes SCHEDULED when the campaign's opensAt is still in the future.
+ */
+const CampaignTransitions = Object.freeze({
+  publish: { from: [CampaignStatuses.DRAFT], to: CampaignStatuses.ACTIVE, activity: 'campaign_published' },
+  pause: { from: [CampaignStatuses.SCHEDULED, CampaignStatuses.ACTIVE], to: CampaignStatuses.PAUSED, activity: 'campaign_paused' },
+  resume: { from: [CampaignStatuses.PAUSED], to: CampaignStatuses.ACTIVE, activity: 'campaign_resumed' },
+  close: { from: [CampaignStatuses.SCHEDULED, CampaignStatuses.ACTIVE, CampaignStatuses.PAUSED], to: CampaignStatuses.CLOSED, activity: 'campaign_closed' },
+  reopen: { from: [CampaignStatuses.CLOSED], to: CampaignStatuses.ACTIVE, activity: 'campaign_reopened' },
+  archive: { from: [CampaignStatuses.DRAFT, CampaignStatuses.CLOSED], to: CampaignStatuses.ARCHIVED, activity: 'campaign_archived', adminOnly: true },
+  unarchive: { from: [CampaignStatuses.ARCHIVED], to: CampaignStatuses.CLOSED, activity: 'campaign_unarchived', adminOnly: true }
+});
+
+/**
+ * Convert a Firestore Timestamp, Date, ISO string or epoch millis into epoch millis.
+ * Returns null for empty or unparseable values.
+ *
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toMillis(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const millis = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return Number.isNaN(millis) ? null : millis;
+}
+
+/**
+ * Parse the optional opensAt/closesAt window from a request body.
+ * Fields that are not present in the body are left out of the result so callers can merge
+ * them with existing values; explicit null or '' clears the field.
+ *
+ * @param {object} body - The request body.
+ * @param {object} [existing] - The current campaign data (used to validate the combined window).
+ * @returns {{ error?: string, fields?: object }}
+ */
+function parseScheduleWindow(body, existing = {}) {
+  const fields = {};
+  for (const key of ['opensAt', 'closesAt']) {
+    if (!(key in body)) continue;
+    if (body[key] === null || body[key] === '') {
+      fields[key] = null;
+      continue;
+    }
+    const millis = toMillis(body[key]);
+    if (millis === null) {
+      return { error: `${key} must be a valid date` };
+    }
+    fields[key] = admin.firestore.Timestamp.fromMillis(millis);
+  }
+
+  const opensAt = toMillis('opensAt' in fields ? fields.opensAt : existing.opensAt);
+  const closesAt = toMillis('closesAt' in fields ? fields.closesAt : existing.closesAt);
+  if (opensAt !== null && closesAt !== null && closesAt <= opensAt) {
+    return { error: 'closesAt must be later than opensAt' };
+  }
+  return { fields };
+}
+
+/**
+ * Resolve the status a campaign is effectively in right now.
+ * Campaigns created before lifecycle support have no status and are treated as active.
+ * Scheduled campaigns become active once opensAt has passed, and scheduled or active
+ * campaigns become closed once closesAt has passed.
+ *
+ * @param {object} campaignData - The campaign document data.
+ * @param {number} [now] - Current time in epoch millis.
+ * @returns {string}
+ */
+function getEffectiveStatus(campaignData, now = Date.now()) {
+  const status = campaignData.status || CampaignStatuses.ACTIVE;
+  if (status !== CampaignStatuses.SCHEDULED && status !== CampaignStatuses.ACTIVE) {
+    return status;
+  }
+  const opensAt = toMillis(campaignData.opensAt);
+  const closesAt = toMillis(campaignData.closesAt);
+  if (closesAt !== null && closesAt <= now) {
+    return CampaignStatuses.CLOSED;
+  }
+  if (opensAt !== null && opensAt > now) {
+    return CampaignStatuses.SCHEDULED;
+  }
+  return CampaignStatuses.ACTIVE;
+}
+
+/**
+ * Resolve the stored status for a campaign that is being moved to ACTIVE:
+ * SCHEDULED while opensAt is still in the future, ACTIVE otherwise.
+ *
+ * @param {object} campaignData - The campaign document data (with any pending updates applied).
+ * @param {number} [now] - Current time in epoch millis.
+ * @returns {string}
+ */
+function resolveActiveStatus(campaignData, now = Date.now()) {
+  const opensAt = toMillis(campaignData.opensAt);
+  return opensAt !== null && opensAt > now ? CampaignStatuses.SCHEDULED : CampaignStatuses.ACTIVE;
+}
+
+/**
+ * Whether the public survey page may be shown for a campaign.
+ * Drafts and archived campaigns are hidden from respondents.
+ *
+ * @param {object} campaignData - The campaign document data.
+ * @returns {boolean}
+ */
+function isPubliclyVisible(campaignData) {
+  const status = getEffectiveStatus(campaignData);
+  return status !== CampaignStatuses.DRAFT && status !== CampaignStatuses.ARCHIVED;
+}
+
+/**
+ * Whether a campaign currently accepts survey submissions.
+ *
+ * @param {object} campaignData - The campaign document data.
+ * @returns {boolean}
+ */
+function isAcceptingResponses(campaignData) {
+  return getEffectiveStatus(campaignData) === CampaignStatuses.ACTIVE;
+}
+
+module.exports = {
+  CampaignStatuses,
+  CampaignTransitions,
+  toMillis,
+  parseScheduleWindow,
+  getEffectiveStatus,
+  resolveActiveStatus,
+  isPubliclyVisible,
+  isAcceptingResponses
+};
@@ -0,0 +1,209 @@
+// campaignListing.js
+const admin = require('../config/firebase');
+const { CampaignStatuses, getEffectiveStatus } = require('./campaignLifecycle');
+const { normalizeTag } = require('./campaignOrganization');
+const { isTrashed } = require('./campaignPurge');
+const db = admin.firestore();
+
+const SORT_FIELDS = ['createdAt', 'dateModified', 'responses'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Campaign field each sort option orders by ("responses" uses the stored response counter).
+const SORT_FIELD_PATHS = Object.freeze({
+  createdAt: 'createdAt',
+  dateModified: 'dateModified',
+  responses: 'responsesCount'
+});
+
+// Fields returned for each campaign in listings. Large fields (campaignImage, questions,
+// translations, intake fields) are left out; GET /campaigns/:id returns the full campaign.
+const LIST_FIELDS = [
+  'name', 'title', 'description', 'category', 'subcategory', 'theme', 'customColors',
+  'status', 'opensAt', 'closesAt', 'namespaceId', 'folderId', 'tags', 'accessMode', 'approval',
+  'hasExplainerVideo', 'explainerPosterPath', 'defaultLocale', 'goalResponses', 'goalTargetDate',
+  'responsesCount', 'deletedAt', 'createdBy', 'lastUpdatedBy', 'createdAt', 'dateModified'
+];
+
+// Campaigns read per query while filling a page; filters Firestore cannot apply (text search,
+// effective status, folders, tags, trash) are applied to each batch.
+const SCAN_BATCH_SIZE = 200;
+
+/**
+ * Parse the listing query parameters of GET /campaigns.
+ *
+ *   q            - case-insensitive text match on name, title and description
+ *   category, subcategory, theme, createdBy - exact-match filters
+ *   status       - one or more (comma-separated) effective statuses
+ *   folderId     - campaigns in a folder ("none" for campaigns outside any folder)
+ *   includeSubfolders - with folderId, also match campaigns in nested folders (expanded by the caller)
+ *   tag          - one or more (comma-separated) tags; campaigns must have all of them
+ *   sortBy       - createdAt | dateModified (default) | responses
+ *   order        - asc | desc (default)
+ *   limit        - page size (1-100); enables pagination
+ *   cursor       - opaque cursor returned as nextCursor by the previous page
+ *
+ * @param {object} query - req.query
+ * @returns {{ error?: string, options?: object }}
+ */
+function parseCampaignListQuery(query) {
+  const options = {
+    q: query.q ? String(query.q).trim().toLowerCase() : '',
+    filters: {},
+    statuses: [],
+    folderId: query.folderId ? String(query.folderId) : null,
+    includeSubfolders: query.includeSubfolders === 'true',
+    folderIds: null,
+    tags: [],
+    sortBy: query.sortBy || 'dateModified',
+    order: query.order || 'desc',
+    paginate: query.limit !== undefined || query.cursor !== undefined,
+    limit: DEFAULT_PAGE_SIZE,
+    cursor: null
+  };
+  for (const key of ['category', 'subcategory', 'theme', 'createdBy']) {
+    if (query[key]) options.filters[key] = String(query[key]);
+  }
+  if (query.status) {
+    options.statuses = String(query.status).split(',').map(s => s.trim()).filter(Boolean);
+    const validStatuses = Object.values(CampaignStatuses);
+    const invalid = options.statuses.find(s => !validStatuses.includes(s));
+    if (invalid) {
+      return { error: `Invalid status "${invalid}"` };
+    }
+  }
+  if (query.tag) {
+    options.tags = String(query.tag).split(',').map(normalizeTag).filter(Boolean);
+  }
+  if (options.folderId && options.folderId !== 'none') {
+    options.folderIds = new Set([options.folderId]);
+  }
+  if (!SORT_FIELDS.includes(options.sortBy)) {
+    return { error: `sortBy must be one of: ${SORT_FIELDS.join(', ')}` };
+  }
+  if (options.order !== 'asc' && options.order !== 'desc') {
+    return { error: 'order must be "asc" or "desc"' };
+  }
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (Number.isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+    }
+    options.limit = limit;
+  }
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.sortBy !== options.sortBy || cursor.order !== options.order) {
+      return { error: 'Invalid cursor for this sort order' };
+    }
+    options.cursor = cursor;
+  }
+  return { options };
+}
+
+/**
+ * Encode a pagination cursor pointing at the given campaign (its sort value and ID).
+ */
+function encodeCursor(campaign, options) {
+  const value = campaign[SORT_FIELD_PATHS[options.sortBy]];
+  const v = value && typeof value.toMillis === 'function'
+    ? { seconds: value.seconds, nanoseconds: value.nanoseconds }
+    : value;
+  const payload = { v, id: campaign.id, sortBy: options.sortBy, order: options.order };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor; returns null if it is malformed.
+ */
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || typeof payload.id !== 'string') return null;
+    if (payload.v && typeof payload.v === 'object') {
+      payload.v = new admin.firestore.Timestamp(payload.v.seconds, payload.v.nanoseconds);
+    } else if (typeof payload.v !== 'number') {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Apply the text search and filters. Campaigns must already carry their effective status.
+ *
+ * @param {object[]} campaigns
+ * @param {object} options - From parseCampaignListQuery.
+ * @returns {object[]}
+ */
+function filterCampaigns(campaigns, options) {
+  return campaigns.filter(campaign => {
+    for (const [key, value] of Object.entries(options.filters)) {
+      if (campaign[key] !== value) return false;
+    }
+    if (options.statuses.length > 0 && !options.statuses.includes(campaign.status)) {
+      return false;
+    }
+    if (options.folderId === 'none' && campaign.folderId) {
+      return false;
+    }
+    if (options.folderIds && !options.folderIds.has(campaign.folderId)) {
+      return false;
+    }
+    if (options.tags.length > 0 && !options.tags.every(tag => (campaign.tags || []).includes(tag))) {
+      return false;
+    }
+    if (options.q) {
+      const haystack = [campaign.name, campaign.title, campaign.description]
+        .filter(v => typeof v === 'string')
+        .join(' ')
+        .toLowerCase();
+      if (!haystack.includes(options.q)) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * List a namespace's (non-trashed) campaigns matching the options, ordered by Firestore on the
+ * sort field and document ID and read in batches of list fields until the page is full.
+ * Campaigns without the sort field (e.g. no responsesCount yet) are not listed.
+ *
+ * @param {string} namespaceId
+ * @param {object} options - From parseCampaignListQuery (with folderIds expanded).
+ * @returns {Promise<{ items: object[], nextCursor: string|null }>} Campaigns with their effective status.
+ */
+async function listCampaigns(namespaceId, options) {
+  const sortPath = SORT_FIELD_PATHS[options.sortBy];
+  const query = db.collection('campaigns')
+    .where('namespaceId', '==', namespaceId)
+    .orderBy(sortPath, options.order)
+    .orderBy(admin.firestore.FieldPath.documentId(), options.order)
+    .select(...LIST_FIELDS);
+  // One extra campaign tells whether there is a next page.
+  const wanted = options.paginate ? options.limit + 1 : Infinity;
+  const matches = [];
+  let after = options.cursor ? [options.cursor.v, options.cursor.id] : null;
+  for (;;) {
+    const batchQuery = after ? query.startAfter(...after).limit(SCAN_BATCH_SIZE) : query.limit(SCAN_BATCH_SIZE);
+    const snapshot = await batchQuery.get();
+    const campaigns = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(campaignData => !isTrashed(campaignData))
+      .map(campaignData => ({ ...campaignData, status: getEffectiveStatus(campaignData) }));
+    matches.push(...filterCampaigns(campaigns, options));
+    if (matches.length >= wanted || snapshot.size < SCAN_BATCH_SIZE) break;
+    const last = snapshot.docs[snapshot.docs.length - 1];
+    after = [last.get(sortPath), last.id];
+  }
+  const items = options.paginate ? matches.slice(0, options.limit) : matches;
+  const hasMore = matches.length > items.length;
+  return {
+    items,
+    nextCursor: hasMore && items.length > 0 ? encodeCursor(items[items.length - 1], options) : null
+  };
+}
+
+module.exports = { parseCampaignListQuery, filterCampaigns, listCampaigns };
@@ -0,0 +1,188 @@
+// campaignLocalization.js
+
+// Locale assumed for campaigns created before localization existed.
+const DEFAULT_LOCALE = 'en';
+
+const MAX_LOCALES = 20;
+
+/**
+ * Canonicalize a BCP 47 language tag (e.g. "es-mx" -> "es-MX").
+ *
+ * @param {string} tag
+ * @returns {string|null} The canonical tag, or null if it is not a valid tag.
+ */
+function canonicalizeLocale(tag) {
+  if (typeof tag !== 'string' || !tag.trim()) return null;
+  try {
+    return Intl.getCanonicalLocales(tag.trim())[0];
+  } catch (error) {
+    return null;
+  }
+}
+
+function languageOf(locale) {
+  return locale.split('-')[0];
+}
+
+/**
+ * Validate and normalize a campaign's localization settings.
+ * The campaign's own title, description and surveyQuestions are the default-locale content;
+ * "translations" maps other locales to { title?, description?, surveyQuestions? }.
+ * Translated surveyQuestions correspond to the default questions by position.
+ *
+ * @param {object} input - { defaultLocale?, translations? } (translations may be a JSON string).
+ * @param {object} [existing] - Current campaign data, used for fields not present in input.
+ * @returns {{ error?: string, fields?: { defaultLocale?: string, translations?: object } }}
+ */
+function normalizeLocalization(input, existing = {}) {
+  const fields = {};
+  const defaultLocale = input.defaultLocale !== undefined
+    ? canonicalizeLocale(input.defaultLocale)
+    : existing.defaultLocale || DEFAULT_LOCALE;
+  if (!defaultLocale) {
+    return { error: 'defaultLocale must be a valid language tag (e.g. "en" or "es-MX")' };
+  }
+  if (input.defaultLocale !== undefined) {
+    fields.defaultLocale = defaultLocale;
+  }
+
+  let translations = input.translations !== undefined ? input.translations : existing.translations;
+  if (typeof translations === 'string') {
+    try {
+      translations = JSON.parse(translations);
+    } catch (error) {
+      return { error: 'translations must be an object keyed by locale' };
+    }
+  }
+  if (translations === undefined || translations === null) {
+    if (input.translations !== undefined) fields.translations = {};
+    return { fields };
+  }
+  if (typeof translations !== 'object' || Array.isArray(translations)) {
+    return { error: 'translations must be an object keyed by locale' };
+  }
+  if (Object.keys(translations).length > MAX_LOCALES) {
+    return { error: `translations supports at most ${MAX_LOCALES} locales` };
+  }
+
+  const normalized = {};
+  for (const [tag, translation] of Object.entries(translations)) {
+    const locale = canonicalizeLocale(tag);
+    if (!locale) {
+      return { error: `translations key "${tag}" is not a valid language tag` };
+    }
+    if (locale === defaultLocale) {
+      return { error: `translations must not include the default locale "${defaultLocale}"` };
+    }
+    if (normalized[locale]) {
+      return { error: `translations contains "${locale}" more than once` };
+    }
+    if (!translation || typeof translation !== 'object' || Array.isArray(translation)) {
+      return { error: `translations.${locale} must be an object` };
+    }
+    const entry = {};
+    for (const field of ['title', 'description']) {
+      if (translation[field] === undefined || translation[field] === null) continue;
+      if (typeof translation[field] !== 'string') {
+        return { error: `translations.${locale}.${field} must be a string` };
+      }
+      entry[field] = translation[field];
+    }
+    if (translation.surveyQuestions !== undefined && translation.surveyQuestions !== null) {
+      if (!Array.isArray(translation.surveyQuestions) || !translation.surveyQuestions.every(q => typeof q === 'string')) {
+        return { error: `translations.${locale}.surveyQuestions must be an array of strings` };
+      }
+      entry.surveyQuestions = translation.surveyQuestions;
+    }
+    normalized[locale] = entry;
+  }
+  if (input.translations !== undefined) {
+    fields.translations = normalized;
+  }
+  return { fields };
+}
+
+/**
+ * Parse an Accept-Language header into tags ordered by preference.
+ *
+ * @param {string} header
+ * @returns {string[]}
+ */
+function parseAcceptLanguage(header) {
+  if (!header) return [];
+  return String(header)
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+      return { tag: tag.trim(), q: Number.isNaN(q) ? 0 : q, index };
+    })
+    .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(entry => entry.tag);
+}
+
+/**
+ * The locales a campaign is available in, default locale first.
+ *
+ * @param {object} campaignData
+ * @returns {string[]}
+ */
+function getAvailableLocales(campaignData) {
+  const defaultLocale = campaignData.defaultLocale || DEFAULT_LOCALE;
+  return [defaultLocale, ...Object.keys(campaignData.translations || {})];
+}
+
+/**
+ * Pick the locale to serve from the requested tags (most preferred first).
+ * For each requested tag, in order: an exact match, then the bare language ("es-MX" -> "es"),
+ * then any regional variant of the language ("es" -> "es-MX"). If nothing matches, the
+ * campaign's default locale is used.
+ *
+ * @param {object} campaignData
+ * @param {string[]} requested
+ * @returns {string}
+ */
+function resolveLocale(campaignData, requested) {
+  const available = getAvailableLocales(campaignData);
+  for (const tag of requested) {
+    const locale = canonicalizeLocale(tag);
+    if (!locale) continue;
+    if (available.includes(locale)) return locale;
+    const language = languageOf(locale);
+    if (available.includes(language)) return language;
+    const variant = available.find(candidate => languageOf(candidate) === language);
+    if (variant) return variant;
+  }
+  return available[0];
+}
+
+/**
+ * Return the campaign's translatable fields in a locale. Missing translated fields (and empty
+ * translated survey questions) fall back to the default-locale content.
+ *
+ * @param {object} campaignData
+ * @param {string} locale - A locale returned by resolveLocale.
+ * @returns {{ title: string, description: string, surveyQuestions: string[] }}
+ */
+function localizeCampaign(campaignData, locale) {
+  const translation = (campaignData.translations || {})[locale] || {};
+  const baseQuestions = Array.isArray(campaignData.surveyQuestions) ? campaignData.surveyQuestions : [];
+  const translatedQuestions = translation.surveyQuestions || [];
+  return {
+    title: translation.title || campaignData.title,
+    description: translation.description || campaignData.description,
+    surveyQuestions: baseQuestions.map((question, index) => translatedQuestions[index] || question)
+  };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  canonicalizeLocale,
+  normalizeLocalization,
+  parseAcceptLanguage,
+  getAvailableLocales,
+  resolveLocale,
+  localizeCampaign
+};
@@ -0,0 +1,147 @@
+// campaignOrganization.js
+const admin = require('../config/firebase');
+const db = admin.firestore();
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_FOLDER_DEPTH = 10;
+const MAX_FOLDER_NAME_LENGTH = 100;
+
+/**
+ * Normalize a free-form tag: trimmed, lowercased, inner whitespace collapsed.
+ *
+ * @param {*} tag
+ * @returns {string|null} The normalized tag, or null if it is empty or too long.
+ */
+function normalizeTag(tag) {
+  if (typeof tag !== 'string') return null;
+  const normalized = tag.trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!normalized || normalized.length > MAX_TAG_LENGTH) return null;
+  return normalized;
+}
+
+/**
+ * Validate and normalize a list of tags (duplicates are dropped).
+ *
+ * @param {string[]|string} input - Tags as an array or a JSON string.
+ * @returns {{ error?: string, tags?: string[] }}
+ */
+function normalizeTags(input) {
+  let tags = input;
+  if (typeof tags === 'string') {
+    try {
+      tags = JSON.parse(tags);
+    } catch (error) {
+      return { error: 'tags must be an array of strings' };
+    }
+  }
+  if (tags === null) return { tags: [] };
+  if (!Array.isArray(tags)) {
+    return { error: 'tags must be an array of strings' };
+  }
+  const normalized = [];
+  for (const tag of tags) {
+    const value = normalizeTag(tag);
+    if (!value) {
+      return { error: `Each tag must be a non-empty string of at most ${MAX_TAG_LENGTH} characters` };
+    }
+    if (!normalized.includes(value)) normalized.push(value);
+  }
+  if (normalized.length > MAX_TAGS) {
+    return { error: `A campaign can have at most ${MAX_TAGS} tags` };
+  }
+  return { tags: normalized };
+}
+
+/**
+ * Fetch all folders of a namespace as a map of folder ID to folder data.
+ *
+ * @param {string} namespaceId
+ * @returns {Promise<Map<string, object>>}
+ */
+async function getNamespaceFolders(namespaceId) {
+  const snapshot = await db.collection('campaignFolders')
+    .where('namespaceId', '==', namespaceId)
+    .get();
+  return new Map(snapshot.docs.map(doc => [doc.id, { id: doc.id, ...doc.data() }]));
+}
+
+/**
+ * IDs of a folder and all folders nested below it.
+ *
+ * @param {Map<string, object>} folders - From getNamespaceFolders.
+ * @param {string} folderId
+ * @returns {Set<string>}
+ */
+function getFolderSubtree(folders, folderId) {
+  const subtree = new Set([folderId]);
+  let added = true;
+  while (added) {
+    added = false;
+    for (const folder of folders.values()) {
+      if (folder.parentId && subtree.has(folder.parentId) && !subtree.has(folder.id)) {
+        subtree.add(folder.id);
+        added = true;
+      }
+    }
+  }
+  return subtree;
+}
+
+/**
+ * Depth of a folder (root-level folders have depth 1).
+ */
+function getFolderDepth(folders, folderId) {
+  let depth = 0;
+  for (let id = folderId; id && depth <= MAX_FOLDER_DEPTH; id = (folders.get(id) || {}).parentId) {
+    depth++;
+  }
+  return depth;
+}
+
+/**
+ * Check that a folder may be placed under a parent: the parent must exist in the namespace,
+ * the move may not create a cycle, and the tree may not become deeper than MAX_FOLDER_DEPTH.
+ *
+ * @param {Map<string, object>} folders - From getNamespaceFolders.
+ * @param {string|null} parentId - The new parent (null for the root).
+ * @param {string} [folderId] - The folder being moved (omitted for new folders).
+ * @returns {string|null} An error message, or null if valid.
+ */
+function validateFolderParent(folders, parentId, folderId) {
+  if (!parentId) return null;
+  if (!folders.has(parentId)) return 'Parent folder not found in this namespace';
+  const subtree = folderId ? getFolderSubtree(folders, folderId) : new Set();
+  if (subtree.has(parentId)) return 'A folder cannot be moved into itself or one of its subfolders';
+  let subtreeHeight = 1;
+  for (const id of subtree) {
+    let height = 0;
+    for (let current = id; current && subtree.has(current); current = folders.get(current).parentId) height++;
+    subtreeHeight = Math.max(subtreeHeight, height);
+  }
+  if (getFolderDepth(folders, parentId) + subtreeHeight > MAX_FOLDER_DEPTH) {
+    return `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep`;
+  }
+  return null;
+}
+
+/**
+ * Validate a folder name.
+ *
+ * @param {*} name
+ * @returns {string|null} An error message, or null if valid.
+ */
+function validateFolderName(name) {
+  if (typeof name !== 'string' || !name.trim()) return 'name is required';
+  if (name.trim().length > MAX_FOLDER_NAME_LENGTH) return `name must be at most ${MAX_FOLDER_NAME_LENGTH} characters`;
+  return null;
+}
+
+module.exports = {
+  normalizeTag,
+  normalizeTags,
+  getNamespaceFolders,
+  getFolderSubtree,
+  validateFolderParent,
+  validateFolderName
+};
@@ -0,0 +1,133 @@
+// campaignPurge.js
+const admin = require('../config/firebase');
+const db = admin.firestore();
+
+// Days a trashed campaign is kept before it may be purged automatically.
+const TRASH_RETENTION_DAYS = parseInt(process.env.CAMPAIGN_TRASH_RETENTION_DAYS, 10) || 30;
+
+// Top-level collections whose documents reference a campaign through a "campaignId" field.
+const RELATED_COLLECTIONS = [
+  'surveyVideos',
+  'creatomateJobs',
+  'campaignLinks',
+  'campaignPageViews',
+  'comments',
+  'campaignAccess',
+  'campaignInviteTokens',
+  'surveySessions',
+  'accessCodeAttempts'
+];
+
+// Subcollections stored under campaigns/{campaignId}.
+const CAMPAIGN_SUBCOLLECTIONS = ['revisions', 'reviews', 'refinements'];
+
+// Storage prefixes holding files that belong to a campaign.
+function storagePrefixes(campaignId) {
+  return [
+    `videos/${campaignId}/`,
+    `campaigns/${campaignId}/`,
+    `creatomateVideos/processed/${campaignId}/`
+  ];
+}
+
+/**
+ * Whether a campaign is in the trash.
+ *
+ * @param {object} campaignData - The campaign document data.
+ * @returns {boolean}
+ */
+function isTrashed(campaignData) {
+  return !!campaignData.deletedAt;
+}
+
+/**
+ * Build the fields that move a campaign into the trash.
+ *
+ * @param {string} userId - The user trashing the campaign.
+ * @returns {object}
+ */
+function buildTrashFields(userId) {
+  const purgeAfter = Date.now() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  return {
+    deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+    deletedBy: userId,
+    purgeAfter: admin.firestore.Timestamp.fromMillis(purgeAfter)
+  };
+}
+
+/**
+ * Collect every Firestore document and Storage object that belongs to a campaign.
+ *
+ * @param {string} campaignId - The campaign ID.
+ * @returns {Promise<{ documents: FirebaseFirestore.DocumentReference[], files: import('@google-cloud/storage').File[] }>}
+ */
+async function collectCampaignArtifacts(campaignId) {
+  const campaignRef = db.collection('campaigns').doc(campaignId);
+  const documents = [];
+  for (const collection of RELATED_COLLECTIONS) {
+    const snapshot = await db.collection(collection).where('campaignId', '==', campaignId).get();
+    snapshot.docs.forEach(doc => documents.push(doc.ref));
+  }
+  for (const subcollection of CAMPAIGN_SUBCOLLECTIONS) {
+    const snapshot = await campaignRef.collection(subcollection).get();
+    snapshot.docs.forEach(doc => documents.push(doc.ref));
+  }
+
+  const bucket = admin.storage().bucket();
+  const files = [];
+  for (const prefix of storagePrefixes(campaignId)) {
+    const [prefixFiles] = await bucket.getFiles({ prefix });
+    files.push(...prefixFiles);
+  }
+  return { documents, files };
+}
+
+/**
+ * Permanently delete a campaign and everything that belongs to it.
+ * With dryRun set, nothing is deleted and the report lists what would be removed.
+ *
+ * @param {string} campaignId - The campaign ID.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false]
+ * @returns {Promise<object>} A report of the removed (or to-be-removed) documents and files.
+ */
+async function purgeCampaign(campaignId, { dryRun = false } = {}) {
+  const { documents, files } = await collectCampaignArtifacts(campaignId);
+  const documentsByCollection = {};
+  for (const ref of documents) {
+    const key = ref.parent.parent ? `campaigns/${campaignId}/${ref.parent.id}` : ref.parent.id;
+    documentsByCollection[key] = (documentsByCollection[key] || 0) + 1;
+  }
+  const report = {
+    campaignId,
+    dryRun,
+    documents: documentsByCollection,
+    documentCount: documents.length + 1,
+    files: files.map(file => file.name),
+    fileCount: files.length
+  };
+  if (dryRun) {
+    return report;
+  }
+
+  for (const file of files) {
+    await file.delete({ ignoreNotFound: true });
+  }
+  const refs = [...documents, db.collection('campaigns').doc(campaignId)];
+  for (let i = 0; i < refs.length; i += 500) {
+    const batch = db.batch();
+    refs.slice(i, i + 500).forEach(ref => batch.delete(ref));
+    await batch.commit();
+  }
+  return report;
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  RELATED_COLLECTIONS,
+  CAMPAIGN_SUBCOLLECTIONS,
+  isTrashed,
+  buildTrashFields,
+  collectCampaignArtifacts,
+  purgeCampaign
+};
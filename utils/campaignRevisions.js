@@ -0,0 +1,253 @@
+// campaignRevisions.js
+const crypto = require('crypto');
+const admin = require('../config/firebase');
+const { buildApprovalInvalidation } = require('./campaignApproval');
+const { DEFAULT_LOCALE } = require('./campaignLocalization');
+const db = admin.firestore();
+
+// Campaign fields captured in each revision snapshot (and restored on revert).
+const REVISIONED_FIELDS = [
+  'name',
+  'title',
+  'description',
+  'category',
+  'subcategory',
+  'theme',
+  'campaignImage',
+  'customColors',
+  'surveyQuestions',
+  'intakeFields',
+  'consentTermsId',
+  'defaultLocale',
+  'translations',
+  'opensAt',
+  'closesAt'
+];
+
+// Values a revisioned field takes when a snapshot predates it (e.g. a revert to a snapshot taken
+// before intake fields existed), matching what a campaign without the field behaves like.
+const REVISIONED_FIELD_DEFAULTS = Object.freeze({
+  name: '',
+  title: '',
+  description: '',
+  category: '',
+  subcategory: '',
+  theme: '',
+  campaignImage: '',
+  customColors: '',
+  surveyQuestions: [],
+  intakeFields: [],
+  consentTermsId: null,
+  defaultLocale: DEFAULT_LOCALE,
+  translations: {},
+  opensAt: null,
+  closesAt: null
+});
+
+// Fields that can be large (base64 data); diffs only record that they changed, not their values.
+const LARGE_FIELDS = ['campaignImage'];
+
+// Bookkeeping fields that never count as a change.
+const IGNORED_FIELDS = ['lastUpdatedBy', 'dateModified', 'revisionCount'];
+
+/**
+ * Where a version of a campaign's image is kept in Cloud Storage. Snapshots refer to images by
+ * their SHA-256 hash instead of repeating the base64 data, and each version is stored once.
+ *
+ * @param {string} campaignId
+ * @param {string} image - The campaignImage value (base64 data URL).
+ * @returns {{ sha256: string, path: string }}
+ */
+function getImageRef(campaignId, image) {
+  const sha256 = crypto.createHash('sha256').update(image).digest('hex');
+  return { sha256, path: `campaigns/${campaignId}/revisionImages/${sha256}` };
+}
+
+// A JSON-ready copy of a field value with sorted object keys and timestamps as milliseconds,
+// so equal content always serializes the same way.
+function canonicalize(value) {
+  if (value && typeof value.toMillis === 'function') return { millis: value.toMillis() };
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    const sorted = {};
+    for (const key of Object.keys(value).sort()) sorted[key] = canonicalize(value[key]);
+    return sorted;
+  }
+  return value;
+}
+
+/**
+ * A SHA-256 hash of a campaign's revisioned content (missing fields count as their defaults).
+ * Edits to other fields (tags, folder, goal, ...) leave it unchanged, so it identifies what a
+ * reviewer approves.
+ *
+ * @param {object} campaignData
+ * @returns {string}
+ */
+function hashRevisionedContent(campaignData) {
+  const content = {};
+  for (const field of REVISIONED_FIELDS) {
+    const value = campaignData[field];
+    content[field] = canonicalize(value !== undefined && value !== null ? value : REVISIONED_FIELD_DEFAULTS[field]);
+  }
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Store a version of a campaign's image for its revision snapshots (once per distinct image).
+ *
+ * @param {string} campaignId
+ * @param {string} image
+ */
+async function storeImageVersion(campaignId, image) {
+  if (typeof image !== 'string' || !image) return;
+  const file = admin.storage().bucket().file(getImageRef(campaignId, image).path);
+  const [exists] = await file.exists();
+  if (!exists) {
+    await file.save(image, { metadata: { contentType: 'text/plain' } });
+  }
+}
+
+/**
+ * Pick the revisioned fields from campaign data. The image is replaced by a reference
+ * ("campaignImageRef"); see restoreSnapshot.
+ *
+ * @param {object} data - Campaign data.
+ * @param {string} campaignId
+ * @returns {object}
+ */
+function pickSnapshot(data, campaignId) {
+  const snapshot = {};
+  for (const field of REVISIONED_FIELDS) {
+    if (data[field] === undefined) continue;
+    if (field === 'campaignImage' && typeof data[field] === 'string' && data[field]) {
+      snapshot.campaignImageRef = getImageRef(campaignId, data[field]);
+    } else {
+      snapshot[field] = data[field];
+    }
+  }
+  return snapshot;
+}
+
+/**
+ * Load the image a snapshot refers to, returning the snapshot with "campaignImage" filled in.
+ * Snapshots from before image references kept the image inline and are returned unchanged.
+ *
+ * @param {object} snapshot - A revision snapshot.
+ * @returns {Promise<object>}
+ */
+async function restoreSnapshot(snapshot = {}) {
+  const { campaignImageRef, ...fields } = snapshot;
+  if (!campaignImageRef) return fields;
+  const [contents] = await admin.storage().bucket().file(campaignImageRef.path).download();
+  return { ...fields, campaignImage: contents.toString() };
+}
+
+/**
+ * Compare two values for diffing purposes (Firestore Timestamps compare by time).
+ */
+function isSameValue(a, b) {
+  const normalize = (v) => (v && typeof v.toMillis === 'function' ? v.toMillis() : v);
+  return JSON.stringify(normalize(a) === undefined ? null : normalize(a))
+    === JSON.stringify(normalize(b) === undefined ? null : normalize(b));
+}
+
+/**
+ * Build a field-level diff between the current campaign data and a set of updates.
+ *
+ * @param {object} before - The current campaign data.
+ * @param {object} updates - The fields being written.
+ * @returns {object} Map of field name to { before, after } (or { changed: true } for large fields).
+ */
+function diffFields(before, updates) {
+  const changes = {};
+  for (const [field, after] of Object.entries(updates)) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    if (isSameValue(before[field], after)) continue;
+    changes[field] = LARGE_FIELDS.includes(field)
+      ? { changed: true }
+      : { before: before[field] === undefined ? null : before[field], after };
+  }
+  return changes;
+}
+
+/**
+ * Apply an update to a campaign and record a revision in its "revisions" subcollection,
+ * both in one transaction that re-reads the campaign, so concurrent edits get consecutive
+ * revision numbers and diffs against the state they actually changed. Campaigns without any
+ * revisions yet (created before revision history existed, or never edited) first get a
+ * "baseline" revision holding their pre-edit state, so the original version can always be restored.
+ * If nothing actually changes, the update is written without a revision.
+ * A change to any revisioned field withdraws the campaign's approval (see campaignApproval.js).
+ *
+ * @param {object} params
+ * @param {FirebaseFirestore.DocumentReference} params.campaignRef - The campaign document.
+ * @param {object} params.campaignData - The campaign data as loaded by the caller (its image is
+ *   stored ahead of the transaction, as the baseline usually needs it).
+ * @param {object} params.updateFields - The fields to write.
+ * @param {string} params.userId - The editor's uid.
+ * @param {string} [params.type] - Revision type ('edit', 'revert', ...).
+ * @param {object} [params.extra] - Extra fields stored on the revision.
+ * @returns {Promise<{ revisionId: string|null, revisionNumber: number|null, changedFields: string[] }>}
+ */
+async function updateWithRevision({ campaignRef, campaignData, updateFields, userId, type = 'edit', extra = {} }) {
+  const campaignId = campaignRef.id;
+  const storedImages = new Set([campaignData.campaignImage, updateFields.campaignImage]);
+  for (const image of storedImages) {
+    await storeImageVersion(campaignId, image);
+  }
+
+  const result = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(campaignRef);
+    const current = doc.data();
+    const changes = diffFields(current, updateFields);
+    const changedFields = Object.keys(changes);
+    if (changedFields.length === 0) {
+      transaction.update(campaignRef, updateFields);
+      return { revisionId: null, revisionNumber: null, changedFields, missingImages: [] };
+    }
+
+    const revisions = campaignRef.collection('revisions');
+    let revisionNumber = current.revisionCount || 0;
+    if (!current.revisionCount) {
+      revisionNumber = 1;
+      transaction.set(revisions.doc(), {
+        revisionNumber,
+        type: 'baseline',
+        editedBy: current.lastUpdatedBy || current.createdBy || null,
+        changes: {},
+        changedFields: [],
+        snapshot: pickSnapshot(current, campaignId),
+        createdAt: current.dateModified || admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+    revisionNumber += 1;
+
+    const revisionRef = revisions.doc();
+    const approvalFields = changedFields.some(field => REVISIONED_FIELDS.includes(field))
+      ? buildApprovalInvalidation(current)
+      : null;
+    transaction.update(campaignRef, { ...updateFields, ...approvalFields, revisionCount: revisionNumber });
+    transaction.set(revisionRef, {
+      revisionNumber,
+      type,
+      editedBy: userId,
+      changes,
+      changedFields,
+      snapshot: pickSnapshot({ ...current, ...updateFields }, campaignId),
+      ...extra,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    // The image may have changed since the caller loaded the campaign.
+    const missingImages = storedImages.has(current.campaignImage) ? [] : [current.campaignImage];
+    return { revisionId: revisionRef.id, revisionNumber, changedFields, missingImages };
+  });
+
+  const { missingImages, ...revision } = result;
+  for (const image of missingImages) {
+    await storeImageVersion(campaignId, image);
+  }
+  return revision;
+}
+
+module.exports = { REVISIONED_FIELDS, REVISIONED_FIELD_DEFAULTS, hashRevisionedContent, pickSnapshot, restoreSnapshot, diffFields, updateWithRevision };
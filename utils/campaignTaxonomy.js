@@ -0,0 +1,455 @@
+// campaignTaxonomy.js
+const admin = require('../config/firebase');
+const db = admin.firestore();
+
+// Built-in campaign categories: display labels, subcategories and their starter survey questions.
+// Namespaces can add categories and extend these ones (see getTaxonomyCatalog); the AI generation
+// prompt is built from the resulting catalog (see buildTaxonomyPrompt).
+const CATEGORIES = Object.freeze({
+  political: {
+    label: 'Political Campaigns',
+    subcategories: {
+      voter_testimonials: {
+        label: 'Voter & Supporter Testimonials',
+        questions: [
+          'Why do you support [Candidate Name] or [Ballot Measure]?',
+          'What issue is most important to you in this election?',
+          'How do you think [Candidate Name] will make a difference?'
+        ]
+      },
+      call_to_action: {
+        label: 'Call-to-Action Videos',
+        questions: [
+          'Why is it important for people to vote in this election?',
+          'What message would you send to undecided voters?',
+          'What would you say to encourage others to sign the petition or get involved?'
+        ]
+      },
+      endorsements: {
+        label: 'Endorsement Videos',
+        questions: [
+          'Why are you endorsing [Candidate Name]?',
+          'What qualities make [Candidate Name] the right choice for this position?',
+          'What impact do you believe [Candidate Name] will have on our community?'
+        ]
+      },
+      issue_spotlights: {
+        label: 'Campaign Issue Spotlights',
+        questions: [
+          'Why is [specific issue] so important to you?',
+          'How has this issue impacted your life or community?',
+          'What change would you like to see regarding this issue?'
+        ]
+      }
+    }
+  },
+  government: {
+    label: 'Government Offices & Legislatures',
+    subcategories: {
+      success_stories: {
+        label: 'Constituent Success Stories',
+        questions: [
+          'What government service or program helped you?',
+          'How did it make a difference in your life?',
+          'What would you say to others who may need this service?'
+        ]
+      },
+      legislative_impact: {
+        label: 'Legislative Impact Stories',
+        questions: [
+          'How has [specific law or policy] affected you?',
+          'What changes have you seen because of this policy?',
+          'Why is it important for lawmakers to hear stories like yours?'
+        ]
+      },
+      public_service: {
+        label: 'Public Service Announcements',
+        questions: [
+          'What is one important message you\'d like to share with our community?',
+          'What do people need to know about [specific program or service]?',
+          'How can people take advantage of [government program]?'
+        ]
+      },
+      community_recognition: {
+        label: 'Community Recognition & Spotlights',
+        questions: [
+          'Who in your community deserves recognition for their work?',
+          'How has this person or organization positively impacted your area?',
+          'What would you say to encourage others to support their efforts?'
+        ]
+      }
+    }
+  },
+  trade: {
+    label: 'Trade & Professional Associations',
+    subcategories: {
+      member_testimonials: {
+        label: 'Member Testimonials',
+        questions: [
+          'What impact has [Association Name] had on your career or business?',
+          'How has being a member helped you navigate challenges in your industry?',
+          'Why would you encourage others to join [Association Name]?'
+        ]
+      },
+      policy_impact: {
+        label: 'Policy Impact Stories',
+        questions: [
+          'How has [specific legislation or regulation] affected your work?',
+          'What challenges does your industry face due to current policies?',
+          'What would you say to lawmakers about improving industry regulations?'
+        ]
+      },
+      career_spotlights: {
+        label: 'Career Spotlights',
+        questions: [
+          'What inspired you to join this industry?',
+          'What advice would you give to someone considering a career in your field?',
+          'What\'s one thing you love about your profession?'
+        ]
+      },
+      advocacy_outreach: {
+        label: 'Advocacy & Legislative Outreach',
+        questions: [
+          'What policy changes would benefit your industry the most?',
+          'Why is it important for professionals like you to have a voice in policymaking?',
+          'What would you say to lawmakers about supporting your industry?'
+        ]
+      }
+    }
+  },
+  advocacy: {
+    label: 'Advocacy Groups',
+    subcategories: {
+      impact_stories: {
+        label: 'Personal Impact Stories',
+        questions: [
+          'How has [specific issue] affected you or your family?',
+          'Why is this cause important to you?',
+          'What message do you want to share with others about this issue?'
+        ]
+      },
+      awareness_appeals: {
+        label: 'Awareness & Action Appeals',
+        questions: [
+          'What do people need to know about [cause or issue]?',
+          'Why is it urgent to take action now?',
+          'What simple action can people take today to make a difference?'
+        ]
+      },
+      call_to_government: {
+        label: 'Call-to-Government',
+        questions: [
+          'What message would you like to send to lawmakers about [issue]?',
+          'How has this policy affected your life?',
+          'Why should elected officials take action on this?'
+        ]
+      },
+      fundraising: {
+        label: 'Fundraising & Grassroots Mobilization',
+        questions: [
+          'Why is it important to support this cause financially?',
+          'How has donor support made a difference in this movement?',
+          'What would you say to encourage someone to contribute or volunteer?'
+        ]
+      }
+    }
+  },
+  religious: {
+    label: 'Churches & Faith-Based Organizations',
+    subcategories: {
+      testimonies: {
+        label: 'Testimonies & Sermon Reflections',
+        questions: [
+          'What\'s one takeaway from today\'s message that spoke to you?',
+          'How has your faith journey been impacted by [Church Name]?',
+          'Why is [specific biblical message] meaningful to you?'
+        ]
+      },
+      volunteer_spotlights: {
+        label: 'Volunteer & Ministry Spotlights',
+        questions: [
+          'Why do you serve at [Church Name]?',
+          'What\'s one memorable experience you\'ve had while volunteering?',
+          'How has serving others deepened your faith?'
+        ]
+      },
+      fundraising_appeals: {
+        label: 'Fundraising & Giving Appeals',
+        questions: [
+          'Why do you give to [Church Name]?',
+          'How has your generosity made an impact in the church or community?',
+          'What would you say to encourage others to support this ministry?'
+        ]
+      },
+      event_promotion: {
+        label: 'Event Promotion & Invitations',
+        questions: [
+          'Why are you excited about [upcoming event] at [Church Name]?',
+          'What can people expect when they attend this event?',
+          'Who would you invite to join you and why?'
+        ]
+      }
+    }
+  },
+  education: {
+    label: 'Universities, Schools, & Alumni Groups',
+    subcategories: {
+      testimonials: {
+        label: 'Student & Alumni Testimonials',
+        questions: [
+          'How has [School Name] shaped your life or career?',
+          'What\'s one unforgettable experience from your time at [School Name]?',
+          'Why would you recommend [School Name] to others?'
+        ]
+      },
+      fundraising_appeals: {
+        label: 'Fundraising & Donor Appeals',
+        questions: [
+          'Why do you support [School Name] as a donor?',
+          'What impact has financial aid or scholarships had on students?',
+          'What would you say to inspire others to give back?'
+        ]
+      },
+      event_recaps: {
+        label: 'Event Recaps & Invitations',
+        questions: [
+          'What made [recent event] a memorable experience for you?',
+          'Why should alumni and students attend [upcoming event]?',
+          'How did this event strengthen the [School Name] community?'
+        ]
+      },
+      career_success: {
+        label: 'Career & Internship Success Stories',
+        questions: [
+          'How did [School Name] prepare you for your career?',
+          'What advice would you give to students entering your field?',
+          'What opportunities did you gain through your university connections?'
+        ]
+      },
+      policy_advocacy: {
+        label: 'Policy & Funding Advocacy',
+        questions: [
+          'Why is it important to invest in education and research?',
+          'How have funding decisions impacted students and faculty?',
+          'What would you say to lawmakers about supporting education policy?'
+        ]
+      }
+    }
+  }
+});
+
+// Survey page themes.
+const THEMES = Object.freeze(['midnight', 'sunset', 'nature', 'ocean', 'aurora', 'desert']);
+
+// When each theme fits, as described to the model.
+const THEME_DESCRIPTIONS = Object.freeze({
+  midnight: 'a dark, sophisticated, or futuristic vibe',
+  sunset: 'a vibrant, warm, or sunset feel',
+  nature: 'an eco-friendly or fresh vibe',
+  ocean: 'a cool, refreshing, or aquatic vibe',
+  aurora: 'a colorful, dynamic, or ethereal vibe',
+  desert: 'a warm, earthy, or rustic vibe'
+});
+
+// Limits for namespace category definitions.
+const KEY_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+const MAX_LABEL_LENGTH = 100;
+const MAX_SUBCATEGORIES = 20;
+const MAX_QUESTIONS = 20;
+const MAX_QUESTION_LENGTH = 300;
+
+/**
+ * Look up a key of a category or subcategory map, ignoring inherited properties (so keys such as
+ * "constructor" are not mistaken for taxonomy entries).
+ *
+ * @param {object} map
+ * @param {string} key
+ * @returns {object|null}
+ */
+function getOwn(map, key) {
+  return Object.prototype.hasOwnProperty.call(map, key) ? map[key] : null;
+}
+
+/**
+ * Validate a category/subcategory pair against the taxonomy.
+ * Both may be empty. A subcategory requires its parent category.
+ *
+ * @param {string} category
+ * @param {string} subcategory
+ * @param {object} [categories] - Category map to validate against (defaults to CATEGORIES).
+ * @returns {string|null} An error message, or null if the pair is consistent.
+ */
+function validateCategoryPair(category, subcategory, categories = CATEGORIES) {
+  if (!category) {
+    return subcategory ? 'subcategory requires a category' : null;
+  }
+  if (!Object.prototype.hasOwnProperty.call(categories, category)) {
+    return `Unknown category "${category}"`;
+  }
+  if (subcategory && !Object.prototype.hasOwnProperty.call(categories[category].subcategories, subcategory)) {
+    return `Subcategory "${subcategory}" does not belong to category "${category}"`;
+  }
+  return null;
+}
+
+/**
+ * Validate a namespace's definition of a category. For a built-in category the definition extends
+ * it: its subcategories are added, or their questions appended to the built-in question bank.
+ * Any other key defines a new category, which needs a label and at least one subcategory.
+ *
+ * @param {string} key - Category key.
+ * @param {{ label?: string, subcategories?: object }} body
+ *   subcategories maps subcategory keys to { label, questions }.
+ * @returns {{ error?: string, definition?: { label: string|null, subcategories: object } }}
+ */
+function normalizeCategoryDefinition(key, body) {
+  if (!KEY_PATTERN.test(key || '')) {
+    return { error: 'Category keys must be 2-40 lowercase letters, digits or underscores, starting with a letter' };
+  }
+  const builtIn = getOwn(CATEGORIES, key);
+  const label = typeof body.label === 'string' ? body.label.trim() : '';
+  if (!builtIn && !label) {
+    return { error: 'label is required for a new category' };
+  }
+  if (label.length > MAX_LABEL_LENGTH) {
+    return { error: `label must be at most ${MAX_LABEL_LENGTH} characters` };
+  }
+  const input = body.subcategories || {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'subcategories must be an object keyed by subcategory' };
+  }
+  const entries = Object.entries(input);
+  if (entries.length === 0) {
+    return { error: 'At least one subcategory is required' };
+  }
+  if (entries.length > MAX_SUBCATEGORIES) {
+    return { error: `At most ${MAX_SUBCATEGORIES} subcategories are allowed` };
+  }
+  const subcategories = {};
+  for (const [subKey, sub] of entries) {
+    if (!KEY_PATTERN.test(subKey)) {
+      return { error: `Invalid subcategory key "${subKey}"` };
+    }
+    if (!sub || typeof sub !== 'object') {
+      return { error: `Subcategory "${subKey}" must be an object` };
+    }
+    const existing = builtIn ? getOwn(builtIn.subcategories, subKey) : null;
+    const subLabel = typeof sub.label === 'string' ? sub.label.trim() : '';
+    if (!existing && !subLabel) {
+      return { error: `Subcategory "${subKey}" needs a label` };
+    }
+    if (subLabel.length > MAX_LABEL_LENGTH) {
+      return { error: `The label of subcategory "${subKey}" must be at most ${MAX_LABEL_LENGTH} characters` };
+    }
+    const questions = sub.questions === undefined ? [] : sub.questions;
+    if (!Array.isArray(questions) || questions.length > MAX_QUESTIONS) {
+      return { error: `questions of subcategory "${subKey}" must be an array of at most ${MAX_QUESTIONS} questions` };
+    }
+    if (questions.some(q => typeof q !== 'string' || !q.trim() || q.length > MAX_QUESTION_LENGTH)) {
+      return { error: `Each question of subcategory "${subKey}" must be a non-empty string of at most ${MAX_QUESTION_LENGTH} characters` };
+    }
+    if (!existing && questions.length === 0) {
+      return { error: `Subcategory "${subKey}" needs at least one question` };
+    }
+    subcategories[subKey] = { label: subLabel || null, questions: questions.map(q => q.trim()) };
+  }
+  return { definition: { label: builtIn ? null : label, subcategories } };
+}
+
+/**
+ * Merge namespace category definitions into the built-in taxonomy. Categories, subcategories and
+ * questions that come from the namespace are marked "custom".
+ *
+ * @param {{ key: string, label: string|null, subcategories: object }[]} definitions
+ * @returns {{ categories: object, themes: string[] }}
+ */
+function mergeCatalog(definitions = []) {
+  const categories = {};
+  for (const [key, category] of Object.entries(CATEGORIES)) {
+    const subcategories = {};
+    for (const [subKey, sub] of Object.entries(category.subcategories)) {
+      subcategories[subKey] = { label: sub.label, questions: [...sub.questions], custom: false };
+    }
+    categories[key] = { label: category.label, subcategories, custom: false };
+  }
+  for (const definition of definitions) {
+    const category = getOwn(categories, definition.key)
+      || (categories[definition.key] = { label: definition.label, subcategories: {}, custom: true });
+    for (const [subKey, sub] of Object.entries(definition.subcategories || {})) {
+      const existing = getOwn(category.subcategories, subKey);
+      if (existing) {
+        const added = sub.questions.filter(q => !existing.questions.includes(q));
+        existing.questions.push(...added);
+        if (added.length > 0) existing.customQuestions = added;
+      } else {
+        category.subcategories[subKey] = { label: sub.label, questions: [...sub.questions], custom: true };
+      }
+    }
+  }
+  return { categories, themes: [...THEMES] };
+}
+
+/**
+ * The taxonomy catalog of a namespace: the built-in categories plus the namespace's own
+ * definitions from the "taxonomyCategories" collection.
+ *
+ * @param {string|null} namespaceId - Without a namespace only the built-in catalog is returned.
+ * @returns {Promise<{ categories: object, themes: string[] }>}
+ */
+async function getTaxonomyCatalog(namespaceId) {
+  if (!namespaceId) {
+    return mergeCatalog();
+  }
+  const snapshot = await db.collection('taxonomyCategories')
+    .where('namespaceId', '==', namespaceId)
+    .get();
+  const definitions = snapshot.docs
+    .map(doc => doc.data())
+    .sort((a, b) => a.key.localeCompare(b.key));
+  return mergeCatalog(definitions);
+}
+
+/**
+ * Describe a catalog's categories, subcategories, starter questions and themes for the
+ * campaign generation prompt.
+ *
+ * @param {{ categories: object, themes: string[] }} catalog
+ * @returns {string}
+ */
+function buildTaxonomyPrompt(catalog) {
+  const quote = text => `"${text.replace(/"/g, '\\"')}"`;
+  const lines = [
+    '### Campaign Categories and Subcategories:',
+    'Use only the following categories and subcategories (with their corresponding keys and questions):',
+    ''
+  ];
+  for (const [key, category] of Object.entries(catalog.categories)) {
+    lines.push(`- **${key}** (${category.label}):`);
+    for (const [subKey, sub] of Object.entries(category.subcategories)) {
+      lines.push(`  - **${subKey}** (${sub.label}):`);
+      lines.push(`    - Questions: ${sub.questions.map(quote).join(', ')}`);
+    }
+    lines.push('');
+  }
+  lines.push('### Theme Options:');
+  lines.push(`Choose a theme from the following list: ${catalog.themes.join(', ')}.`);
+  for (const theme of catalog.themes) {
+    if (THEME_DESCRIPTIONS[theme]) {
+      lines.push(`- Use "${theme}" for ${THEME_DESCRIPTIONS[theme]}.`);
+    }
+  }
+  lines.push('If the prompt does not clearly indicate a specific vibe, return an empty string "".');
+  return lines.join('\n');
+}
+
+module.exports = {
+  CATEGORIES,
+  THEMES,
+  THEME_DESCRIPTIONS,
+  getOwn,
+  validateCategoryPair,
+  normalizeCategoryDefinition,
+  mergeCatalog,
+  getTaxonomyCatalog,
+  buildTaxonomyPrompt
+};
@@ -0,0 +1,55 @@
+// consentTerms.js
+const admin = require('../config/firebase');
+const db = admin.firestore();
+
+/**
+ * Fetch the current version of a set of consent terms.
+ *
+ * @param {string} termsId - The consentTerms document ID.
+ * @param {FirebaseFirestore.Transaction} [transaction] - Read the terms within this transaction.
+ * @returns {Promise<{ termsId: string, namespaceId: string, name: string, version: number, text: string }|null>}
+ */
+async function getCurrentConsentTerms(termsId, transaction) {
+  if (!termsId) return null;
+  const termsRef = db.collection('consentTerms').doc(termsId);
+  const termsDoc = transaction ? await transaction.get(termsRef) : await termsRef.get();
+  if (!termsDoc.exists) return null;
+  const termsData = termsDoc.data();
+  return {
+    termsId,
+    namespaceId: termsData.namespaceId,
+    name: termsData.name || '',
+    version: termsData.currentVersion,
+    text: termsData.currentText || ''
+  };
+}
+
+/**
+ * Validate a consentTermsId being attached to a campaign in a namespace.
+ * Empty values detach the terms.
+ *
+ * @param {string|null} termsId - The consentTerms document ID.
+ * @param {string} namespaceId - The campaign's namespace.
+ * @param {FirebaseFirestore.Transaction} [transaction] - Read the terms within this transaction.
+ * @returns {Promise<string|null>} An error message, or null if valid.
+ */
+async function validateConsentTermsRef(termsId, namespaceId, transaction) {
+  if (!termsId) return null;
+  const terms = await getCurrentConsentTerms(termsId, transaction);
+  if (!terms) return 'Consent terms not found';
+  if (terms.namespaceId !== namespaceId) return 'Consent terms belong to a different namespace';
+  return null;
+}
+
+/**
+ * Client IP of a request, as resolved by Express from the proxy headers it trusts
+ * ("trust proxy" in app.js, matching App Engine's front end).
+ *
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+function getClientIp(req) {
+  return req.ip || (req.socket && req.socket.remoteAddress) || '';
+}
+
+module.exports = { getCurrentConsentTerms, validateConsentTermsRef, getClientIp };
@@ -0,0 +1,293 @@
+// explainerVideo.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+const admin = require('../config/firebase');
+const { buildApprovalInvalidation } = require('./campaignApproval');
+const { logActivity } = require('./activityLogger');
+const db = admin.firestore();
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+// Limits for uploaded explainer videos.
+const MAX_DURATION_SECONDS = parseInt(process.env.EXPLAINER_MAX_DURATION_SECONDS, 10) || 300;
+const MAX_UPLOAD_BYTES = (parseInt(process.env.EXPLAINER_MAX_UPLOAD_MB, 10) || 500) * 1024 * 1024;
+const MAX_WIDTH = 1280;
+
+// ffmpeg runs longer than this are killed (and the upload is rejected).
+const TRANSCODE_TIMEOUT_SECONDS = parseInt(process.env.EXPLAINER_TRANSCODE_TIMEOUT_SECONDS, 10) || 600;
+const POSTER_TIMEOUT_SECONDS = 60;
+
+// A processing job older than this is assumed lost (e.g. the instance stopped) and may be restarted.
+const STALE_PROCESSING_MS = (TRANSCODE_TIMEOUT_SECONDS + 300) * 1000;
+
+// States of "explainerProcessing.status" on a campaign while and after its upload is processed.
+const ExplainerStatuses = Object.freeze({
+  PROCESSING: 'processing',
+  READY: 'ready',
+  FAILED: 'failed'
+});
+
+// Content types accepted for the signed upload URL.
+const UPLOAD_CONTENT_TYPES = ['video/mp4', 'video/quicktime', 'video/webm', 'video/x-matroska'];
+
+/**
+ * Storage paths of a campaign's explainer files. The client uploads the original to "source";
+ * finalizing turns it into the web-friendly "video" and its "poster".
+ *
+ * @param {string} campaignId
+ * @returns {{ source: string, video: string, poster: string }}
+ */
+function getExplainerPaths(campaignId) {
+  return {
+    source: `campaigns/${campaignId}/explainerSource`,
+    video: `campaigns/${campaignId}/explainerVideo.mp4`,
+    poster: `campaigns/${campaignId}/explainerPoster.jpg`
+  };
+}
+
+/**
+ * Read the duration and video stream of a media file from ffmpeg's input report
+ * (ffmpeg-static ships without ffprobe).
+ *
+ * @param {string} filePath
+ * @returns {Promise<{ durationSeconds: number|null, hasVideo: boolean, width: number|null, height: number|null }>}
+ */
+function probeVideo(filePath) {
+  return new Promise((resolve, reject) => {
+    // Without an output file ffmpeg exits with an error after printing the input report.
+    execFile(ffmpegPath, ['-hide_banner', '-i', filePath], { timeout: 30000 }, (error, stdout, stderr) => {
+      if (error && error.killed) {
+        return reject(new Error('ffmpeg probe timed out'));
+      }
+      const duration = /Duration: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(stderr);
+      const video = /Stream #\S+.*?: Video: .*?(\d{2,5})x(\d{2,5})/.exec(stderr);
+      resolve({
+        durationSeconds: duration
+          ? parseInt(duration[1], 10) * 3600 + parseInt(duration[2], 10) * 60 + parseFloat(duration[3])
+          : null,
+        hasVideo: !!video,
+        width: video ? parseInt(video[1], 10) : null,
+        height: video ? parseInt(video[2], 10) : null
+      });
+    });
+  });
+}
+
+/**
+ * Transcode a video to H.264/AAC MP4 (at most MAX_WIDTH wide) with the index up front, so it can
+ * start playing before it is fully downloaded.
+ *
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @returns {Promise<void>}
+ */
+function transcodeToMp4(inputPath, outputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath, { timeout: TRANSCODE_TIMEOUT_SECONDS })
+      .videoCodec('libx264')
+      .audioCodec('aac')
+      .outputOptions([
+        '-preset', 'veryfast',
+        '-crf', '23',
+        '-pix_fmt', 'yuv420p',
+        '-vf', `scale='min(${MAX_WIDTH},iw)':-2`,
+        '-movflags', '+faststart'
+      ])
+      .format('mp4')
+      .on('error', reject)
+      .on('end', () => resolve())
+      .save(outputPath);
+  });
+}
+
+/**
+ * Capture a JPEG poster frame.
+ *
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {number} atSeconds - Position of the frame.
+ * @returns {Promise<void>}
+ */
+function extractPoster(inputPath, outputPath, atSeconds) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath, { timeout: POSTER_TIMEOUT_SECONDS })
+      .setStartTime(atSeconds)
+      .frames(1)
+      .outputOptions('-qscale:v', '2')
+      .on('error', reject)
+      .on('end', () => resolve())
+      .save(outputPath);
+  });
+}
+
+/**
+ * Process the explainer video uploaded through the signed URL: check that it is a video within
+ * the limits, transcode it, capture a poster, store both and remove the uploaded original.
+ *
+ * @param {string} campaignId
+ * @returns {Promise<{ status?: number, error?: string, fields?: object }>}
+ *   Either an error for the client or the campaign fields describing the processed explainer.
+ */
+async function processExplainerUpload(campaignId) {
+  const bucket = admin.storage().bucket();
+  const paths = getExplainerPaths(campaignId);
+  const sourceFile = bucket.file(paths.source);
+  const [exists] = await sourceFile.exists();
+  if (!exists) {
+    return { status: 404, error: 'No uploaded explainer video found; upload it through the signed URL first' };
+  }
+  const [metadata] = await sourceFile.getMetadata();
+  if (parseInt(metadata.size, 10) > MAX_UPLOAD_BYTES) {
+    await sourceFile.delete({ ignoreNotFound: true });
+    return { status: 413, error: `Explainer video must be at most ${MAX_UPLOAD_BYTES / 1024 / 1024}MB` };
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'explainer-'));
+  try {
+    const inputPath = path.join(workDir, 'source');
+    const videoPath = path.join(workDir, 'explainer.mp4');
+    const posterPath = path.join(workDir, 'poster.jpg');
+    await sourceFile.download({ destination: inputPath });
+
+    const probe = await probeVideo(inputPath);
+    if (!probe.hasVideo || !probe.durationSeconds) {
+      await sourceFile.delete({ ignoreNotFound: true });
+      return { status: 422, error: 'The uploaded file is not a playable video' };
+    }
+    if (probe.durationSeconds > MAX_DURATION_SECONDS) {
+      await sourceFile.delete({ ignoreNotFound: true });
+      return { status: 422, error: `Explainer video must be at most ${MAX_DURATION_SECONDS} seconds long (got ${Math.round(probe.durationSeconds)})` };
+    }
+
+    try {
+      await transcodeToMp4(inputPath, videoPath);
+      await extractPoster(videoPath, posterPath, Math.min(1, probe.durationSeconds / 2));
+    } catch (error) {
+      console.error(`[ERROR] Failed to transcode explainer video of campaign ${campaignId}:`, error.message);
+      await sourceFile.delete({ ignoreNotFound: true });
+      return { status: 422, error: 'The uploaded video could not be processed' };
+    }
+    await bucket.upload(videoPath, { destination: paths.video, metadata: { contentType: 'video/mp4' }, resumable: false });
+    await bucket.upload(posterPath, { destination: paths.poster, metadata: { contentType: 'image/jpeg' }, resumable: false });
+    await sourceFile.delete({ ignoreNotFound: true });
+
+    return {
+      fields: {
+        hasExplainerVideo: true,
+        explainerVideoPath: paths.video,
+        explainerPosterPath: paths.poster,
+        explainerDurationSeconds: Math.round(probe.durationSeconds * 10) / 10,
+        explainerProcessedAt: admin.firestore.FieldValue.serverTimestamp()
+      }
+    };
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Start processing a campaign's uploaded explainer video, unless a processing job is already
+ * running for it (so finalizing twice does not transcode the same upload twice).
+ *
+ * @param {FirebaseFirestore.DocumentReference} campaignRef
+ * @param {string} userId
+ * @returns {Promise<{ status?: number, error?: string, jobId?: string }>}
+ */
+async function claimExplainerProcessing(campaignRef, userId) {
+  const jobId = db.collection('campaigns').doc().id;
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(campaignRef);
+    const processing = doc.data().explainerProcessing;
+    if (processing && processing.status === ExplainerStatuses.PROCESSING
+      && processing.startedAt && Date.now() - processing.startedAt.toMillis() < STALE_PROCESSING_MS) {
+      return { status: 409, error: 'The explainer video is already being processed' };
+    }
+    transaction.update(campaignRef, {
+      explainerProcessing: {
+        status: ExplainerStatuses.PROCESSING,
+        jobId,
+        startedBy: userId,
+        startedAt: admin.firestore.Timestamp.now(),
+        finishedAt: null,
+        error: null
+      }
+    });
+    return { jobId };
+  });
+}
+
+/**
+ * Run a processing job claimed with claimExplainerProcessing: process the upload and attach the
+ * result to the campaign, or record why it failed in "explainerProcessing". A job that is no
+ * longer the campaign's current one does not change the campaign. Never throws.
+ * Replacing the explainer of an approved campaign withdraws its approval.
+ *
+ * @param {FirebaseFirestore.DocumentReference} campaignRef
+ * @param {string} jobId
+ * @param {string} userId
+ */
+async function runExplainerProcessing(campaignRef, jobId, userId) {
+  const campaignId = campaignRef.id;
+  let processed;
+  try {
+    processed = await processExplainerUpload(campaignId);
+  } catch (error) {
+    console.error(`[ERROR] Error processing explainer video of campaign ${campaignId}:`, error);
+    processed = { error: 'The explainer video could not be processed' };
+  }
+  try {
+    const campaignData = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(campaignRef);
+      const data = doc.exists ? doc.data() : null;
+      if (!data || !data.explainerProcessing || data.explainerProcessing.jobId !== jobId) return null;
+      const done = {
+        ...data.explainerProcessing,
+        finishedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+      if (processed.error) {
+        transaction.update(campaignRef, {
+          explainerProcessing: { ...done, status: ExplainerStatuses.FAILED, error: processed.error }
+        });
+      } else {
+        transaction.update(campaignRef, {
+          ...processed.fields,
+          explainerVideo: admin.firestore.FieldValue.delete(),
+          ...buildApprovalInvalidation(data),
+          explainerProcessing: { ...done, status: ExplainerStatuses.READY },
+          lastUpdatedBy: userId,
+          dateModified: admin.firestore.FieldValue.serverTimestamp()
+        });
+      }
+      return data;
+    });
+    if (!campaignData) {
+      console.warn(`[WARN] Explainer processing job ${jobId} of campaign ${campaignId} was superseded`);
+      return;
+    }
+    if (processed.error) {
+      console.warn(`[WARN] Explainer video of campaign ${campaignId} rejected: ${processed.error}`);
+      return;
+    }
+    await logActivity(userId, 'campaign_explainer_updated', `Updated explainer video of campaign: ${campaignData.name || 'Untitled'}`, campaignData.namespaceId, {
+      campaignId,
+      durationSeconds: processed.fields.explainerDurationSeconds
+    });
+    console.info(`[INFO] Explainer video of campaign ${campaignId} processed`);
+  } catch (error) {
+    console.error(`[ERROR] Failed to record explainer processing of campaign ${campaignId}:`, error);
+  }
+}
+
+module.exports = {
+  UPLOAD_CONTENT_TYPES,
+  ExplainerStatuses,
+  getExplainerPaths,
+  probeVideo,
+  processExplainerUpload,
+  claimExplainerProcessing,
+  runExplainerProcessing
+};
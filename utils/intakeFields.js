@@ -0,0 +1,204 @@
+// intakeFields.js
+
+// Supported custom intake field types.
+const IntakeFieldTypes = Object.freeze({
+  TEXT: 'text',
+  EMAIL: 'email',
+  PHONE: 'phone',
+  SELECT: 'select',
+  CHECKBOX: 'checkbox',
+  DATE: 'date'
+});
+
+const MAX_INTAKE_FIELDS = 20;
+const MAX_TEXT_LENGTH = 500;
+const KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Named formats a text field can require (validation.format). Campaign owners choose from this
+// fixed list instead of supplying their own regular expressions, which could hang the server
+// on crafted input.
+const TEXT_FORMATS = Object.freeze({
+  letters: /^[\p{L}\s'-]+$/u,
+  digits: /^\d+$/,
+  alphanumeric: /^[\p{L}\d]+$/u,
+  usZipCode: /^\d{5}(-\d{4})?$/,
+  url: /^https?:\/\/[^\s/$.?#][^\s]*$/i
+});
+
+// Keys already used by the built-in respondent fields of /survey/upload.
+const RESERVED_KEYS = ['campaignId', 'firstName', 'lastName', 'email', 'zipCode'];
+
+/**
+ * Parse a value that may arrive as a JSON string (multipart/form-data) or as an object.
+ * Returns undefined if the string is not valid JSON.
+ */
+function parseJsonField(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// A real calendar date in YYYY-MM-DD format (rejects e.g. 2024-02-31, which Date would roll over).
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Validate and normalize a campaign's intake field definitions.
+ *
+ * Each field: { key, label, type, required?, options? (select), validation? }
+ * where validation may hold minLength/maxLength/format (text; one of TEXT_FORMATS) or min/max as
+ * YYYY-MM-DD (date).
+ *
+ * @param {Array|string} input - The definitions (array or JSON string).
+ * @returns {{ error?: string, fields?: object[] }}
+ */
+function normalizeIntakeFields(input) {
+  const definitions = parseJsonField(input);
+  if (!Array.isArray(definitions)) {
+    return { error: 'intakeFields must be an array' };
+  }
+  if (definitions.length > MAX_INTAKE_FIELDS) {
+    return { error: `intakeFields supports at most ${MAX_INTAKE_FIELDS} fields` };
+  }
+  const fields = [];
+  const seenKeys = new Set();
+  for (const [index, def] of definitions.entries()) {
+    const where = `intakeFields[${index}]`;
+    if (!def || typeof def !== 'object') {
+      return { error: `${where} must be an object` };
+    }
+    if (typeof def.key !== 'string' || !KEY_PATTERN.test(def.key)) {
+      return { error: `${where}.key must start with a letter and contain only letters, digits and underscores` };
+    }
+    if (RESERVED_KEYS.includes(def.key) || seenKeys.has(def.key)) {
+      return { error: `${where}.key "${def.key}" is reserved or duplicated` };
+    }
+    seenKeys.add(def.key);
+    if (!Object.values(IntakeFieldTypes).includes(def.type)) {
+      return { error: `${where}.type must be one of: ${Object.values(IntakeFieldTypes).join(', ')}` };
+    }
+
+    const field = {
+      key: def.key,
+      label: typeof def.label === 'string' && def.label.trim() ? def.label.trim() : def.key,
+      type: def.type,
+      required: def.required === true
+    };
+    if (def.type === IntakeFieldTypes.SELECT) {
+      if (!Array.isArray(def.options) || def.options.length === 0 || !def.options.every(o => typeof o === 'string' && o)) {
+        return { error: `${where}.options must be a non-empty array of strings` };
+      }
+      field.options = def.options;
+    }
+
+    const rules = def.validation || {};
+    const validation = {};
+    if (def.type === IntakeFieldTypes.TEXT) {
+      for (const key of ['minLength', 'maxLength']) {
+        if (rules[key] === undefined) continue;
+        if (!Number.isInteger(rules[key]) || rules[key] < 0 || rules[key] > MAX_TEXT_LENGTH) {
+          return { error: `${where}.validation.${key} must be an integer between 0 and ${MAX_TEXT_LENGTH}` };
+        }
+        validation[key] = rules[key];
+      }
+      if (rules.pattern !== undefined) {
+        return { error: `${where}.validation.pattern is not supported; use validation.format (${Object.keys(TEXT_FORMATS).join(', ')})` };
+      }
+      if (rules.format !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(TEXT_FORMATS, rules.format)) {
+          return { error: `${where}.validation.format must be one of: ${Object.keys(TEXT_FORMATS).join(', ')}` };
+        }
+        validation.format = rules.format;
+      }
+    }
+    if (def.type === IntakeFieldTypes.DATE) {
+      for (const key of ['min', 'max']) {
+        if (rules[key] === undefined) continue;
+        if (typeof rules[key] !== 'string' || !isValidDate(rules[key])) {
+          return { error: `${where}.validation.${key} must be a date in YYYY-MM-DD format` };
+        }
+        validation[key] = rules[key];
+      }
+    }
+    if (Object.keys(validation).length > 0) {
+      field.validation = validation;
+    }
+    fields.push(field);
+  }
+  return { fields };
+}
+
+/**
+ * Validate a respondent's submitted values against a campaign's intake fields.
+ * Unknown keys are dropped. Checkbox values are stored as booleans; other values as trimmed strings.
+ *
+ * @param {object[]} fields - The campaign's (normalized) intake fields.
+ * @param {object|string} input - Submitted values keyed by field key (object or JSON string).
+ * @returns {{ errors: object[], values: object }}
+ */
+function validateIntakeSubmission(fields, input) {
+  const submitted = parseJsonField(input) || {};
+  const errors = [];
+  const values = {};
+  for (const field of fields || []) {
+    const raw = submitted[field.key];
+    const isEmpty = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+    const fail = (message) => errors.push({ field: field.key, message });
+
+    if (field.type === IntakeFieldTypes.CHECKBOX) {
+      const checked = raw === true || raw === 'true' || raw === 'on' || raw === '1';
+      if (field.required && !checked) fail(`${field.label} must be checked`);
+      values[field.key] = checked;
+      continue;
+    }
+    if (isEmpty) {
+      if (field.required) fail(`${field.label} is required`);
+      continue;
+    }
+    const value = String(raw).trim();
+    if (value.length > MAX_TEXT_LENGTH) {
+      fail(`${field.label} must be at most ${MAX_TEXT_LENGTH} characters`);
+      continue;
+    }
+
+    const rules = field.validation || {};
+    switch (field.type) {
+      case IntakeFieldTypes.TEXT:
+        if (rules.minLength !== undefined && value.length < rules.minLength) fail(`${field.label} must be at least ${rules.minLength} characters`);
+        if (rules.maxLength !== undefined && value.length > rules.maxLength) fail(`${field.label} must be at most ${rules.maxLength} characters`);
+        // Fields saved with a free-form "pattern" before formats were introduced are not checked against it.
+        if (rules.format && TEXT_FORMATS[rules.format] && !TEXT_FORMATS[rules.format].test(value)) fail(`${field.label} has an invalid format`);
+        break;
+      case IntakeFieldTypes.EMAIL:
+        if (!EMAIL_PATTERN.test(value)) fail(`${field.label} must be a valid email address`);
+        break;
+      case IntakeFieldTypes.PHONE: {
+        const digits = value.replace(/\D/g, '');
+        if (!/^\+?[\d\s().-]+$/.test(value) || digits.length < 7 || digits.length > 15) fail(`${field.label} must be a valid phone number`);
+        break;
+      }
+      case IntakeFieldTypes.SELECT:
+        if (!field.options.includes(value)) fail(`${field.label} must be one of: ${field.options.join(', ')}`);
+        break;
+      case IntakeFieldTypes.DATE:
+        if (!isValidDate(value)) fail(`${field.label} must be a date in YYYY-MM-DD format`);
+        else if (rules.min && value < rules.min) fail(`${field.label} must be on or after ${rules.min}`);
+        else if (rules.max && value > rules.max) fail(`${field.label} must be on or before ${rules.max}`);
+        break;
+      default:
+        break;
+    }
+    values[field.key] = value;
+  }
+  return { errors, values };
+}
+
+module.exports = { IntakeFieldTypes, TEXT_FORMATS, normalizeIntakeFields, validateIntakeSubmission };
@@ -0,0 +1,277 @@
+// llmProviders.js
+const axios = require('axios');
+
+// Providers are selected with LLM_PROVIDER (primary) and LLM_FALLBACK_PROVIDER (optional secondary).
+const ProviderNames = Object.freeze({
+  GEMINI: 'gemini',
+  OPENAI: 'openai',
+  MOCK: 'mock'
+});
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 500;
+
+function readInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Build an error for a failed provider call. "retryable" marks failures worth another attempt
+ * (timeouts, network errors, rate limiting and server errors).
+ */
+function providerError(message, { status = null, retryable = false } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Convert an axios failure into a provider error.
+ */
+function toProviderError(providerName, error) {
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return providerError(`${providerName} request timed out`, { retryable: true });
+  }
+  if (error.response) {
+    const status = error.response.status;
+    const detail = error.response.data && error.response.data.error
+      ? error.response.data.error.message || JSON.stringify(error.response.data.error)
+      : error.message;
+    return providerError(`${providerName} returned ${status}: ${detail}`, {
+      status,
+      retryable: status === 429 || status >= 500
+    });
+  }
+  return providerError(`${providerName} request failed: ${error.message}`, { retryable: true });
+}
+
+/**
+ * Google Gemini (generateContent API).
+ * Configured with GEMINI_API_KEY, GEMINI_MODEL, GEMINI_API_BASE_URL and GEMINI_TIMEOUT_MS.
+ */
+function createGeminiProvider(env = process.env) {
+  const apiKey = env.GEMINI_API_KEY;
+  const model = env.GEMINI_MODEL || 'gemini-1.5-flash-latest';
+  const baseUrl = (env.GEMINI_API_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta').replace(/\/+$/, '');
+  return {
+    name: ProviderNames.GEMINI,
+    model,
+    timeoutMs: readInt(env.GEMINI_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    configError: apiKey ? null : 'GEMINI_API_KEY is not set',
+    async generate({ system, prompt }, { timeoutMs }) {
+      const body = { contents: [{ role: 'user', parts: [{ text: prompt }] }] };
+      if (system) {
+        body.systemInstruction = { parts: [{ text: system }] };
+      }
+      const response = await axios.post(`${baseUrl}/models/${model}:generateContent`, body, {
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+        timeout: timeoutMs
+      });
+      const candidate = response.data.candidates && response.data.candidates[0];
+      const parts = candidate && candidate.content && candidate.content.parts;
+      if (!parts || parts.length === 0) {
+        const reason = (candidate && candidate.finishReason)
+          || (response.data.promptFeedback && response.data.promptFeedback.blockReason)
+          || 'no candidates';
+        throw providerError(`gemini returned no text (${reason})`);
+      }
+      return parts.map(part => part.text || '').join('');
+    }
+  };
+}
+
+/**
+ * Any endpoint implementing the OpenAI chat completions API (OpenAI, Azure OpenAI proxies,
+ * OpenRouter, vLLM, Ollama, ...).
+ * Configured with OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_MODEL and OPENAI_TIMEOUT_MS.
+ * The key may be omitted for local endpoints that do not require one.
+ */
+function createOpenAICompatibleProvider(env = process.env) {
+  const apiKey = env.OPENAI_API_KEY;
+  const baseUrl = (env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const model = env.OPENAI_MODEL || 'gpt-4o-mini';
+  return {
+    name: ProviderNames.OPENAI,
+    model,
+    timeoutMs: readInt(env.OPENAI_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    configError: apiKey || env.OPENAI_BASE_URL ? null : 'OPENAI_API_KEY is not set',
+    async generate({ system, prompt }, { timeoutMs }) {
+      const messages = [];
+      if (system) {
+        messages.push({ role: 'system', content: system });
+      }
+      messages.push({ role: 'user', content: prompt });
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+      const response = await axios.post(`${baseUrl}/chat/completions`, { model, messages }, {
+        headers,
+        timeout: timeoutMs
+      });
+      const choice = response.data.choices && response.data.choices[0];
+      if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+        throw providerError('openai returned no text');
+      }
+      return choice.message.content;
+    }
+  };
+}
+
+/**
+ * Deterministic local provider for tests and offline development: no network calls, and the same
+ * prompt always yields the same campaign JSON (wrapped in a ```json fence like the real models).
+ * LLM_MOCK_RESPONSE replaces the generated text with a fixed string.
+ */
+function createMockProvider(env = process.env) {
+  return {
+    name: ProviderNames.MOCK,
+    model: 'mock',
+    timeoutMs: readInt(env.MOCK_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    configError: null,
+    async generate({ prompt }) {
+      if (env.LLM_MOCK_RESPONSE) {
+        return env.LLM_MOCK_RESPONSE;
+      }
+      const topic = String(prompt || '').trim().split('\n').pop().slice(0, 80) || 'Untitled';
+      const campaign = {
+        title: `Campaign: ${topic}`,
+        description: `Share your story about ${topic}.`,
+        category: 'advocacy',
+        subcategory: 'impact_stories',
+        theme: 'ocean',
+        surveyQuestions: [
+          `How has ${topic} affected you or your family?`,
+          'Why is this cause important to you?',
+          'What message do you want to share with others about this issue?'
+        ]
+      };
+      return '```json\n' + JSON.stringify(campaign, null, 2) + '\n```';
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  [ProviderNames.GEMINI]: createGeminiProvider,
+  [ProviderNames.OPENAI]: createOpenAICompatibleProvider,
+  [ProviderNames.MOCK]: createMockProvider
+};
+
+/**
+ * Read the provider chain and retry policy from the environment. Unknown provider names are
+ * reported in "errors" rather than thrown, so a misconfiguration only affects AI requests.
+ *
+ * @param {object} [env]
+ * @returns {{ providers: object[], maxRetries: number, retryBaseMs: number, errors: string[] }}
+ */
+function loadLlmConfig(env = process.env) {
+  const errors = [];
+  const names = [env.LLM_PROVIDER || ProviderNames.GEMINI, env.LLM_FALLBACK_PROVIDER]
+    .filter(Boolean)
+    .map(name => name.trim().toLowerCase());
+  const providers = [];
+  for (const name of [...new Set(names)]) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      errors.push(`Unknown LLM provider "${name}" (expected one of: ${Object.values(ProviderNames).join(', ')})`);
+      continue;
+    }
+    providers.push(factory(env));
+  }
+  return {
+    providers,
+    maxRetries: readInt(env.LLM_MAX_RETRIES, DEFAULT_MAX_RETRIES),
+    retryBaseMs: readInt(env.LLM_RETRY_BASE_MS, DEFAULT_RETRY_BASE_MS),
+    errors
+  };
+}
+
+let cachedConfig = null;
+
+function getLlmConfig() {
+  if (!cachedConfig) {
+    cachedConfig = loadLlmConfig();
+    for (const message of cachedConfig.errors) {
+      console.warn(`[WARN] ${message}`);
+    }
+    for (const provider of cachedConfig.providers) {
+      if (provider.configError) {
+        console.warn(`[WARN] LLM provider ${provider.name} is not usable: ${provider.configError}`);
+      }
+    }
+  }
+  return cachedConfig;
+}
+
+/**
+ * Call one provider, retrying retryable failures with exponential backoff (plus jitter).
+ */
+async function callWithRetries(provider, request, config) {
+  let attempt = 0;
+  for (;;) {
+    attempt += 1;
+    try {
+      const text = await provider.generate(request, { timeoutMs: provider.timeoutMs });
+      return { text, attempts: attempt };
+    } catch (error) {
+      const failure = error.retryable === undefined ? toProviderError(provider.name, error) : error;
+      failure.attempts = attempt;
+      if (!failure.retryable || attempt > config.maxRetries) {
+        throw failure;
+      }
+      const delay = config.retryBaseMs * 2 ** (attempt - 1) + Math.floor(Math.random() * config.retryBaseMs);
+      console.warn(`[WARN] ${provider.name} attempt ${attempt} failed (${failure.message}); retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Generate text with the configured provider, falling back to the secondary provider when the
+ * primary is not configured or still fails after its retries.
+ *
+ * @param {{ system?: string, prompt: string }} request - System instructions and user prompt.
+ * @returns {Promise<{ text: string, provider: string, model: string, attempts: number }>}
+ * @throws {Error} When no provider succeeded; "failures" lists the error of each provider tried.
+ */
+async function generateText(request) {
+  const config = getLlmConfig();
+  const failures = [...config.errors];
+  for (const provider of config.providers) {
+    if (provider.configError) {
+      failures.push(`${provider.name}: ${provider.configError}`);
+      continue;
+    }
+    try {
+      const result = await callWithRetries(provider, request, config);
+      return { text: result.text, provider: provider.name, model: provider.model, attempts: result.attempts };
+    } catch (error) {
+      console.error(`[ERROR] LLM provider ${provider.name} failed after ${error.attempts} attempt(s):`, error.message);
+      failures.push(`${provider.name}: ${error.message}`);
+    }
+  }
+  const error = new Error(failures.length > 0 ? `No LLM provider succeeded (${failures.join('; ')})` : 'No LLM provider configured');
+  error.failures = failures;
+  throw error;
+}
+
+/**
+ * Reset the cached configuration so the next call re-reads the environment.
+ */
+function resetLlmConfig() {
+  cachedConfig = null;
+}
+
+module.exports = {
+  ProviderNames,
+  loadLlmConfig,
+  generateText,
+  resetLlmConfig
+};
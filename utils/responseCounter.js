@@ -0,0 +1,105 @@
+// responseCounter.js
+const admin = require('../config/firebase');
+const db = admin.firestore();
+
+// Campaigns keep the number of their survey responses in "responsesCount", updated in the same
+// transaction that creates or deletes a response. Campaigns created before the counter existed have no such
+// field; their responses are counted once and the counter is written with the next response.
+
+/**
+ * Count a campaign's responses, reading only the document references.
+ *
+ * @param {string} campaignId
+ * @param {FirebaseFirestore.Transaction} [transaction]
+ * @returns {Promise<number>}
+ */
+async function countResponses(campaignId, transaction) {
+  const query = db.collection('surveyVideos')
+    .where('campaignId', '==', campaignId)
+    .select();
+  const snapshot = transaction ? await transaction.get(query) : await query.get();
+  return snapshot.size;
+}
+
+/**
+ * A campaign's number of responses: the stored counter, or a count for campaigns without one.
+ *
+ * @param {string} campaignId
+ * @param {object} campaignData
+ * @returns {Promise<number>}
+ */
+async function getResponsesCount(campaignId, campaignData) {
+  if (typeof campaignData.responsesCount === 'number') return campaignData.responsesCount;
+  return countResponses(campaignId);
+}
+
+/**
+ * Inside a transaction that read the campaign, the value "responsesCount" should be set to after
+ * adding responses. Must be called before the transaction writes anything.
+ *
+ * @param {FirebaseFirestore.Transaction} transaction
+ * @param {string} campaignId
+ * @param {object} campaignData - The campaign as read in the transaction.
+ * @param {number} [added]
+ * @returns {Promise<number>}
+ */
+async function getNextResponsesCount(transaction, campaignId, campaignData, added = 1) {
+  const current = typeof campaignData.responsesCount === 'number'
+    ? campaignData.responsesCount
+    : await countResponses(campaignId, transaction);
+  return current + added;
+}
+
+/**
+ * Delete a survey response and take it off its campaign's "responsesCount" in one transaction.
+ * Campaigns without the counter are left alone (their count is taken when first needed).
+ *
+ * @param {FirebaseFirestore.DocumentReference} videoRef - The surveyVideos document.
+ * @returns {Promise<boolean>} False if the response no longer exists.
+ */
+async function deleteResponseWithCount(videoRef) {
+  return db.runTransaction(async (transaction) => {
+    const videoDoc = await transaction.get(videoRef);
+    if (!videoDoc.exists) return false;
+    const campaignRef = db.collection('campaigns').doc(videoDoc.get('campaignId'));
+    const campaignDoc = await transaction.get(campaignRef);
+    const current = campaignDoc.exists ? campaignDoc.get('responsesCount') : undefined;
+    transaction.delete(videoRef);
+    if (typeof current === 'number') {
+      transaction.update(campaignRef, { responsesCount: Math.max(current - 1, 0) });
+    }
+    return true;
+  });
+}
+
+/**
+ * Write "responsesCount" on every campaign that has none yet, so that campaigns created before
+ * the counter existed are included when the campaign list is sorted by responses.
+ *
+ * @returns {Promise<{ checked: number, updated: number }>}
+ */
+async function backfillResponsesCounts() {
+  const snapshot = await db.collection('campaigns').select('responsesCount').get();
+  const missing = snapshot.docs.filter(doc => typeof doc.get('responsesCount') !== 'number');
+  let updated = 0;
+  for (const doc of missing) {
+    const written = await db.runTransaction(async (transaction) => {
+      const campaignDoc = await transaction.get(doc.ref);
+      if (!campaignDoc.exists || typeof campaignDoc.get('responsesCount') === 'number') return false;
+      const responsesCount = await countResponses(doc.id, transaction);
+      transaction.update(doc.ref, { responsesCount });
+      return true;
+    });
+    if (written) updated++;
+  }
+  console.info(`[INFO] Backfilled responsesCount on ${updated} of ${snapshot.size} campaigns`);
+  return { checked: snapshot.size, updated };
+}
+
+module.exports = {
+  countResponses,
+  getResponsesCount,
+  getNextResponsesCount,
+  deleteResponseWithCount,
+  backfillResponsesCounts
+};
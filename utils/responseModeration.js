@@ -0,0 +1,211 @@
+// responseModeration.js
+const admin = require('../config/firebase');
+const { isTrashed } = require('./campaignPurge');
+const db = admin.firestore();
+
+// Review states of a survey response.
+const ModerationStatuses = Object.freeze({
+  PENDING: 'pending',     // Not reviewed yet.
+  APPROVED: 'approved',
+  REJECTED: 'rejected',   // Hidden from use; cannot be enhanced.
+  FLAGGED: 'flagged'      // Needs a second look (e.g. escalated to an admin).
+});
+
+const MAX_REASON_LENGTH = 500;
+const DEFAULT_QUEUE_SIZE = 50;
+const MAX_QUEUE_SIZE = 200;
+
+/**
+ * The moderation status of a survey response (responses uploaded before moderation existed
+ * have no "moderation" field and count as pending).
+ *
+ * @param {object} videoData
+ * @returns {string}
+ */
+function getModerationStatus(videoData) {
+  return (videoData.moderation && videoData.moderation.status) || ModerationStatuses.PENDING;
+}
+
+/**
+ * The "moderation" field of a newly uploaded response.
+ *
+ * @returns {object}
+ */
+function buildInitialModeration() {
+  return { status: ModerationStatuses.PENDING, reason: '', reviewedBy: null, reviewedAt: null };
+}
+
+/**
+ * Validate a moderation decision ({ status, reason? }) from a request body.
+ *
+ * @param {object} body
+ * @returns {{ error?: string, moderation?: object }} The "moderation" field without reviewer data.
+ */
+function parseModerationDecision(body) {
+  const { status, reason } = body;
+  if (!Object.values(ModerationStatuses).includes(status)) {
+    return { error: `status must be one of: ${Object.values(ModerationStatuses).join(', ')}` };
+  }
+  if (reason !== undefined && typeof reason !== 'string') {
+    return { error: 'reason must be a string' };
+  }
+  const trimmed = (reason || '').trim();
+  if (trimmed.length > MAX_REASON_LENGTH) {
+    return { error: `reason must be at most ${MAX_REASON_LENGTH} characters` };
+  }
+  return { moderation: { status, reason: trimmed } };
+}
+
+/**
+ * Parse the query parameters of the moderation queue.
+ *
+ *   status     - one or more (comma-separated) moderation statuses (default "pending")
+ *   campaignId - only responses of this campaign
+ *   limit      - page size (1-200, default 50)
+ *   cursor     - opaque cursor returned as nextCursor by the previous page (the last response's ID)
+ *
+ * @param {object} query - req.query
+ * @returns {{ error?: string, options?: object }}
+ */
+function parseQueueQuery(query) {
+  const options = {
+    statuses: query.status
+      ? String(query.status).split(',').map(s => s.trim()).filter(Boolean)
+      : [ModerationStatuses.PENDING],
+    campaignId: query.campaignId ? String(query.campaignId) : null,
+    limit: DEFAULT_QUEUE_SIZE,
+    cursor: null
+  };
+  const invalid = options.statuses.find(s => !Object.values(ModerationStatuses).includes(s));
+  if (invalid) {
+    return { error: `Invalid status "${invalid}"` };
+  }
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (Number.isNaN(limit) || limit < 1 || limit > MAX_QUEUE_SIZE) {
+      return { error: `limit must be between 1 and ${MAX_QUEUE_SIZE}` };
+    }
+    options.limit = limit;
+  }
+  if (query.cursor) {
+    try {
+      const cursor = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString('utf8'));
+      if (!cursor || typeof cursor.id !== 'string' || !cursor.id) throw new Error('malformed');
+      options.cursor = cursor;
+    } catch (error) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+  return { options };
+}
+
+/**
+ * Build a page of the moderation queue of a namespace: responses in the requested statuses,
+ * oldest upload first, each with its campaign's name. Responses of trashed campaigns are left
+ * out, so a page can hold fewer than "limit" items while nextCursor is still set.
+ * Queries surveyVideos by namespaceId and moderation.status ordered by createdAt (composite
+ * indexes in firestore.indexes.json); responses stored before they carried a namespaceId only
+ * appear after backfillResponseFields.
+ *
+ * @param {string} namespaceId
+ * @param {object} options - From parseQueueQuery.
+ * @returns {Promise<{ status?: number, error?: string, items?: object[], nextCursor?: string|null }>}
+ */
+async function buildModerationQueue(namespaceId, options) {
+  let query = db.collection('surveyVideos')
+    .where('namespaceId', '==', namespaceId)
+    .where('moderation.status', 'in', options.statuses);
+  if (options.campaignId) {
+    query = query.where('campaignId', '==', options.campaignId);
+  }
+  query = query
+    .orderBy('createdAt')
+    .orderBy(admin.firestore.FieldPath.documentId());
+  if (options.cursor) {
+    const cursorDoc = await db.collection('surveyVideos').doc(options.cursor.id).get();
+    if (!cursorDoc.exists || cursorDoc.data().namespaceId !== namespaceId) {
+      return { status: 400, error: 'Invalid cursor' };
+    }
+    query = query.startAfter(cursorDoc);
+  }
+  const snapshot = await query.limit(options.limit + 1).get();
+  const docs = snapshot.docs.slice(0, options.limit);
+  const hasMore = snapshot.docs.length > options.limit;
+
+  const campaignIds = [...new Set(docs.map(doc => doc.data().campaignId))];
+  const campaignDocs = campaignIds.length > 0
+    ? await db.getAll(...campaignIds.map(id => db.collection('campaigns').doc(id)))
+    : [];
+  const campaigns = new Map(campaignDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data()]));
+
+  const items = [];
+  for (const doc of docs) {
+    const videoData = doc.data();
+    const campaignData = campaigns.get(videoData.campaignId);
+    if (!campaignData || isTrashed(campaignData)) continue;
+    items.push({
+      id: doc.id,
+      ...videoData,
+      moderationStatus: getModerationStatus(videoData),
+      campaignName: campaignData.name || 'Untitled'
+    });
+  }
+  const last = docs[docs.length - 1];
+  return {
+    items,
+    nextCursor: hasMore && last ? Buffer.from(JSON.stringify({ id: last.id })).toString('base64url') : null
+  };
+}
+
+/**
+ * Add the fields the moderation queue queries on to a namespace's older responses: namespaceId,
+ * and the initial "moderation" field for responses uploaded before moderation existed.
+ *
+ * @param {string} namespaceId
+ * @returns {Promise<{ updated: number }>}
+ */
+async function backfillResponseFields(namespaceId) {
+  const campaignsSnapshot = await db.collection('campaigns')
+    .where('namespaceId', '==', namespaceId)
+    .select()
+    .get();
+  let updated = 0;
+  for (const campaignDoc of campaignsSnapshot.docs) {
+    const videosSnapshot = await db.collection('surveyVideos')
+      .where('campaignId', '==', campaignDoc.id)
+      .select('namespaceId', 'moderation')
+      .get();
+    let batch = db.batch();
+    let batchSize = 0;
+    for (const videoDoc of videosSnapshot.docs) {
+      const videoData = videoDoc.data();
+      if (videoData.namespaceId === namespaceId && videoData.moderation) continue;
+      const fields = { namespaceId };
+      if (!videoData.moderation) {
+        fields.moderation = buildInitialModeration();
+      }
+      batch.update(videoDoc.ref, fields);
+      batchSize++;
+      updated++;
+      if (batchSize === 500) {
+        await batch.commit();
+        batch = db.batch();
+        batchSize = 0;
+      }
+    }
+    if (batchSize > 0) {
+      await batch.commit();
+    }
+  }
+  return { updated };
+}
+
+module.exports = {
+  ModerationStatuses,
+  getModerationStatus,
+  buildInitialModeration,
+  parseModerationDecision,
+  parseQueueQuery,
+  buildModerationQueue,
+  backfillResponseFields
+};
@@ -0,0 +1,170 @@
+// surveyResponses.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const admin = require('../config/firebase');
+const { getEffectiveStatus, isAcceptingResponses } = require('./campaignLifecycle');
+const { isTrashed } = require('./campaignPurge');
+const { isApprovalSatisfied } = require('./campaignApproval');
+const { checkSurveyAccess } = require('./campaignAccess');
+const { validateIntakeSubmission } = require('./intakeFields');
+const { getCurrentConsentTerms, getClientIp } = require('./consentTerms');
+const { canonicalizeLocale, getAvailableLocales } = require('./campaignLocalization');
+const { buildInitialModeration } = require('./responseModeration');
+const { probeVideo } = require('./explainerVideo');
+const db = admin.firestore();
+
+/**
+ * Measure the length of an uploaded recording with ffmpeg. Client-reported lengths are not
+ * trusted; responses store this measurement (with durationMeasured: true) for campaign analytics.
+ *
+ * @param {Buffer} buffer - The uploaded file.
+ * @returns {Promise<number|null>} The duration in seconds, or null if it cannot be read.
+ */
+async function measureUploadDuration(buffer) {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'response-'));
+  try {
+    const filePath = path.join(workDir, 'upload');
+    await fs.promises.writeFile(filePath, buffer);
+    const probe = await probeVideo(filePath);
+    return probe.durationSeconds || null;
+  } catch (error) {
+    console.warn('[WARN] Failed to measure upload duration:', error.message);
+    return null;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Load a campaign for a public upload and check that it accepts responses from the caller:
+ * it exists, is active, is approved where required, and the access code or invite token of
+ * restricted campaigns is valid.
+ *
+ * @param {string} campaignId
+ * @param {{ accessCode?: string, inviteToken?: string, ip?: string }} credentials
+ * @returns {Promise<{ status?: number, body?: object, campaignData?: object, access?: object }>}
+ *   Either the error response ({ status, body }) or the campaign data and the access to record.
+ */
+async function loadCampaignForUpload(campaignId, credentials) {
+  const campaignDoc = await db.collection('campaigns').doc(campaignId).get();
+  if (!campaignDoc.exists || isTrashed(campaignDoc.data())) {
+    console.warn(`[WARN] Campaign not found for campaignId: ${campaignId}`);
+    return { status: 404, body: { error: 'Campaign not found' } };
+  }
+
+  // Reject uploads for campaigns that are not open (draft, scheduled, paused, closed, archived)
+  const campaignData = campaignDoc.data();
+  if (!isAcceptingResponses(campaignData)) {
+    const status = getEffectiveStatus(campaignData);
+    console.warn(`[WARN] Campaign ${campaignId} is not accepting responses (status: ${status})`);
+    return { status: 403, body: { error: 'Campaign is not accepting responses', status } };
+  }
+  if (!(await isApprovalSatisfied(campaignData))) {
+    console.warn(`[WARN] Campaign ${campaignId} has not been approved`);
+    return { status: 403, body: { error: 'Campaign is not accepting responses', status: 'awaiting_approval' } };
+  }
+
+  // Check the access code or invite token of restricted campaigns
+  const access = await checkSurveyAccess(campaignId, campaignData, credentials);
+  if (!access.ok) {
+    console.warn(`[WARN] Access denied for campaign ${campaignId}: ${access.error}`);
+    return { status: access.status, body: { error: access.error, retryAfterSeconds: access.retryAfterSeconds } };
+  }
+  return { campaignData, access: access.access };
+}
+
+/**
+ * Validate the respondent's metadata (name, contact, intake fields, consent and locale)
+ * sent with an upload and build the surveyVideos document for it.
+ *
+ * @param {import('express').Request} req - The upload request (metadata in req.body).
+ * @param {string} campaignId
+ * @param {object} campaignData
+ * @param {object} access - From loadCampaignForUpload.
+ * @returns {Promise<{ status?: number, body?: object, videoData?: object }>}
+ */
+async function buildResponseData(req, campaignId, campaignData, access) {
+  const { firstName, lastName, email, zipCode } = req.body;
+
+  // Validate the custom intake fields defined on the campaign
+  const intake = validateIntakeSubmission(campaignData.intakeFields, req.body.intake);
+  if (intake.errors.length > 0) {
+    console.warn('[WARN] Intake validation failed:', intake.errors);
+    return { status: 400, body: { error: 'Invalid intake fields', details: intake.errors } };
+  }
+
+  // Require an explicit consent acknowledgement for the current terms version
+  if (req.body.consentAccepted !== 'true' && req.body.consentAccepted !== true) {
+    console.warn('[WARN] Upload without consent acknowledgement');
+    return { status: 400, body: { error: 'consentAccepted must be true' } };
+  }
+  const terms = await getCurrentConsentTerms(campaignData.consentTermsId);
+  if (campaignData.consentTermsId && !terms) {
+    console.error(`[ERROR] Consent terms ${campaignData.consentTermsId} of campaign ${campaignId} not found`);
+    return { status: 500, body: { error: 'Campaign consent terms not found' } };
+  }
+  if (terms && parseInt(req.body.consentVersion, 10) !== terms.version) {
+    console.warn(`[WARN] Consent version mismatch: got ${req.body.consentVersion}, current ${terms.version}`);
+    return { status: 409, body: { error: 'Consent terms have changed; please review and accept the current version', currentVersion: terms.version } };
+  }
+
+  // Language the respondent saw the survey in (ignored unless the campaign offers it)
+  const locale = canonicalizeLocale(req.body.locale);
+  const responseLocale = locale && getAvailableLocales(campaignData).includes(locale) ? locale : null;
+
+  // Get the userId from the campaign
+  const userId = campaignData.createdBy || campaignData.userId; // If you use userId or createdBy
+  if (!userId) {
+    console.error('[ERROR] Campaign does not have an associated userId/createdBy');
+    return { status: 500, body: { error: 'Campaign does not have an associated userId' } };
+  }
+
+  return {
+    videoData: {
+      campaignId,
+      namespaceId: campaignData.namespaceId,
+      userId, // This is the original owner's userId. If you want to store differently, adjust accordingly.
+      firstName: firstName || '',
+      lastName: lastName || '',
+      email: email || '',
+      zipCode: zipCode || '',
+      intakeResponses: intake.values,
+      locale: responseLocale,
+      access,
+      moderation: buildInitialModeration(),
+      consent: {
+        termsId: terms ? terms.termsId : null,
+        version: terms ? terms.version : null,
+        acceptedAt: admin.firestore.FieldValue.serverTimestamp(),
+        ip: getClientIp(req),
+        userAgent: req.headers['user-agent'] || ''
+      },
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      isVideoEnhanced: false,
+      videoEnhancedUrl: ''
+    }
+  };
+}
+
+/**
+ * The Cloud Storage paths of a response's video files: the single video of a regular upload,
+ * or the clips of a multi-clip response (see routes/media/surveySessions.js) in question order.
+ *
+ * @param {string} videoId - The surveyVideos document ID.
+ * @param {object} videoData
+ * @returns {string[]}
+ */
+function getResponseFilePaths(videoId, videoData) {
+  if (Array.isArray(videoData.clips) && videoData.clips.length > 0) {
+    return videoData.clips.map(clip => clip.path);
+  }
+  return [`videos/${videoData.campaignId}/${videoId}.mp4`];
+}
+
+module.exports = {
+  measureUploadDuration,
+  loadCampaignForUpload,
+  buildResponseData,
+  getResponseFilePaths
+};
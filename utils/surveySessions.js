@@ -0,0 +1,92 @@
+// surveySessions.js
+const admin = require('../config/firebase');
+const { hashToken } = require('./campaignAccess');
+const db = admin.firestore();
+const storage = admin.storage();
+
+const SESSION_TTL_HOURS = parseInt(process.env.SURVEY_SESSION_TTL_HOURS, 10) || 24;
+// Open (unexpired) sessions allowed at once per campaign and per client IP within a campaign.
+const MAX_OPEN_SESSIONS_PER_CAMPAIGN = parseInt(process.env.SURVEY_SESSION_MAX_OPEN_PER_CAMPAIGN, 10) || 500;
+const MAX_OPEN_SESSIONS_PER_IP = parseInt(process.env.SURVEY_SESSION_MAX_OPEN_PER_IP, 10) || 5;
+// Expired sessions are only purged after this grace period, so a finalize that started just
+// before expiry does not lose its clips.
+const PURGE_GRACE_MINUTES = 60;
+
+// Session states
+const SessionStatuses = Object.freeze({
+  OPEN: 'open',
+  FINALIZED: 'finalized'
+});
+
+const sessionsCollection = db.collection('surveySessions');
+
+// The storage path of a session's clip
+function clipPath(campaignId, sessionId, questionIndex) {
+  return `videos/${campaignId}/${sessionId}/${questionIndex}.mp4`;
+}
+
+/**
+ * Create an open session, unless the campaign or the client IP already has the maximum number
+ * of open, unexpired sessions. The limit check and the write run in one transaction.
+ *
+ * @param {FirebaseFirestore.DocumentReference} sessionRef - The new session's reference.
+ * @param {object} sessionData - The session to create.
+ * @param {string} ip - The client IP (only its hash is stored).
+ * @returns {Promise<{ status?: number, error?: string }>}
+ */
+async function createSession(sessionRef, sessionData, ip) {
+  const ipHash = hashToken(ip || 'unknown');
+  return db.runTransaction(async (transaction) => {
+    const openSnapshot = await transaction.get(sessionsCollection
+      .where('campaignId', '==', sessionData.campaignId)
+      .where('status', '==', SessionStatuses.OPEN)
+      .select('expiresAt', 'ipHash'));
+    const now = Date.now();
+    const open = openSnapshot.docs.filter(doc => doc.get('expiresAt').toMillis() > now);
+    if (open.length >= MAX_OPEN_SESSIONS_PER_CAMPAIGN) {
+      return { status: 429, error: 'Too many open sessions for this campaign; try again later' };
+    }
+    if (open.filter(doc => doc.get('ipHash') === ipHash).length >= MAX_OPEN_SESSIONS_PER_IP) {
+      return { status: 429, error: 'Too many open sessions; finish or wait for an existing session to expire' };
+    }
+    transaction.set(sessionRef, { ...sessionData, ipHash });
+    return {};
+  });
+}
+
+/**
+ * Delete sessions that expired without being finalized, with their uploaded clips.
+ * Run on a schedule (see routes/jobs/jobs.js).
+ *
+ * @returns {Promise<{ purged: number }>}
+ */
+async function purgeExpiredSessions() {
+  const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - PURGE_GRACE_MINUTES * 60 * 1000);
+  const snapshot = await sessionsCollection
+    .where('status', '==', SessionStatuses.OPEN)
+    .where('expiresAt', '<', cutoff)
+    .select('campaignId')
+    .get();
+  let purged = 0;
+  for (const doc of snapshot.docs) {
+    try {
+      // Clips go first, so a failed run leaves the session to be retried by the next one.
+      await storage.bucket().deleteFiles({ prefix: `videos/${doc.get('campaignId')}/${doc.id}/` });
+      await doc.ref.delete();
+      purged++;
+    } catch (error) {
+      console.error(`[ERROR] Failed to purge expired survey session ${doc.id}:`, error);
+    }
+  }
+  console.info(`[INFO] Purged ${purged} of ${snapshot.size} expired survey session(s)`);
+  return { purged };
+}
+
+module.exports = {
+  SESSION_TTL_HOURS,
+  SessionStatuses,
+  sessionsCollection,
+  clipPath,
+  createSession,
+  purgeExpiredSessions
+};